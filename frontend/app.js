@@ -5,22 +5,113 @@
 
     // ─── Configuration ───
     const WORKER_URL = '';
-    const ICE_SERVERS = [
+    // Fallback when GET /api/ice is unreachable; the Worker adds TURN when configured
+    const DEFAULT_ICE_SERVERS = [
         { urls: 'stun:stun.l.google.com:19302' },
         { urls: 'stun:stun1.l.google.com:19302' },
     ];
+    const ICE_REFRESH_MARGIN = 300;   // refetch TURN credentials 5 min before expiry
+    const INVITE_TIMEOUT = 5000;      // wait this long for the Room DO to mint an invite
 
-    // ─── Image Transfer Constants ───
-    const IMAGE_CHUNK_SIZE = 64 * 1024;
+    // ─── Image Constants ───
     const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
     const MAX_COMPRESSED_SIZE = 1024 * 1024;
     const MAX_IMAGE_DIM = 1920;
     const ALLOWED_MIME = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'];
 
+    // ─── File Transfer Constants ───
+    const FILE_CHUNK_SIZE = 64 * 1024;
+    const FILE_MAX_SIZE = 512 * 1024 * 1024;
+    const FILE_RELAY_MAX = 5 * 1024 * 1024;   // larger files wait for a DataChannel
+    const FILE_MAGIC = [0x46, 0x49, 0x4C, 0x31]; // "FIL1"
+    const FILE_HEADER_LEN = 24;               // magic | 16-byte transfer ID | chunk index
+    const FILE_WINDOW = 32;                   // unacknowledged chunks per peer over P2P
+    const FILE_RELAY_WINDOW = 2;              // ...and over the rate-limited server relay
+    const FILE_HUB_WINDOW = 8;                // ...and when hubs forward them
+    const FILE_HIGH_WATER = 1024 * 1024;      // stop queueing while the DataChannel buffers this much
+    const FILE_LOW_WATER = 256 * 1024;        // bufferedamountlow threshold that resumes sending
+    const FILE_ACK_BATCH = 16;
+    const FILE_ACK_DELAY = 100;
+    const FILE_ACK_TIMEOUT = 20_000;          // resend chunks still unacknowledged after this
+    const FILE_PUSH_STALL = 5_000;            // ask for missing broadcast chunks after this much silence
+
+    // ─── Transcript Constants ───
+    const TRANSCRIPT_FORMAT = 'safepeer-transcript';
+    const TRANSCRIPT_VERSION = 1;
+    const MAX_TRANSCRIPT_SIZE = 256 * 1024 * 1024; // largest export we'll open
+
+    // ─── Call Constants ───
+    const CALL_VIDEO = { width: { ideal: 640 }, height: { ideal: 360 }, frameRate: { ideal: 24 } };
+    const SPEAKER_POLL = 250;         // ms between active-speaker level checks
+    const SPEAKER_THRESHOLD = 0.02;   // RMS level that counts as speaking
+    const CAPTURE_LOAD_TIMEOUT = 10_000; // wait this long for the call window's script
+
+    // ─── Encryption Constants ───
+    const E2E_MAGIC = [0x53, 0x50, 0x45, 0x31]; // "SPE1"
+    const E2E_IV_LEN = 12;
+    const E2E_QUEUE_LIMIT = 200;      // frames held per peer until its key arrives
+    const SIGNATURE_LEN = 64;         // ECDSA P-256 (r || s)
+
+    // ─── Relay Constants ───
+    // Sealed frames larger than one relay envelope are split into fragments;
+    // the Room DO caps envelopes at 32KB of base64 and 8 fragments per frame.
+    const RELAY_FRAGMENT_SIZE = 24 * 1024;
+    const RELAY_MAX_FRAGMENTS = 8;
+    const RELAY_FRAGMENT_TTL = 60_000;
+    const TYPING_THROTTLE = 2000;     // min gap between outgoing typing events
+    const FRAME_JSON = 0x00;
+    const FRAME_BINARY = 0x01;
+    const FRAME_FORWARD = 0x02;
+
+    // ─── Hub Topology Constants ───
+    const HUB_UPLINKS = 2;            // hubs each non-hub member connects to
+    const FORWARD_TTL = 3;            // member → hub → hub → member
+    const FORWARD_SEEN_LIMIT = 4096;  // forwarded frames remembered for de-duplication
+    const FORWARD_NONCE_LEN = 8;
+    const FORWARD_MAX_AGE = 5 * 60 * 1000; // forwards stamped further from our clock are dropped as replays
+    const FORWARD_SIGN_TAG = 'safepeer-forward-v1|'; // no direct frame's signed bytes start like this
+
     const REACTION_EMOJIS = ['👍','👎','❤️','😂','😮','😢','🔥','🎉','🤔','👀','💯','🙏','👏','🚀','✅','❌'];
     const STATUS_EMOJIS = ['😊','😎','🤓','💻','🎮','🎵','☕','🍕','💤','🏃','📚','🔥','❤️','🌙','✨','🎯','🤝','🚀'];
     const TYPING_TIMEOUT = 3000;
     const MAX_CHANNELS = 20;
+    const MAX_CHANNEL_TOPIC = 200;
+    const MAX_CHANNEL_MEMBERS = 100;   // entries kept in a private channel's member list
+    const CHANNEL_CLOCK_SKEW = 5 * 60 * 1000; // how far ahead of our clock a channel change may be stamped
+    const MAX_CHAT_TEXT = 4096;
+    const MAX_EDIT_HISTORY = 10;       // earlier versions kept per edited message
+    const MAX_SEARCH_RESULTS = 100;
+    const MAX_MENTIONS = 20;           // members one message can mention
+    const HERE_ACTIVE_MS = 10 * 60 * 1000; // @here alerts members active this recently
+    const DISAPPEAR_TIMERS = [30, 300, 3600, 8 * 3600, 24 * 3600]; // disappearing-message timers offered (s)
+    const MAX_DISAPPEAR = 24 * 3600;   // longest timer we honour on incoming messages (s)
+
+    // ─── History Sync Constants ───
+    const HISTORY_SYNC_LIMIT = 100;    // messages per channel offered to a late joiner
+    const HISTORY_SYNC_PEERS = 3;      // existing members asked for history
+    const HISTORY_BATCH_BYTES = 48 * 1024;
+    const THUMBNAIL_DIM = 160;
+    const MAX_THUMBNAIL_B64 = 24 * 1024;
+
+    // ─── Local Persistence Constants ───
+    const VAULT_DB = 'safepeer';
+    const VAULT_CHECK = 'safepeer-vault-v1';
+    const VAULT_KDF_ITERATIONS = 600_000;
+    const VAULT_MAX_MESSAGES = 1000;   // most recent messages kept per remembered room
+    const VAULT_SAVE_DELAY = 2000;
+
+    // ─── Connection Recovery Constants ───
+    const ICE_RESTART_GRACE = 2000;   // let a 'disconnected' link recover on its own first
+    const ICE_RESTART_BASE = 1000;    // backoff between ICE restarts, doubling per attempt
+    const ICE_RESTART_MAX = 60_000;
+
+    // ─── Diagnostics Constants ───
+    const DIAGNOSTICS_POLL = 2000;    // getStats() interval while the panel is open
+    const SIGNALING_ERROR_LOG = 20;   // recent Room DO errors kept for the report
+
+    // ─── Signaling Constants ───
+    const RECONNECT_BASE = 1000;      // first retry after a dropped signaling socket, doubling per failure
+    const RECONNECT_MAX = 30_000;
 
     // ─── State ───
     let ws = null;
@@ -28,27 +119,106 @@
     let displayName = '';
     let roomCode = '';
     let reconnectTimer = null;
+    let reconnectAttempts = 0;        // failed attempts since the last welcome
+    let resumeToken = '';             // lets the Room DO give us our peerId back after a drop
+    const signalingErrors = [];       // recent { time, message } errors from the Room DO
+    let diagnosticsTimer = null;
     let muted = false;
     let myStatus = '';
     let activeChannel = 'general';
     let replyingTo = null;   // { msgId, sender, text }
+    let editingMsgId = null; // our own message being edited in the input box
     let typingTimer = null;
     let nextMsgId = 1;
+    let iceServers = DEFAULT_ICE_SERVERS;
+    let iceServersExpiry = 0;         // ms timestamp when TURN credentials go stale
+    let roomSettings = { historySync: true }; // room name, topic and settings from the Room DO
+    let roomAccess = { password: false, inviteOnly: false }; // how the Room DO guards joins
+    let roomAuth = { password: '', invite: '', ticket: '' }; // what we present when (re)joining
+    let pendingInvite = null;         // { code, token } from an invite link
+    let joinRejected = false;         // the Room DO refused us; don't auto-reconnect
+    const inviteWaiters = [];         // shareRoom calls waiting for 'invite-created'
+    let myRole = 'member';            // 'host' | 'moderator' | 'member', assigned by the Room DO
+    let roomLocked = false;
+    let roomLobby = false;            // newcomers knock and wait to be let in
+    const peerRoles = new Map();      // peerId → role
+    const joinRequests = new Map();   // peerId → display name of someone in the lobby
 
     const peers = new Map();
     const peerNames = new Map();
     const peerStatuses = new Map();   // peerId → emoji
-    const channels = ['general'];     // channel name list
+    const channels = ['general'];     // ids of channels we can see, in sidebar order
+    const channelRecords = new Map([['general', newChannelRecord('general', false)]]); // id → record, see Channel Registry
     const channelMessages = new Map(); // channel → [msgElement, ...]
-    const channelUnread = new Map();   // channel → count
+    const channelUnread = new Map();   // channel → count (DMs under their 'dm:<peerId>' key)
+    const dmNames = new Map();         // peerId → name, for each direct-message conversation
     const typingPeers = new Map();     // peerId → timeout
+    let openThread = null;             // root msgId shown in the thread panel
+    const threadMessages = new Map();  // root msgId → [msgElement, ...]
+    const threadUnread = new Map();    // root msgId → count
+    const threadTypingPeers = new Map(); // peerId → timeout, for the open thread
+    let searchTimer = null;            // debounces searching while typing
+    const mentionUnread = new Map();   // channel → unread mentions of us
+    let lastActiveAt = Date.now();     // last key or pointer press, for @here
+    let mentionTarget = null;          // input the mention suggestions are for
+    let mentionMatches = [];
+    let mentionIndex = 0;
+    let mentionStart = 0;              // where the '@' being completed sits in the input
+    const expiryTimers = new Map();    // msgId → timeout that purges a disappearing message
+    let countdownTimer = null;         // ticks the countdowns shown on disappearing messages
 
-    // Message data for reactions/replies (msgId → { sender, text, channel, reactions })
+    // Message data for reactions/replies/history
+    // (msgId → { kind, sender, text, channel, timestamp, replyTo, thread?, expiresAt?, reactions, fileName?, thumbnail?, url? })
     const messageData = new Map();
+    const historyRequested = new Set(); // peerIds we asked for history
+    const historyServed = new Set();    // peerIds we already sent history to
+
+    // ─── Local Persistence State ───
+    let vaultKey = null;                // AES-GCM key derived from the passphrase once unlocked
+    let rememberedRoomId = null;        // IndexedDB key of the current room, when remembered
+    let saveTimer = null;
+    let vaultDialogAction = null;       // callback run after the vault dialog succeeds
+    let restoringSnapshot = false;      // restored messages are slotted in by timestamp
+    const vaultRooms = new Map();       // canonical room code → { id, snapshot }
+
+    // ─── File Transfer State ───
+    let pendingFile = null;
+    let fileRetryTimer = null;
+    const outgoingTransfers = new Map(); // transferId → { file, meta, paused, cancelled, peers: Map<peerId, send state>, card }
+    const incomingTransfers = new Map(); // transferId → { peerId, meta, state, chunks, received, count, card, ... }
+
+    // ─── Call State ───
+    let call = null;                   // { channel, stream, micMuted, cameraOff } while we are in a call
+    let speakerTimer = null;
+    const callPeers = new Map();       // peerId → { channel, video, muted } for peers in a call
+    const callMeters = new Map();      // 'self' | peerId → { source, analyser, samples }
+    let screenShare = null;            // { stream } while we share our screen
+    let captureWindow = null;          // call.html window while a call or share needs it
+    const screenSharers = new Map();   // peerId → id of the MediaStream carrying their screen
+
+    // ─── Encryption State ───
+    let myKeyPair = null;
+    let myPublicKey = '';              // base64 raw P-256 point
+    let myKeySignature = '';           // myPublicKey signed with our identity key
+    let safetyPeerId = null;           // peer shown in the safety number dialog
+    const peerKeys = new Map();        // peerId → { publicKey, key, safetyNumber, verified, queue, ... }
+    const verifiedKeys = new Map();    // displayName → publicKey the user verified
+    const relayFragments = new Map();  // from + ':' + fragId → { parts, received, startedAt }
+    const relayedPeers = new Set();    // peerIds we currently reach only via the server relay
+    let nextRelayFragId = 1;
+    let lastTypingSent = 0;
+
+    // ─── Topology State ───
+    let topology = { mode: 'mesh', hubs: [] }; // advertised by the Room DO
+    let forwardChain = Promise.resolve();
+    const olderPeers = new Set();      // members already in the room when we joined
+    const forwardSeen = new Set();     // origin + ':' + nonce of forwarded frames seen
 
-    // ─── Image Transfer State ───
-    let pendingImageFile = null;
-    const incomingTransfers = new Map();
+    // ─── Identity State ───
+    let mySigningPair = null;
+    let mySigningKey = '';             // base64 raw ECDSA P-256 public key, announced at join
+    const peerSigningKeys = new Map(); // peerId → Promise<CryptoKey> announced in welcome/peer-joined
+    const peerIdentities = new Map();  // peerId → base64 signing key, recorded as message authorship
 
     // ─── DOM Elements ───
     const loginView = document.getElementById('login-view');
@@ -56,6 +226,8 @@
     const displayNameInput = document.getElementById('display-name');
     const roomCodeInput = document.getElementById('room-code');
     const roomNameInput = document.getElementById('room-name');
+    const historySyncInput = document.getElementById('history-sync');
+    const largeRoomInput = document.getElementById('large-room');
     const joinBtn = document.getElementById('join-btn');
     const createBtn = document.getElementById('create-btn');
     const loginError = document.getElementById('login-error');
@@ -70,17 +242,55 @@
     const sidebarToggle = document.getElementById('sidebar-toggle');
     const sidebar = document.getElementById('sidebar');
     const shareBtn = document.getElementById('share-btn');
+    const lockRoomBtn = document.getElementById('lock-room-btn');
+    const lobbyRoomBtn = document.getElementById('lobby-room-btn');
+    const lobbySection = document.getElementById('lobby-section');
+    const lobbyList = document.getElementById('lobby-list');
+    const lobbyCount = document.getElementById('lobby-count');
+    const lobbyRoomInput = document.getElementById('lobby-room');
+    const memberMenu = document.getElementById('member-menu');
     const shareToast = document.getElementById('share-toast');
     const channelListEl = document.getElementById('channel-list');
+    const dmSection = document.getElementById('dm-section');
+    const dmListEl = document.getElementById('dm-list');
     const channelNameDisplay = document.getElementById('channel-name-display');
     const addChannelBtn = document.getElementById('add-channel-btn');
     const newChannelForm = document.getElementById('new-channel-form');
     const newChannelInput = document.getElementById('new-channel-input');
+    const newChannelPrivate = document.getElementById('new-channel-private');
+    const channelMembersDialog = document.getElementById('channel-members-dialog');
+    const channelMembersTitle = document.getElementById('channel-members-title');
+    const channelMembersList = document.getElementById('channel-members-list');
+    const channelMembersCancelBtn = document.getElementById('channel-members-cancel');
+    const channelMembersOkBtn = document.getElementById('channel-members-ok');
     const typingIndicator = document.getElementById('typing-indicator');
     const typingText = document.getElementById('typing-text');
     const replyBar = document.getElementById('reply-bar');
     const replyPreview = document.getElementById('reply-preview');
     const replyCancel = document.getElementById('reply-cancel');
+    const threadPanel = document.getElementById('thread-panel');
+    const threadClose = document.getElementById('thread-close');
+    const threadRoot = document.getElementById('thread-root');
+    const threadMessagesDiv = document.getElementById('thread-messages');
+    const threadTyping = document.getElementById('thread-typing');
+    const threadTypingText = document.getElementById('thread-typing-text');
+    const threadInput = document.getElementById('thread-input');
+    const threadSendBtn = document.getElementById('thread-send-btn');
+    const mentionList = document.getElementById('mention-list');
+    const searchBtn = document.getElementById('search-btn');
+    const searchPanel = document.getElementById('search-panel');
+    const searchClose = document.getElementById('search-close');
+    const searchInput = document.getElementById('search-input');
+    const searchChannel = document.getElementById('search-channel');
+    const searchSender = document.getElementById('search-sender');
+    const searchSenders = document.getElementById('search-senders');
+    const searchFrom = document.getElementById('search-from');
+    const searchTo = document.getElementById('search-to');
+    const searchHasImage = document.getElementById('search-has-image');
+    const searchHasLink = document.getElementById('search-has-link');
+    const searchStatus = document.getElementById('search-status');
+    const searchResults = document.getElementById('search-results');
+    const disappearSelect = document.getElementById('disappear-select');
     const reactionPicker = document.getElementById('reaction-picker');
     const muteBtn = document.getElementById('mute-btn');
     const muteIconOn = document.getElementById('mute-icon-on');
@@ -91,18 +301,100 @@
     const clearStatusBtn = document.getElementById('clear-status-btn');
     const myStatusEmoji = document.getElementById('my-status-emoji');
 
-    // Image DOM elements
+    // Attachment DOM elements
     const attachBtn = document.getElementById('attach-btn');
     const fileInput = document.getElementById('file-input');
     const imagePreview = document.getElementById('image-preview');
+    const previewTitle = document.getElementById('preview-title');
     const previewImg = document.getElementById('preview-img');
     const previewInfo = document.getElementById('preview-info');
     const previewCancel = document.getElementById('preview-cancel');
     const previewSend = document.getElementById('preview-send');
     const lightbox = document.getElementById('lightbox');
     const lightboxImg = document.getElementById('lightbox-img');
+    const lightboxVideo = document.getElementById('lightbox-video');
     const lightboxClose = document.getElementById('lightbox-close');
 
+    // Call DOM elements
+    const callVoiceBtn = document.getElementById('call-voice-btn');
+    const callVideoBtn = document.getElementById('call-video-btn');
+    const callPanel = document.getElementById('call-panel');
+    const callLabel = document.getElementById('call-label');
+    const callTiles = document.getElementById('call-tiles');
+    const callMicBtn = document.getElementById('call-mic-btn');
+    const callCameraBtn = document.getElementById('call-camera-btn');
+    const callLeaveBtn = document.getElementById('call-leave-btn');
+    const screenShareBtn = document.getElementById('screen-share-btn');
+    const screenPane = document.getElementById('screen-pane');
+    const screenTiles = document.getElementById('screen-tiles');
+
+    // Safety number DOM elements
+    const safetyDialog = document.getElementById('safety-dialog');
+    const safetyTitle = document.getElementById('safety-title');
+    const safetyNumberEl = document.getElementById('safety-number');
+    const safetyStatus = document.getElementById('safety-status');
+    const safetyVerifyBtn = document.getElementById('safety-verify');
+    const safetyCloseBtn = document.getElementById('safety-close');
+
+    // Local persistence DOM elements
+    const savedRoomsSection = document.getElementById('saved-rooms');
+    const savedRoomList = document.getElementById('saved-room-list');
+    const vaultOpenBtn = document.getElementById('vault-open-btn');
+    const vaultWipeBtn = document.getElementById('vault-wipe-btn');
+    const archiveOpenBtn = document.getElementById('archive-open-btn');
+    const archiveFileInput = document.getElementById('archive-file-input');
+    const archiveView = document.getElementById('archive-view');
+    const archiveTitle = document.getElementById('archive-title');
+    const archiveInfo = document.getElementById('archive-info');
+    const archiveChannel = document.getElementById('archive-channel');
+    const archiveClose = document.getElementById('archive-close');
+    const archiveTopic = document.getElementById('archive-topic');
+    const archiveMessages = document.getElementById('archive-messages');
+    const exportBtn = document.getElementById('export-btn');
+    const exportDialog = document.getElementById('export-dialog');
+    const exportFormat = document.getElementById('export-format');
+    const exportStatus = document.getElementById('export-status');
+    const exportCancelBtn = document.getElementById('export-cancel');
+    const exportOkBtn = document.getElementById('export-ok');
+    const rememberBtn = document.getElementById('remember-btn');
+    const vaultDialog = document.getElementById('vault-dialog');
+    const vaultTitle = document.getElementById('vault-title');
+    const vaultInfo = document.getElementById('vault-info');
+    const vaultPassphrase = document.getElementById('vault-passphrase');
+    const vaultConfirmGroup = document.getElementById('vault-confirm-group');
+    const vaultPassphraseConfirm = document.getElementById('vault-passphrase-confirm');
+    const vaultError = document.getElementById('vault-error');
+    const vaultCancelBtn = document.getElementById('vault-cancel');
+    const vaultOkBtn = document.getElementById('vault-ok');
+    const roomPasswordInput = document.getElementById('room-password');
+    const inviteOnlyInput = document.getElementById('invite-only');
+    const roomPasswordDialog = document.getElementById('room-password-dialog');
+    const roomPasswordEntry = document.getElementById('room-password-entry');
+    const roomPasswordError = document.getElementById('room-password-error');
+    const roomPasswordCancelBtn = document.getElementById('room-password-cancel');
+    const roomPasswordOkBtn = document.getElementById('room-password-ok');
+    const roomTopic = document.getElementById('room-topic');
+    const roomExpiry = document.getElementById('room-expiry');
+    const roomEditBtn = document.getElementById('room-edit-btn');
+    const roomSettingsDialog = document.getElementById('room-settings-dialog');
+    const roomSettingsName = document.getElementById('room-settings-name');
+    const roomSettingsTopic = document.getElementById('room-settings-topic');
+    const roomSettingsMax = document.getElementById('room-settings-max');
+    const roomSettingsHistory = document.getElementById('room-settings-history');
+    const roomSettingsRelay = document.getElementById('room-settings-relay');
+    const roomSettingsMentionAll = document.getElementById('room-settings-mention-all');
+    const roomSettingsExpiry = document.getElementById('room-settings-expiry');
+    const roomSettingsDisappear = document.getElementById('room-settings-disappear');
+    const roomSettingsCancelBtn = document.getElementById('room-settings-cancel');
+    const roomSettingsOkBtn = document.getElementById('room-settings-ok');
+    const diagnosticsBtn = document.getElementById('diagnostics-btn');
+    const diagnosticsDialog = document.getElementById('diagnostics-dialog');
+    const diagnosticsSummary = document.getElementById('diagnostics-summary');
+    const diagnosticsBody = document.getElementById('diagnostics-body');
+    const diagnosticsErrors = document.getElementById('diagnostics-errors');
+    const diagnosticsCopyBtn = document.getElementById('diagnostics-copy');
+    const diagnosticsCloseBtn = document.getElementById('diagnostics-close');
+
     // ─── Audio ───
     const AudioCtx = window.AudioContext || window.webkitAudioContext;
     let audioCtx = null;
@@ -121,6 +413,7 @@
     function playJoinSound() { playTone(880, 0.15); setTimeout(function(){ playTone(1100, 0.15); }, 100); }
     function playLeaveSound() { playTone(440, 0.2); }
     function playMessageSound() { playTone(660, 0.1, 'triangle'); }
+    function playMentionSound() { playTone(880, 0.12, 'triangle'); setTimeout(function() { playTone(1320, 0.18, 'triangle'); }, 110); }
 
     // ─── Accessibility ───
     function announce(text) {
@@ -141,387 +434,3008 @@
     function nameInitial(name) { return (name || '?')[0].toUpperCase(); }
     function escapeHtml(str) { var d = document.createElement('div'); d.textContent = str; return d.innerHTML; }
     function apiUrl(path) { return (WORKER_URL || '') + path; }
-
-    // ─── Markdown Parser ───
-    function renderMarkdown(text) {
-        var html = escapeHtml(text);
-        // Code blocks ```...```
-        html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
-        // Inline code `...`
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-        // Bold **...**
-        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        // Italic *...*
-        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-        // Links https://...
-        html = html.replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
-        return html;
+    function bytesToBase64(bytes) {
+        var bin = '';
+        for (var i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(bin);
+    }
+    function base64ToBytes(str) {
+        var bin = atob(str);
+        var bytes = new Uint8Array(bin.length);
+        for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+        return bytes;
+    }
+    function bytesToHex(bytes) {
+        return Array.from(bytes, function(b) { return b.toString(16).padStart(2, '0'); }).join('');
+    }
+    function hexToBytes(hex) {
+        var bytes = new Uint8Array(hex.length / 2);
+        for (var i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return bytes;
+    }
+    function formatBytes(n) {
+        if (n < 1024) return n + ' B';
+        if (n < 1024 * 1024) return Math.round(n / 1024) + ' KB';
+        if (n < 1024 * 1024 * 1024) return (n / (1024 * 1024)).toFixed(1) + ' MB';
+        return (n / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
     }
 
-    // ─── Channel Management ───
-    function renderChannelList() {
-        channelListEl.innerHTML = '';
-        channels.forEach(function(ch) {
-            var li = document.createElement('li');
-            li.className = 'channel' + (ch === activeChannel ? ' active' : '');
-            li.setAttribute('role', 'listitem');
-            li.setAttribute('tabindex', '0');
-            var nameSpan = document.createElement('span');
-            nameSpan.textContent = '# ' + ch;
-            li.appendChild(nameSpan);
-            var unread = channelUnread.get(ch) || 0;
-            if (unread > 0 && ch !== activeChannel) {
-                var badge = document.createElement('span');
-                badge.className = 'channel-unread';
-                badge.textContent = unread > 99 ? '99+' : unread;
-                li.appendChild(badge);
-            }
-            li.addEventListener('click', function() { switchChannel(ch); });
-            li.addEventListener('keydown', function(e) { if (e.key === 'Enter') switchChannel(ch); });
-            channelListEl.appendChild(li);
-        });
+    // ─── Peer Identity ───
+    // Each client holds an ECDSA signing keypair. The public half rides along
+    // in the join handshake, so the server binds it to our peerId; every sealed
+    // payload is signed and receivers check it against the sender's peerId.
+    function registerPeerSigningKey(peerId, signingKey) {
+        peerSigningKeys.delete(peerId);
+        peerIdentities.delete(peerId);
+        relayedPeers.delete(peerId);
+        if (typeof signingKey !== 'string' || signingKey.length === 0 || signingKey.length > 128) return;
+        peerIdentities.set(peerId, signingKey);
+        // Stored as a promise so payloads arriving mid-import still wait for it
+        peerSigningKeys.set(peerId, Promise.resolve().then(function() {
+            return crypto.subtle.importKey('raw', base64ToBytes(signingKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        }).catch(function(e) { console.error('Bad signing key', peerId, e); return null; }));
     }
 
-    function switchChannel(ch) {
-        // Save current scroll
-        activeChannel = ch;
-        channelUnread.set(ch, 0);
-        channelNameDisplay.textContent = '# ' + ch;
-        messageInput.placeholder = 'Message #' + ch;
-        renderChannelList();
-        renderMessages();
-        messagesDiv.scrollTop = messagesDiv.scrollHeight;
-        announce('Switched to channel ' + ch);
+    async function signBytes(bytes) {
+        return new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, mySigningPair.privateKey, bytes));
     }
 
-    function addChannel(name) {
-        var cleaned = name.toLowerCase().replace(/[^a-z0-9-_]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-        if (!cleaned || cleaned.length === 0) return;
-        if (channels.includes(cleaned)) { switchChannel(cleaned); return; }
-        if (channels.length >= MAX_CHANNELS) return;
-        channels.push(cleaned);
-        channelMessages.set(cleaned, []);
-        channelUnread.set(cleaned, 0);
-        renderChannelList();
-        // Broadcast channel creation to peers
-        broadcastPeerMessage({ type: 'channel-create', channel: cleaned });
-        switchChannel(cleaned);
+    // Returns 'verified', 'unsigned' (no identity key on record) or 'invalid'
+    async function checkPeerSignature(peerId, signature, bytes) {
+        var key = await peerSigningKeys.get(peerId);
+        if (!key) return 'unsigned';
+        try {
+            var ok = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, bytes);
+            return ok ? 'verified' : 'invalid';
+        } catch { return 'invalid'; }
     }
 
-    function renderMessages() {
-        messagesDiv.innerHTML = '';
-        var msgs = channelMessages.get(activeChannel) || [];
-        msgs.forEach(function(el) { messagesDiv.appendChild(el); });
+    function trustBadgeHtml(trust) {
+        if (trust === 'unsigned') return '<span class="msg-trust-badge" title="Sender identity could not be verified">⚠ Unverified</span>';
+        if (trust === 'invalid') return '<span class="msg-trust-badge invalid" title="Signature does not match the sender\'s identity key">⚠ Signature mismatch</span>';
+        if (trust === 'history') return '<span class="msg-trust-badge history" title="Synced from another member\'s history; the original signature was not checked">history</span>';
+        return '';
     }
 
-    // ─── Signaling WebSocket ───
-    function connectSignaling(code, name) {
-        var proto = WORKER_URL ? (WORKER_URL.startsWith('https') ? 'wss:' : 'ws:') : (location.protocol === 'https:' ? 'wss:' : 'ws:');
-        var host = WORKER_URL ? new URL(WORKER_URL).host : location.host;
-        var url = proto + '//' + host + '/api/join/' + encodeURIComponent(code) + '?name=' + encodeURIComponent(name);
-        ws = new WebSocket(url);
-        ws.onopen = function() { updateConnectionStatus(); };
-        ws.onclose = function() { updateConnectionStatus(); scheduleReconnect(); };
-        ws.onerror = function() { updateConnectionStatus(); };
-        ws.onmessage = function(event) {
-            try { handleSignalingMessage(JSON.parse(event.data)); } catch(e) { console.error('Parse error:', e); }
-        };
+    // ─── End-to-End Encryption ───
+    // Each client holds an ECDH P-256 keypair for the session. Public keys are
+    // exchanged over the DataChannel (or via signaling when P2P fails) and every
+    // payload is sealed with a per-peer AES-GCM key, so the server relay only
+    // ever sees ciphertext. Frame: "SPE1" | iv (12) | AES-GCM(kind byte | body).
+    async function initIdentity() {
+        if (myKeyPair) return;
+        mySigningPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+        mySigningKey = bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', mySigningPair.publicKey)));
+        myKeyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        myPublicKey = bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', myKeyPair.publicKey)));
+        myKeySignature = bytesToBase64(await signBytes(base64ToBytes(myPublicKey)));
     }
 
-    function scheduleReconnect() {
-        if (!reconnectTimer && roomCode) {
-            reconnectTimer = setTimeout(function() { reconnectTimer = null; connectSignaling(roomCode, displayName); }, 3000);
+    function getPeerCrypto(peerId) {
+        var entry = peerKeys.get(peerId);
+        if (!entry) {
+            entry = { publicKey: '', key: null, safetyNumber: '', verified: false, sentKeyViaRelay: false, queue: [], sendChain: Promise.resolve(), recvChain: Promise.resolve() };
+            peerKeys.set(peerId, entry);
         }
+        return entry;
     }
 
-    function sendSignaling(obj) {
-        if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+    async function derivePeerKey(peerPublicKey) {
+        var theirs = await crypto.subtle.importKey('raw', base64ToBytes(peerPublicKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+        var bits = await crypto.subtle.deriveBits({ name: 'ECDH', public: theirs }, myKeyPair.privateKey, 256);
+        var hkdf = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+        var info = new TextEncoder().encode('safepeer-e2e-v1|' + [myPublicKey, peerPublicKey].sort().join('|'));
+        return crypto.subtle.deriveKey({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: info }, hkdf, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
     }
 
-    // ─── Signaling Handler ───
-    function handleSignalingMessage(data) {
-        switch (data.type) {
-            case 'welcome':
-                myPeerId = data.peerId;
-                for (var m of (data.members || [])) {
-                    peerNames.set(m.peerId, m.displayName);
-                    createPeerConnection(m.peerId, true);
-                }
-                updateMemberList();
-                break;
-            case 'peer-joined':
-                peerNames.set(data.peerId, data.displayName);
-                addSystemMessage(data.displayName + ' joined the room', 'general');
-                playJoinSound();
-                updateMemberList();
-                break;
-            case 'peer-left':
-                handlePeerLeft(data.peerId);
-                break;
-            case 'offer':
-                handleOffer(data.from, data.sdp);
-                break;
-            case 'answer':
-                handleAnswer(data.from, data.sdp);
-                break;
-            case 'ice-candidate':
-                handleIceCandidate(data.from, data.candidate);
-                break;
-            case 'chat-relay':
-                handleIncomingChat(data.sender, data.text, data.timestamp, data.channel || 'general', data.replyTo || null, data.msgId || null);
-                break;
-            case 'error':
-                showError(data.message);
-                break;
+    // 60-digit number both sides compute identically from the two public keys
+    async function computeSafetyNumber(keyA, keyB) {
+        var sorted = [keyA, keyB].sort();
+        var a = base64ToBytes(sorted[0]);
+        var b = base64ToBytes(sorted[1]);
+        var joined = new Uint8Array(a.length + b.length);
+        joined.set(a, 0);
+        joined.set(b, a.length);
+        var digest = new Uint8Array(await crypto.subtle.digest('SHA-512', joined));
+        var groups = [];
+        for (var i = 0; i < 12; i++) {
+            var n = 0;
+            for (var j = 0; j < 5; j++) n = (n * 256 + digest[i * 5 + j]) % 100000;
+            groups.push(String(n).padStart(5, '0'));
         }
+        return groups.join(' ');
     }
 
-    // ─── WebRTC ───
-    function createPeerConnection(peerId, isInitiator) {
-        var pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-        var peerState = { pc: pc, dataChannel: null, displayName: peerNames.get(peerId) || 'Unknown', connected: false };
-        peers.set(peerId, peerState);
-
-        pc.onicecandidate = function(event) {
-            if (event.candidate) sendSignaling({ type: 'ice-candidate', to: peerId, candidate: event.candidate });
-        };
-        pc.onconnectionstatechange = function() {
-            if (pc.connectionState === 'failed') {
-                addSystemMessage('P2P failed with ' + (peerNames.get(peerId) || peerId) + '. Using server relay.', 'general');
-                handlePeerDisconnected(peerId);
-            } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'closed') {
-                handlePeerDisconnected(peerId);
-            }
-        };
+    // Sealed plaintext: kind (1) | ECDSA signature over kind+body (64) | body
+    async function sealFrame(key, kind, body) {
+        var signed = new Uint8Array(1 + body.byteLength);
+        signed[0] = kind;
+        signed.set(body, 1);
+        var signature = await signBytes(signed);
+        var plain = new Uint8Array(1 + SIGNATURE_LEN + body.byteLength);
+        plain[0] = kind;
+        plain.set(signature, 1);
+        plain.set(body, 1 + SIGNATURE_LEN);
+        var iv = crypto.getRandomValues(new Uint8Array(E2E_IV_LEN));
+        var ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plain));
+        var frame = new Uint8Array(E2E_MAGIC.length + E2E_IV_LEN + ct.byteLength);
+        frame.set(E2E_MAGIC, 0);
+        frame.set(iv, E2E_MAGIC.length);
+        frame.set(ct, E2E_MAGIC.length + E2E_IV_LEN);
+        return frame.buffer;
+    }
 
-        if (isInitiator) {
-            var dc = pc.createDataChannel('chat', { ordered: true });
-            setupDataChannel(dc, peerId);
-            peerState.dataChannel = dc;
-            pc.createOffer().then(function(offer) { return pc.setLocalDescription(offer); }).then(function() {
-                sendSignaling({ type: 'offer', to: peerId, sdp: pc.localDescription.sdp });
-            }).catch(function(err) { console.error('Offer error', peerId, err); });
-        } else {
-            pc.ondatachannel = function(event) {
-                peerState.dataChannel = event.channel;
-                setupDataChannel(event.channel, peerId);
-            };
+    async function openFrame(key, buffer) {
+        var bytes = new Uint8Array(buffer);
+        for (var i = 0; i < E2E_MAGIC.length; i++) {
+            if (bytes[i] !== E2E_MAGIC[i]) throw new Error('Not an encrypted frame');
         }
-        return pc;
+        var iv = bytes.slice(E2E_MAGIC.length, E2E_MAGIC.length + E2E_IV_LEN);
+        var ct = bytes.slice(E2E_MAGIC.length + E2E_IV_LEN);
+        var plain = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, ct));
+        var body = plain.slice(1 + SIGNATURE_LEN);
+        var signed = new Uint8Array(1 + body.byteLength);
+        signed[0] = plain[0];
+        signed.set(body, 1);
+        return { kind: plain[0], signature: plain.slice(1, 1 + SIGNATURE_LEN), signed: signed, body: body };
     }
 
-    function setupDataChannel(dc, peerId) {
-        dc.binaryType = 'arraybuffer';
-        dc.onopen = function() {
-            var peer = peers.get(peerId);
-            if (peer) peer.connected = true;
-            updateConnectionStatus();
-            updateMemberList();
-            addSystemMessage('Connected to ' + (peerNames.get(peerId) || peerId) + ' (P2P)', 'general');
-            // Send our channels and status to new peer
-            broadcastPeerMessageTo(peerId, { type: 'sync-channels', channels: channels });
-            if (myStatus) broadcastPeerMessageTo(peerId, { type: 'status', emoji: myStatus });
-        };
-        dc.onclose = function() { handlePeerDisconnected(peerId); };
-        dc.onerror = function() {};
-        dc.onmessage = function(event) {
-            if (event.data instanceof ArrayBuffer) {
-                handleImageChunk(event.data);
+    // Key handling runs on the receive chain so frames sealed under a new key
+    // are never opened before that key has been derived.
+    function handlePeerKey(peerId, publicKey, signature, via) {
+        if (typeof publicKey !== 'string' || publicKey.length === 0 || publicKey.length > 256) return;
+        var entry = getPeerCrypto(peerId);
+        entry.recvChain = entry.recvChain.then(async function() {
+            if (via === 'relay' && !entry.sentKeyViaRelay && relayAllowed()) sendKeyViaRelay(peerId);
+            if (entry.publicKey === publicKey) return;
+            var sig = typeof signature === 'string' && signature.length <= 128 ? base64ToBytes(signature) : new Uint8Array(0);
+            if (await checkPeerSignature(peerId, sig, base64ToBytes(publicKey)) === 'invalid') {
+                addSystemMessage('⚠ Rejected an encryption key for ' + (peerNames.get(peerId) || peerId) + ' that was not signed by their identity key.', 'general');
                 return;
             }
-            try {
-                var msg = JSON.parse(event.data);
-                if (msg.type === 'image-meta') {
-                    handleImageMeta(peerId, msg);
-                    return;
-                }
-                handlePeerMessage(peerId, msg);
-            } catch(e) { console.error('DC parse error:', e); }
-        };
+            var previous = entry.publicKey;
+            entry.key = await derivePeerKey(publicKey);
+            entry.publicKey = publicKey;
+            entry.safetyNumber = await computeSafetyNumber(myPublicKey, publicKey);
+            entry.verified = verifiedKeys.get(peerNames.get(peerId)) === publicKey;
+            var name = peerNames.get(peerId) || peerId;
+            if (previous || (verifiedKeys.has(name) && !entry.verified)) {
+                addSystemMessage('⚠ Safety number with ' + name + ' changed. Verify it again before trusting this conversation.', 'general');
+            }
+            flushSealedQueue(peerId);
+            if (via === 'relay' && !previous) {
+                // No DataChannel to trigger the usual handshake; sync over the relay instead
+                broadcastPeerMessageTo(peerId, syncChannelsMessage(peerId));
+                if (myStatus) broadcastPeerMessageTo(peerId, { type: 'status', emoji: myStatus });
+                if (call) broadcastPeerMessageTo(peerId, callStateMessage());
+                if (screenShare) { broadcastPeerMessageTo(peerId, screenStateMessage()); addScreenTracks(peerId); }
+                var relayPeer = peers.get(peerId);
+                if (relayPeer && relayPeer.isInitiator) requestHistory(peerId);
+            }
+            updateMemberList();
+        }).catch(function(err) { console.error('Key exchange error', peerId, err); });
     }
 
-    function handlePeerMessage(peerId, msg) {
-        switch (msg.type) {
-            case 'chat':
-                handleIncomingChat(msg.sender, msg.text, msg.timestamp, msg.channel || 'general', msg.replyTo || null, msg.msgId || null);
-                break;
-            case 'typing':
-                handleTypingEvent(peerId, msg.channel);
-                break;
-            case 'reaction':
-                handleIncomingReaction(msg.msgId, msg.emoji, msg.sender, msg.remove);
-                break;
-            case 'channel-create':
-                if (msg.channel && !channels.includes(msg.channel) && channels.length < MAX_CHANNELS) {
-                    channels.push(msg.channel);
-                    channelMessages.set(msg.channel, []);
-                    channelUnread.set(msg.channel, 0);
-                    renderChannelList();
-                }
-                break;
-            case 'sync-channels':
-                if (Array.isArray(msg.channels)) {
-                    msg.channels.forEach(function(ch) {
-                        if (!channels.includes(ch) && channels.length < MAX_CHANNELS) {
-                            channels.push(ch);
-                            channelMessages.set(ch, []);
-                            channelUnread.set(ch, 0);
-                        }
-                    });
-                    renderChannelList();
-                }
-                break;
-            case 'status':
-                peerStatuses.set(peerId, msg.emoji || '');
-                updateMemberList();
-                break;
-            default: break;
-        }
+    function sendKeyViaRelay(peerId) {
+        getPeerCrypto(peerId).sentKeyViaRelay = true;
+        sendSignaling({ type: 'key-exchange', to: peerId, publicKey: myPublicKey, signature: myKeySignature });
     }
 
-    function handleIncomingChat(sender, text, timestamp, channel, replyTo, msgId) {
-        if (!channels.includes(channel)) {
-            channels.push(channel);
-            channelMessages.set(channel, []);
-            channelUnread.set(channel, 0);
-            renderChannelList();
-        }
-        var id = msgId || ('remote-' + (nextMsgId++));
-        addChatMessage(sender, text, timestamp, channel, replyTo, id);
-        if (channel !== activeChannel) {
-            channelUnread.set(channel, (channelUnread.get(channel) || 0) + 1);
-            renderChannelList();
+    function sealAndSend(peerId, kind, body) {
+        var entry = getPeerCrypto(peerId);
+        if (!entry.key) {
+            if (entry.queue.length < E2E_QUEUE_LIMIT) entry.queue.push({ kind: kind, body: body });
+            return;
         }
-        playMessageSound();
+        entry.sendChain = entry.sendChain.then(function() {
+            return sealFrame(entry.key, kind, body);
+        }).then(function(frame) {
+            deliverFrame(peerId, frame);
+        }).catch(function(err) { console.error('Encrypt error', peerId, err); });
     }
 
-    async function handleOffer(fromPeerId, sdp) {
-        var pc = createPeerConnection(fromPeerId, false);
-        try {
-            await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: sdp }));
-            var answer = await pc.createAnswer();
-            await pc.setLocalDescription(answer);
-            sendSignaling({ type: 'answer', to: fromPeerId, sdp: pc.localDescription.sdp });
-        } catch(err) { console.error('Offer handle error', err); }
+    function flushSealedQueue(peerId) {
+        var entry = getPeerCrypto(peerId);
+        var queued = entry.queue.splice(0);
+        queued.forEach(function(item) { sealAndSend(peerId, item.kind, item.body); });
     }
 
-    async function handleAnswer(fromPeerId, sdp) {
-        var peer = peers.get(fromPeerId);
-        if (!peer) return;
-        try { await peer.pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: sdp })); } catch(err) { console.error('Answer error', err); }
+    function deliverFrame(peerId, frame) {
+        var peer = peers.get(peerId);
+        if (peer && peer.dataChannel && peer.dataChannel.readyState === 'open') {
+            try { peer.dataChannel.send(frame); } catch {}
+        } else if (relayAllowed()) {
+            relayFrame(peerId, new Uint8Array(frame));
+        }
     }
 
-    async function handleIceCandidate(fromPeerId, candidate) {
-        var peer = peers.get(fromPeerId);
-        if (!peer) return;
-        try { if (candidate) await peer.pc.addIceCandidate(new RTCIceCandidate(candidate)); } catch(err) {}
+    function sendToPeer(peerId, msg) {
+        sendSealed(peerId, FRAME_JSON, new TextEncoder().encode(JSON.stringify(msg)));
     }
 
-    function handlePeerLeft(peerId) {
-        var name = peerNames.get(peerId) || peerId;
-        var peer = peers.get(peerId);
-        if (peer) {
-            if (peer.dataChannel) try { peer.dataChannel.close(); } catch {}
-            if (peer.pc) try { peer.pc.close(); } catch {}
-            peers.delete(peerId);
-        }
-        peerNames.delete(peerId);
-        peerStatuses.delete(peerId);
-        typingPeers.delete(peerId);
-        updateTypingIndicator();
-        addSystemMessage(name + ' left the room', 'general');
-        playLeaveSound();
-        updateMemberList();
-        updateConnectionStatus();
+    function sendBinaryToPeer(peerId, buffer) {
+        sendSealed(peerId, FRAME_BINARY, new Uint8Array(buffer));
     }
 
-    function handlePeerDisconnected(peerId) {
+    // A peer is reachable once its DataChannel is open or, failing that, once
+    // keys are exchanged so sealed frames can travel over the server relay
+    // (unless the host has turned the relay off).
+    // In hub mode, peers without a link of their own are reached via a hub.
+    function canReachPeer(peerId) {
+        if (!isNeighbor(peerId)) return directNeighbors().length > 0;
+        return canReachDirect(peerId);
+    }
+
+    function canReachDirect(peerId) {
         var peer = peers.get(peerId);
-        if (peer) { peer.connected = false; updateConnectionStatus(); updateMemberList(); }
+        if (peer && peer.dataChannel && peer.dataChannel.readyState === 'open') return true;
+        var entry = peerKeys.get(peerId);
+        return !!(entry && entry.key) && relayAllowed();
     }
 
-    // ─── Broadcasting ───
-    function broadcastPeerMessage(msg) {
-        var json = JSON.stringify(msg);
-        for (var [, peer] of peers) {
-            if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
-                try { peer.dataChannel.send(json); } catch {}
-            }
-        }
+    function relayAllowed() {
+        return roomSettings.relayAllowed !== false;
     }
 
-    function broadcastPeerMessageTo(peerId, msg) {
-        var peer = peers.get(peerId);
-        if (peer && peer.dataChannel && peer.dataChannel.readyState === 'open') {
-            try { peer.dataChannel.send(JSON.stringify(msg)); } catch {}
-        }
+    function hasReachablePeers() {
+        for (var [peerId] of peerNames) { if (canReachPeer(peerId)) return true; }
+        return false;
     }
 
-    // ─── Send Message ───
-    function broadcastMessage(text) {
-        var msgId = myPeerId + '-' + (nextMsgId++);
-        var timestamp = Math.floor(Date.now() / 1000);
-        var msg = { type: 'chat', sender: displayName, text: text, timestamp: timestamp, channel: activeChannel, msgId: msgId, replyTo: replyingTo };
-        var json = JSON.stringify(msg);
-        var sentViaDC = false;
+    // ─── Hub Forwarding ───
+    // Large rooms use a hub topology instead of a full mesh. The Room DO names a
+    // few long-standing members as hubs; hubs connect to each other and every
+    // other member connects to HUB_UPLINKS of them. Frames for a peer we have no
+    // link to travel as forward frames that keep the origin's own signature, so
+    // hubs can drop traffic but never forge it. Copies are recognised by that
+    // signature and dropped; a TTL bounds how far a frame can travel.
+    // Forward body: ttl | origin len | origin | target len | target ('' = everyone) | kind | signature (64) | body
+    function hubUplinks(peerId) {
+        var hubs = topology.hubs;
+        if (hubs.includes(peerId)) return hubs.filter(function(h) { return h !== peerId; });
+        if (hubs.length <= HUB_UPLINKS) return hubs.slice();
+        var hash = 0;
+        for (var i = 0; i < peerId.length; i++) hash = ((hash << 5) - hash + peerId.charCodeAt(i)) | 0;
+        var start = Math.abs(hash) % hubs.length;
+        var picked = [];
+        for (var j = 0; j < HUB_UPLINKS; j++) picked.push(hubs[(start + j) % hubs.length]);
+        return picked;
+    }
 
-        for (var [, peer] of peers) {
-            if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
-                try { peer.dataChannel.send(json); sentViaDC = true; } catch {}
-            }
-        }
-        if (!sentViaDC && peerNames.size > 0) {
-            sendSignaling({ type: 'chat', text: text, channel: activeChannel, msgId: msgId, replyTo: replyingTo });
-        }
-        addChatMessage(displayName, text, timestamp, activeChannel, replyingTo, msgId);
-        clearReply();
+    function isHubMode() {
+        return topology.mode === 'hub' && topology.hubs.length > 0;
     }
 
-    // ─── Typing Indicators ───
-    function sendTypingEvent() {
-        broadcastPeerMessage({ type: 'typing', channel: activeChannel });
+    // Whether the current topology calls for a direct connection to this peer
+    function shouldConnect(peerId) {
+        if (!isHubMode()) return true;
+        return hubUplinks(myPeerId).includes(peerId) || hubUplinks(peerId).includes(myPeerId);
     }
 
-    function handleTypingEvent(peerId, channel) {
-        if (channel !== activeChannel) return;
-        clearTimeout(typingPeers.get(peerId));
-        typingPeers.set(peerId, setTimeout(function() { typingPeers.delete(peerId); updateTypingIndicator(); }, TYPING_TIMEOUT));
-        updateTypingIndicator();
+    // Peers we already have a connection to stay direct even if the topology moved on
+    function isNeighbor(peerId) {
+        return peers.has(peerId) || shouldConnect(peerId);
     }
 
-    function updateTypingIndicator() {
-        var typers = [];
-        for (var [pid] of typingPeers) {
-            typers.push(peerNames.get(pid) || 'Someone');
-        }
-        if (typers.length === 0) {
-            typingIndicator.style.display = 'none';
-        } else {
-            typingIndicator.style.display = 'flex';
-            if (typers.length === 1) typingText.textContent = typers[0] + ' is typing...';
-            else if (typers.length === 2) typingText.textContent = typers[0] + ' and ' + typers[1] + ' are typing...';
-            else typingText.textContent = typers.length + ' people are typing...';
+    function applyTopology(next, connect) {
+        topology = {
+            mode: next && next.mode === 'hub' ? 'hub' : 'mesh',
+            hubs: next && Array.isArray(next.hubs) ? next.hubs.filter(function(h) { return typeof h === 'string'; }).slice(0, 16) : [],
+        };
+        if (connect) {
+            // The newer member of a pair initiates, so both sides agree who offers
+            for (var [peerId] of peerNames) {
+                if (!peers.has(peerId) && olderPeers.has(peerId) && shouldConnect(peerId)) createPeerConnection(peerId, true);
+            }
         }
+        updateMemberList();
     }
 
-    // ─── Reactions ───
-    function toggleReaction(msgId, emoji) {
-        var data = messageData.get(msgId);
-        if (!data) return;
-        if (!data.reactions) data.reactions = {};
-        if (!data.reactions[emoji]) data.reactions[emoji] = [];
-        var idx = data.reactions[emoji].indexOf(displayName);
-        var removing = idx !== -1;
-        if (removing) data.reactions[emoji].splice(idx, 1);
-        else data.reactions[emoji].push(displayName);
-        if (data.reactions[emoji].length === 0) delete data.reactions[emoji];
-        broadcastPeerMessage({ type: 'reaction', msgId: msgId, emoji: emoji, sender: displayName, remove: removing });
-        renderReactions(msgId);
+    function directNeighbors() {
+        var out = [];
+        for (var [peerId] of peers) { if (peerNames.has(peerId) && canReachDirect(peerId)) out.push(peerId); }
+        return out;
+    }
+
+    // Forward: ttl (1) | header | kind (1) | signature (64) | body, where the
+    // header is origin | target | sentAt (float64) | nonce. The origin signs
+    // everything but the TTL, which each hub lowers, so a frame can't be
+    // re-addressed, passed off as another member's or replayed later.
+    function encodeForwardHeader(origin, target, sentAt, nonce) {
+        var originBytes = new TextEncoder().encode(origin);
+        var targetBytes = new TextEncoder().encode(target);
+        var out = new Uint8Array(2 + originBytes.length + targetBytes.length + 8 + FORWARD_NONCE_LEN);
+        var pos = 0;
+        out[pos++] = originBytes.length;
+        out.set(originBytes, pos); pos += originBytes.length;
+        out[pos++] = targetBytes.length;
+        out.set(targetBytes, pos); pos += targetBytes.length;
+        new DataView(out.buffer).setFloat64(pos, sentAt); pos += 8;
+        out.set(nonce, pos);
+        return out;
+    }
+
+    function encodeForward(ttl, header, kind, signature, body) {
+        var out = new Uint8Array(2 + header.byteLength + SIGNATURE_LEN + body.byteLength);
+        var pos = 0;
+        out[pos++] = ttl;
+        out.set(header, pos); pos += header.byteLength;
+        out[pos++] = kind;
+        out.set(signature, pos); pos += SIGNATURE_LEN;
+        out.set(body, pos);
+        return out;
+    }
+
+    function forwardSignedBytes(header, kind, body) {
+        var tag = new TextEncoder().encode(FORWARD_SIGN_TAG);
+        var out = new Uint8Array(tag.length + header.byteLength + 1 + body.byteLength);
+        out.set(tag, 0);
+        out.set(header, tag.length);
+        out[tag.length + header.byteLength] = kind;
+        out.set(body, tag.length + header.byteLength + 1);
+        return out;
+    }
+
+    function decodeForward(bytes) {
+        var decoder = new TextDecoder();
+        if (bytes.byteLength < 2) return null;
+        var pos = 0;
+        var ttl = bytes[pos++];
+        var originLen = bytes[pos++];
+        if (pos + originLen + 1 > bytes.byteLength) return null;
+        var origin = decoder.decode(bytes.subarray(pos, pos + originLen)); pos += originLen;
+        var targetLen = bytes[pos++];
+        if (pos + targetLen + 8 + FORWARD_NONCE_LEN + 1 + SIGNATURE_LEN > bytes.byteLength) return null;
+        var target = decoder.decode(bytes.subarray(pos, pos + targetLen)); pos += targetLen;
+        var sentAt = new DataView(bytes.buffer, bytes.byteOffset + pos, 8).getFloat64(0); pos += 8;
+        var nonce = bytes.slice(pos, pos + FORWARD_NONCE_LEN); pos += FORWARD_NONCE_LEN;
+        var header = bytes.slice(1, pos);
+        var kind = bytes[pos++];
+        var signature = bytes.slice(pos, pos + SIGNATURE_LEN); pos += SIGNATURE_LEN;
+        return { ttl: ttl, header: header, origin: origin, target: target, sentAt: sentAt, nonce: nonce, kind: kind, signature: signature, body: bytes.slice(pos) };
+    }
+
+    // Hub mode funnels every send through one chain, so frames that wait on an
+    // origin signature cannot be overtaken by later direct ones
+    function sendSealed(peerId, kind, body) {
+        if (!isHubMode()) { sealAndSend(peerId, kind, body); return; }
+        forwardChain = forwardChain.then(function() {
+            if (isNeighbor(peerId)) { sealAndSend(peerId, kind, body); return; }
+            return originateForward(peerId, kind, body);
+        }).catch(function(err) { console.error('Forward error', peerId, err); });
+    }
+
+    // One copy per direct neighbor; hubs fan it out to everyone else
+    function broadcastSealed(kind, body) {
+        forwardChain = forwardChain.then(function() {
+            return originateForward('', kind, body);
+        }).catch(function(err) { console.error('Forward error', err); });
+    }
+
+    async function originateForward(target, kind, body) {
+        var header = encodeForwardHeader(myPeerId, target, Date.now(), crypto.getRandomValues(new Uint8Array(FORWARD_NONCE_LEN)));
+        var signature = await signBytes(forwardSignedBytes(header, kind, body));
+        routeForward(encodeForward(FORWARD_TTL, header, kind, signature, body), target, []);
+    }
+
+    function routeForward(forward, target, exclude) {
+        var neighbors = directNeighbors().filter(function(id) { return !exclude.includes(id); });
+        var next = neighbors;
+        if (target) {
+            if (neighbors.includes(target)) {
+                next = [target];
+            } else {
+                // Prefer the hubs the target hangs off; otherwise any hub we reach
+                var uplinks = hubUplinks(target).filter(function(id) { return neighbors.includes(id); });
+                next = uplinks.length > 0 ? uplinks : neighbors.filter(function(id) { return topology.hubs.includes(id); });
+            }
+        }
+        next.forEach(function(peerId) { sealAndSend(peerId, FRAME_FORWARD, forward); });
+    }
+
+    async function receiveForward(fromPeerId, bytes) {
+        var fwd = decodeForward(bytes);
+        if (!fwd || fwd.origin === myPeerId || !peerNames.has(fwd.origin) || fwd.ttl > FORWARD_TTL) return;
+        if (!(Math.abs(Date.now() - fwd.sentAt) <= FORWARD_MAX_AGE)) return;
+        // Keyed by the signed nonce: signatures can be altered without invalidating them
+        var seenKey = fwd.origin + ':' + bytesToBase64(fwd.nonce);
+        if (forwardSeen.has(seenKey)) return;
+        // A hub altering someone else's frame gets it dropped here, not flagged
+        var trust = await checkPeerSignature(fwd.origin, fwd.signature, forwardSignedBytes(fwd.header, fwd.kind, fwd.body));
+        if (trust === 'invalid') return;
+        // Only verified frames are remembered, so a forgery can't shadow the real one
+        if (forwardSeen.has(seenKey)) return;
+        forwardSeen.add(seenKey);
+        if (forwardSeen.size > FORWARD_SEEN_LIMIT) forwardSeen.delete(forwardSeen.values().next().value);
+        if (!fwd.target || fwd.target === myPeerId) dispatchFrame(fwd.origin, fwd.kind, fwd.body, trust, true);
+        if (fwd.target !== myPeerId && fwd.ttl > 1 && topology.hubs.includes(myPeerId)) {
+            var onward = bytes.slice();
+            onward[0] = fwd.ttl - 1;
+            routeForward(onward, fwd.target, [fromPeerId, fwd.origin]);
+        }
+    }
+
+    // ─── Server Relay ───
+    // Fallback for peers without a DataChannel. Frames stay sealed end to end;
+    // the Room DO only sees the target peerId, the size and fragment counters.
+    function relayFrame(peerId, bytes) {
+        markRelayed(peerId, true);
+        if (bytes.byteLength <= RELAY_FRAGMENT_SIZE) {
+            sendSignaling({ type: 'relay', to: peerId, payload: bytesToBase64(bytes) });
+            return;
+        }
+        var total = Math.ceil(bytes.byteLength / RELAY_FRAGMENT_SIZE);
+        if (total > RELAY_MAX_FRAGMENTS) { console.error('Frame too large to relay', peerId, bytes.byteLength); return; }
+        var fragId = nextRelayFragId++;
+        for (var i = 0; i < total; i++) {
+            var part = bytes.subarray(i * RELAY_FRAGMENT_SIZE, (i + 1) * RELAY_FRAGMENT_SIZE);
+            sendSignaling({ type: 'relay', to: peerId, payload: bytesToBase64(part), frag: [fragId, i, total] });
+        }
+    }
+
+    function receiveRelayedFrame(peerId, payload, frag) {
+        if (typeof payload !== 'string') return;
+        markRelayed(peerId, true);
+        var bytes;
+        try { bytes = base64ToBytes(payload); } catch(e) { console.error('Relay decode error:', e); return; }
+        if (!frag) { receiveFrame(peerId, bytes.buffer); return; }
+
+        if (!Array.isArray(frag) || frag.length !== 3) return;
+        var fragId = frag[0], index = frag[1], total = frag[2];
+        if (!Number.isInteger(index) || !Number.isInteger(total) || total < 1 || total > RELAY_MAX_FRAGMENTS || index < 0 || index >= total) return;
+        var now = Date.now();
+        for (var [k, pending] of relayFragments) {
+            if (now - pending.startedAt > RELAY_FRAGMENT_TTL) relayFragments.delete(k);
+        }
+        var key = peerId + ':' + fragId;
+        var entry = relayFragments.get(key);
+        if (!entry) {
+            entry = { parts: new Array(total), received: 0, startedAt: now };
+            relayFragments.set(key, entry);
+        }
+        if (entry.parts.length !== total || entry.parts[index]) return;
+        entry.parts[index] = bytes;
+        entry.received++;
+        if (entry.received < total) return;
+        relayFragments.delete(key);
+        var size = entry.parts.reduce(function(sum, p) { return sum + p.byteLength; }, 0);
+        var joined = new Uint8Array(size);
+        var offset = 0;
+        entry.parts.forEach(function(p) { joined.set(p, offset); offset += p.byteLength; });
+        receiveFrame(peerId, joined.buffer);
+    }
+
+    function markRelayed(peerId, relayed) {
+        if (relayed === relayedPeers.has(peerId)) return;
+        if (relayed) relayedPeers.add(peerId); else relayedPeers.delete(peerId);
+        updateMemberList();
+        updateConnectionStatus();
+    }
+
+    function receiveFrame(peerId, buffer) {
+        var entry = getPeerCrypto(peerId);
+        entry.recvChain = entry.recvChain.then(async function() {
+            if (!entry.key) throw new Error('No key for peer');
+            var frame = await openFrame(entry.key, buffer);
+            var trust = await checkPeerSignature(peerId, frame.signature, frame.signed);
+            if (frame.kind === FRAME_FORWARD) {
+                if (trust !== 'invalid') await receiveForward(peerId, frame.body);
+                return;
+            }
+            dispatchFrame(peerId, frame.kind, frame.body, trust);
+        }).catch(function(err) { console.error('Decrypt error', peerId, err); });
+    }
+
+    // `forwarded` frames came through a hub rather than straight from peerId
+    function dispatchFrame(peerId, kind, body, trust, forwarded) {
+        if (kind === FRAME_BINARY) {
+            if (trust !== 'invalid') handleFileChunk(peerId, body);
+            return;
+        }
+        handlePeerMessage(peerId, JSON.parse(new TextDecoder().decode(body)), trust, !!forwarded);
+    }
+
+    // ─── Safety Numbers ───
+    function openSafetyDialog(peerId) {
+        var entry = peerKeys.get(peerId);
+        var name = peerNames.get(peerId) || peerId;
+        safetyPeerId = peerId;
+        safetyTitle.textContent = 'Safety number with ' + name;
+        if (entry && entry.safetyNumber) {
+            safetyNumberEl.innerHTML = '';
+            entry.safetyNumber.split(' ').forEach(function(group) {
+                var span = document.createElement('span');
+                span.textContent = group;
+                safetyNumberEl.appendChild(span);
+            });
+            safetyStatus.textContent = entry.verified ? 'Verified ✓' : 'Not verified. Compare this number with ' + name + ' over another channel (in person, phone call).';
+            safetyVerifyBtn.style.display = entry.verified ? 'none' : '';
+        } else if (!isNeighbor(peerId)) {
+            safetyNumberEl.innerHTML = '';
+            safetyStatus.textContent = 'No direct link with ' + name + '. Their messages reach you through a hub and are checked against the identity key the room announced for them.';
+            safetyVerifyBtn.style.display = 'none';
+        } else {
+            safetyNumberEl.innerHTML = '';
+            safetyStatus.textContent = 'Waiting for key exchange with ' + name + '...';
+            safetyVerifyBtn.style.display = 'none';
+        }
+        safetyDialog.style.display = 'flex';
+        safetyVerifyBtn.focus();
+    }
+
+    function closeSafetyDialog() {
+        safetyDialog.style.display = 'none';
+        safetyPeerId = null;
+    }
+
+    function markSafetyVerified() {
+        var entry = peerKeys.get(safetyPeerId);
+        if (!entry || !entry.publicKey) return;
+        entry.verified = true;
+        verifiedKeys.set(peerNames.get(safetyPeerId), entry.publicKey);
+        announce('Marked ' + (peerNames.get(safetyPeerId) || 'peer') + ' as verified');
+        updateMemberList();
+        closeSafetyDialog();
+    }
+
+    // ─── Markdown Parser ───
+    function renderMarkdown(text, mentions) {
+        var html = highlightMentions(escapeHtml(text), mentions);
+        // Code blocks ```...```
+        html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
+        // Inline code `...`
+        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+        // Bold **...**
+        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        // Italic *...*
+        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
+        // Links https://...
+        html = html.replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
+        return html;
+    }
+
+    // ─── Mentions ───
+    // A chat message lists who it mentions as { people: [{ peerId, name }], all }
+    // with `all` '' or 'channel'/'here'. Names are kept as written so the
+    // highlight outlives the member; only the peerIds decide who is alerted.
+    // @channel alerts everyone the message reaches, @here only those active in
+    // the last HERE_ACTIVE_MS. The host can turn both off for the room.
+    function escapeRegExp(str) { return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+    function everyoneMentionsAllowed() {
+        return roomSettings.mentionAll !== false;
+    }
+
+    function mentionPattern(names, flags) {
+        return new RegExp('(^|[^\\w@])@(' + names.map(escapeRegExp).join('|') + ')(?![\\w])', flags);
+    }
+
+    function findMentions(text, channel) {
+        var people = [];
+        var rest = text;
+        var names = Array.from(new Set(peerNames.values())).sort(function(a, b) { return b.length - a.length; });
+        // Longest names first, blanked out once found, so "@Al B" doesn't also mention Al
+        names.forEach(function(name) {
+            if (!mentionPattern([name], 'i').test(rest)) return;
+            rest = rest.replace(mentionPattern([name], 'gi'), '$1');
+            for (var [peerId, peerName] of peerNames) {
+                if (peerName === name && people.length < MAX_MENTIONS) people.push({ peerId: peerId, name: name });
+            }
+        });
+        var all = '';
+        if (!isDmChannel(channel) && everyoneMentionsAllowed()) {
+            if (mentionPattern(['channel'], 'i').test(rest)) all = 'channel';
+            else if (mentionPattern(['here'], 'i').test(rest)) all = 'here';
+        }
+        return people.length > 0 || all ? { people: people, all: all } : null;
+    }
+
+    function sanitizeMentions(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        var people = (Array.isArray(raw.people) ? raw.people : []).filter(function(p) {
+            return p && typeof p.peerId === 'string' && p.peerId.length <= 64 && typeof p.name === 'string' && p.name.length > 0 && p.name.length <= 32;
+        }).slice(0, MAX_MENTIONS).map(function(p) { return { peerId: p.peerId, name: p.name }; });
+        var all = raw.all === 'channel' || raw.all === 'here' ? raw.all : '';
+        return people.length > 0 || all ? { people: people, all: all } : null;
+    }
+
+    // Runs on escaped HTML, before the markdown rules
+    function highlightMentions(html, mentions) {
+        if (!mentions) return html;
+        var names = mentions.people.map(function(p) { return escapeHtml(p.name); });
+        if (mentions.all) names.push('channel', 'here');
+        names.sort(function(a, b) { return b.length - a.length; });
+        return html.replace(mentionPattern(names, 'gi'), function(match, before, name) {
+            var lower = name.toLowerCase();
+            var me = mentions.people.some(function(p) { return p.peerId === myPeerId && escapeHtml(p.name).toLowerCase() === lower; }) ||
+                (!!mentions.all && (lower === 'channel' || lower === 'here'));
+            return before + '<span class="mention' + (me ? ' mention-me' : '') + '">@' + name + '</span>';
+        });
+    }
+
+    function mentionsMe(mentions) {
+        if (!mentions) return false;
+        if (mentions.people.some(function(p) { return p.peerId === myPeerId; })) return true;
+        if (!everyoneMentionsAllowed()) return false;
+        return mentions.all === 'channel' || (mentions.all === 'here' && Date.now() - lastActiveAt < HERE_ACTIVE_MS);
+    }
+
+    // Autocomplete: who can be mentioned where the message is going
+    function mentionCandidates(channel) {
+        var ids = isDmChannel(channel) ? [dmPeer(channel)]
+            : isPrivateChannel(channel) ? channelMemberIds(channelRecords.get(channel))
+            : Array.from(peerNames.keys());
+        var list = ids.filter(function(peerId) { return peerId !== myPeerId && peerNames.has(peerId); })
+            .map(function(peerId) { return { name: peerNames.get(peerId), hint: '' }; });
+        if (!isDmChannel(channel) && everyoneMentionsAllowed()) {
+            list.push({ name: 'channel', hint: 'everyone in #' + channelName(channel) }, { name: 'here', hint: 'everyone active now' });
+        }
+        return list;
+    }
+
+    function updateMentionList(input) {
+        var before = input.value.slice(0, input.selectionStart);
+        var match = /(^|[^\w@])@([^@\n]{0,32})$/.exec(before);
+        if (!match) { closeMentionList(); return; }
+        var root = input === threadInput && openThread && messageData.get(openThread);
+        var channel = root ? root.channel : activeChannel;
+        var query = match[2].toLowerCase();
+        mentionMatches = mentionCandidates(channel).filter(function(c) { return c.name.toLowerCase().startsWith(query); }).slice(0, 8);
+        if (mentionMatches.length === 0) { closeMentionList(); return; }
+        if (mentionTarget && mentionTarget !== input) closeMentionList();
+        mentionTarget = input;
+        mentionStart = before.length - match[2].length - 1;
+        mentionIndex = 0;
+        renderMentionList();
+    }
+
+    function renderMentionList() {
+        mentionList.innerHTML = '';
+        mentionMatches.forEach(function(candidate, i) {
+            var li = document.createElement('li');
+            li.id = 'mention-option-' + i;
+            li.setAttribute('role', 'option');
+            li.setAttribute('aria-selected', i === mentionIndex ? 'true' : 'false');
+            if (i === mentionIndex) li.className = 'active';
+            var name = document.createElement('span');
+            name.textContent = '@' + candidate.name;
+            li.appendChild(name);
+            if (candidate.hint) {
+                var hint = document.createElement('span');
+                hint.className = 'mention-hint';
+                hint.textContent = candidate.hint;
+                li.appendChild(hint);
+            }
+            // mousedown, so the input keeps focus
+            li.addEventListener('mousedown', function(e) {
+                e.preventDefault();
+                mentionIndex = i;
+                completeMention();
+            });
+            mentionList.appendChild(li);
+        });
+        var rect = mentionTarget.getBoundingClientRect();
+        mentionList.style.display = 'block';
+        mentionList.style.left = rect.left + 'px';
+        mentionList.style.bottom = (window.innerHeight - rect.top + 4) + 'px';
+        mentionTarget.setAttribute('aria-expanded', 'true');
+        mentionTarget.setAttribute('aria-activedescendant', 'mention-option-' + mentionIndex);
+    }
+
+    function completeMention() {
+        var input = mentionTarget;
+        var insert = '@' + mentionMatches[mentionIndex].name + ' ';
+        var caret = input.selectionStart;
+        input.value = input.value.slice(0, mentionStart) + insert + input.value.slice(caret);
+        input.selectionStart = input.selectionEnd = mentionStart + insert.length;
+        closeMentionList();
+        input.focus();
+    }
+
+    function closeMentionList() {
+        if (!mentionTarget) return;
+        mentionList.style.display = 'none';
+        mentionTarget.setAttribute('aria-expanded', 'false');
+        mentionTarget.removeAttribute('aria-activedescendant');
+        mentionTarget = null;
+        mentionMatches = [];
+    }
+
+    // Keys the suggestion list takes over while it's open; true if handled
+    function handleMentionKey(e) {
+        if (!mentionTarget || e.target !== mentionTarget) return false;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            mentionIndex = (mentionIndex + (e.key === 'ArrowDown' ? 1 : -1) + mentionMatches.length) % mentionMatches.length;
+            renderMentionList();
+            return true;
+        }
+        if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            completeMention();
+            return true;
+        }
+        if (e.key === 'Escape') {
+            closeMentionList();
+            return true;
+        }
+        return false;
+    }
+
+    // ─── Channel Registry ───
+    // Each channel is a record of last-writer-wins registers ({ v, at, by },
+    // ordered by time then peerId) for its name, topic and state, plus one per
+    // private-channel member. Peers swap records on connect and on every change
+    // and merge them register by register, so any two peers that have seen the
+    // same updates agree whatever order they arrived in. Deletion always wins,
+    // so a deleted channel can't be revived by a stale copy; a public channel
+    // is only taken as deleted from the host or moderator who deleted it.
+    // Registers stamped well ahead of our clock are ignored, or they'd win
+    // every later change. Ids never change (messages refer to them); renaming
+    // changes the name register.
+    function channelRegister(value) {
+        return { v: value, at: Date.now(), by: myPeerId || '' };
+    }
+
+    function newChannelRecord(id, isPrivate) {
+        var base = { at: 0, by: '' };
+        return {
+            id: id, private: isPrivate,
+            name: Object.assign({ v: id }, base), topic: Object.assign({ v: '' }, base), state: Object.assign({ v: 'active' }, base),
+            members: {},
+        };
+    }
+
+    // Whether register b should replace a
+    function registerWins(a, b) {
+        if (!b) return false;
+        if (!a) return true;
+        return b.at > a.at || (b.at === a.at && b.by > a.by);
+    }
+
+    function isChannelMember(rec, peerId) {
+        return !!rec.members[peerId] && rec.members[peerId].v === true;
+    }
+
+    function channelMemberIds(rec) {
+        return Object.keys(rec.members).filter(function(peerId) { return isChannelMember(rec, peerId); });
+    }
+
+    function isPrivateChannel(channel) {
+        var rec = channelRecords.get(channel);
+        return !!rec && rec.private;
+    }
+
+    function channelName(channel) {
+        if (isDmChannel(channel)) return dmNames.get(dmPeer(channel)) || 'Unknown';
+        var rec = channelRecords.get(channel);
+        return rec ? rec.name.v : channel;
+    }
+
+    function cleanChannelName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9-_]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+    }
+
+    function sanitizeChannelRecord(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(raw.id)) return null;
+        function reg(r, valid) {
+            if (!r || typeof r !== 'object' || typeof r.at !== 'number' || typeof r.by !== 'string' || r.by.length > 64 || !valid(r.v)) return null;
+            if (r.at > Date.now() + CHANNEL_CLOCK_SKEW) return null;
+            return { v: r.v, at: r.at, by: r.by };
+        }
+        var rec = newChannelRecord(raw.id, raw.private === true);
+        // #general is always there and public; only its topic changes
+        if (raw.id === 'general' && rec.private) return null;
+        if (raw.id !== 'general') {
+            rec.name = reg(raw.name, function(v) { return typeof v === 'string' && v.length > 0 && cleanChannelName(v) === v; }) || rec.name;
+            rec.state = reg(raw.state, function(v) { return v === 'active' || v === 'archived' || v === 'deleted'; }) || rec.state;
+        }
+        rec.topic = reg(raw.topic, function(v) { return typeof v === 'string' && v.length <= MAX_CHANNEL_TOPIC; }) || rec.topic;
+        if (rec.private && raw.members && typeof raw.members === 'object') {
+            Object.keys(raw.members).slice(0, MAX_CHANNEL_MEMBERS).forEach(function(peerId) {
+                var member = peerId.length <= 64 && reg(raw.members[peerId], function(v) { return typeof v === 'boolean'; });
+                if (member) rec.members[peerId] = member;
+            });
+        }
+        return rec;
+    }
+
+    // Whether peerId is, as far as we know, the host or a moderator
+    function isStaff(peerId) {
+        var role = peerId === myPeerId ? myRole : peerRoles.get(peerId);
+        return role === 'host' || role === 'moderator';
+    }
+
+    // Fold a peer's copy of a record into ours. A private channel is only
+    // taken from someone who is a member of it; returns whether ours changed.
+    function mergeChannelRecord(raw, fromPeerId) {
+        var incoming = sanitizeChannelRecord(raw);
+        if (!incoming) return false;
+        var rec = channelRecords.get(incoming.id);
+        // Any member may delete a private channel, but only staff a public one.
+        // `by` is the sender's own claim, so a public delete is only taken from
+        // the staff member who made it (forwards keep the origin as sender).
+        // Our own saved records (fromPeerId is us) are trusted as they are.
+        if (fromPeerId !== myPeerId && !incoming.private && incoming.state.v === 'deleted' && !(incoming.state.by === fromPeerId && isStaff(fromPeerId))) {
+            if (!rec) return false;
+            incoming.state = newChannelRecord(incoming.id, false).state;
+        }
+        if (!rec) {
+            if (incoming.private && !(isChannelMember(incoming, fromPeerId) && incoming.members[myPeerId])) return false;
+            if (incoming.state.v !== 'deleted' && channels.length >= MAX_CHANNELS) return false;
+            channelRecords.set(incoming.id, incoming);
+            return true;
+        }
+        if (rec.private !== incoming.private) return false;
+        if (rec.private && !isChannelMember(rec, fromPeerId)) return false;
+        var changed = false;
+        ['name', 'topic'].forEach(function(field) {
+            if (registerWins(rec[field], incoming[field])) { rec[field] = incoming[field]; changed = true; }
+        });
+        if (rec.state.v !== 'deleted' && (incoming.state.v === 'deleted' || registerWins(rec.state, incoming.state))) {
+            changed = changed || rec.state.v !== incoming.state.v;
+            rec.state = incoming.state;
+        }
+        Object.keys(incoming.members).forEach(function(peerId) {
+            if (Object.keys(rec.members).length >= MAX_CHANNEL_MEMBERS && !rec.members[peerId]) return;
+            if (registerWins(rec.members[peerId], incoming.members[peerId])) { rec.members[peerId] = incoming.members[peerId]; changed = true; }
+        });
+        return changed;
+    }
+
+    // Everything about a private channel stays among the peers listed in it
+    // (including those removed, so they hear about it)
+    function channelRecordsFor(peerId) {
+        return Array.from(channelRecords.values()).filter(function(rec) { return !rec.private || !!rec.members[peerId]; });
+    }
+
+    function syncChannelsMessage(peerId) {
+        return { type: 'sync-channels', channels: channelRecordsFor(peerId) };
+    }
+
+    function publishChannel(rec) {
+        var msg = { type: 'channel-update', channel: rec };
+        if (!rec.private) { broadcastPeerMessage(msg); return; }
+        Object.keys(rec.members).forEach(function(peerId) { if (peerId !== myPeerId) sendPrivate(peerId, msg); });
+    }
+
+    function receiveChannelRecords(list, fromPeerId, live) {
+        if (!Array.isArray(list)) return;
+        var changed = [];
+        list.slice(0, MAX_CHANNELS * 4).forEach(function(raw) {
+            var before = raw && channelRecords.get(raw.id);
+            before = before && JSON.parse(JSON.stringify(before));
+            if (mergeChannelRecord(raw, fromPeerId)) changed.push({ before: before, rec: channelRecords.get(raw.id) });
+        });
+        if (changed.length === 0) return;
+        applyChannels();
+        changed.forEach(function(change) {
+            if (live) describeChannelChange(change.before, change.rec, fromPeerId);
+            // Members without a link to each other only meet through hubs, which pass changes on
+            if (isHubMode()) publishChannel(change.rec);
+        });
+    }
+
+    // System messages for a change, in the channel itself where it still shows.
+    // A register's `by` is only the sender's claim, so a change is credited to
+    // someone only when they're the one who sent it to us (not a relaying hub).
+    function describeChannelChange(before, rec, fromPeerId) {
+        var by = function(reg) { return reg.by === fromPeerId ? (peerNames.get(fromPeerId) || 'Someone') : 'Someone'; };
+        var visible = channels.includes(rec.id);
+        var where = visible ? rec.id : 'general';
+        if (!before) {
+            if (rec.private && visible) addSystemMessage(by(rec.members[myPeerId]) + ' added you to the private channel #' + rec.name.v, 'general');
+            return;
+        }
+        if (rec.state.v === 'deleted' && before.state.v !== 'deleted') {
+            addSystemMessage(by(rec.state) + ' deleted #' + before.name.v, 'general');
+            return;
+        }
+        if (rec.private && before.members[myPeerId] && before.members[myPeerId].v && !isChannelMember(rec, myPeerId)) {
+            addSystemMessage(by(rec.members[myPeerId]) + ' removed you from #' + before.name.v, 'general');
+            return;
+        }
+        if (rec.name.v !== before.name.v) addSystemMessage(by(rec.name) + ' renamed #' + before.name.v + ' to #' + rec.name.v, where);
+        if (rec.topic.v !== before.topic.v) addSystemMessage(by(rec.topic) + (rec.topic.v ? ' set the topic: ' + rec.topic.v : ' cleared the topic'), where);
+        if (rec.state.v !== before.state.v) addSystemMessage(by(rec.state) + (rec.state.v === 'archived' ? ' archived #' : ' unarchived #') + rec.name.v, where);
+        if (rec.private) {
+            channelMemberIds(rec).forEach(function(peerId) {
+                if (!before.members[peerId] || !before.members[peerId].v) addSystemMessage(by(rec.members[peerId]) + ' added ' + memberName(peerId) + ' to #' + rec.name.v, where);
+            });
+        }
+    }
+
+    function memberName(peerId) {
+        return peerId === myPeerId ? 'you' : (peerNames.get(peerId) || 'someone who left');
+    }
+
+    // Rebuild the channel list from the records, purging anything we can no
+    // longer see: deleted channels and private ones we were removed from
+    function applyChannels() {
+        var live = [];
+        var archived = [];
+        // Sorted by name so everyone's sidebar agrees, whatever order channels arrived in
+        var ordered = Array.from(channelRecords.entries()).sort(function(a, b) {
+            if (a[0] === 'general' || b[0] === 'general') return a[0] === 'general' ? -1 : 1;
+            return a[1].name.v.localeCompare(b[1].name.v) || (a[0] < b[0] ? -1 : 1);
+        });
+        for (var [id, rec] of ordered) {
+            var visible = rec.state.v !== 'deleted' && (!rec.private || isChannelMember(rec, myPeerId));
+            if (!visible) {
+                if (channelMessages.has(id)) purgeChannel(id);
+                continue;
+            }
+            if (!channelMessages.has(id)) {
+                channelMessages.set(id, []);
+                channelUnread.set(id, 0);
+            }
+            (rec.state.v === 'archived' ? archived : live).push(id);
+        }
+        channels.length = 0;
+        channels.push.apply(channels, live.concat(archived));
+        if (!isDmChannel(activeChannel) && !channels.includes(activeChannel)) switchChannel('general');
+        else if (!isDmChannel(activeChannel)) renderChannelHeader();
+        renderChannelList();
+    }
+
+    function purgeChannel(id) {
+        Array.from(messageData.keys()).forEach(function(msgId) {
+            var data = messageData.get(msgId);
+            if (data && data.channel === id) purgeMessage(msgId);
+        });
+        channelMessages.delete(id);
+        channelUnread.delete(id);
+        mentionUnread.delete(id);
+        if (call && call.channel === id) leaveCall();
+    }
+
+    function updateChannel(id, field, value) {
+        var rec = channelRecords.get(id);
+        if (!rec) return;
+        var before = JSON.parse(JSON.stringify(rec));
+        if (field === 'member') rec.members[value.peerId] = channelRegister(value.member);
+        else rec[field] = channelRegister(value);
+        applyChannels();
+        describeChannelChange(before, rec);
+        publishChannel(rec);
+    }
+
+    function channelActions(id) {
+        var rec = channelRecords.get(id);
+        var name = rec.name.v;
+        var actions = [];
+        if (id !== 'general') {
+            actions.push({ label: 'Rename…', run: function() {
+                var next = prompt('Rename #' + name + ' to:', name);
+                if (next === null) return;
+                next = cleanChannelName(next);
+                if (next && next !== name) updateChannel(id, 'name', next);
+            } });
+        }
+        actions.push({ label: 'Set topic…', run: function() {
+            var topic = prompt('Topic for #' + name + ':', rec.topic.v);
+            if (topic === null) return;
+            topic = topic.replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, MAX_CHANNEL_TOPIC);
+            if (topic !== rec.topic.v) updateChannel(id, 'topic', topic);
+        } });
+        if (rec.private) {
+            actions.push({ label: 'Members…', run: function() { openChannelMembers(id); } });
+            actions.push({ label: 'Leave channel', run: function() {
+                if (confirm('Leave #' + name + '? You will need to be added again to see it.')) updateChannel(id, 'member', { peerId: myPeerId, member: false });
+            } });
+        }
+        if (id !== 'general') {
+            actions.push({ label: rec.state.v === 'archived' ? 'Unarchive' : 'Archive', run: function() {
+                updateChannel(id, 'state', rec.state.v === 'archived' ? 'active' : 'archived');
+            } });
+            // Deleting can't be undone, so it's left to private channel members
+            // and the host and moderators for public ones
+            if (rec.private || myRole !== 'member') {
+                actions.push({ label: 'Delete…', run: function() {
+                    if (confirm('Delete #' + name + ' and all of its messages for everyone?')) updateChannel(id, 'state', 'deleted');
+                } });
+            }
+        }
+        return actions;
+    }
+
+    // ─── Private Channel Members ───
+    let channelMembersFor = null;
+
+    function openChannelMembers(id) {
+        var rec = channelRecords.get(id);
+        if (!rec || !rec.private) return;
+        channelMembersFor = id;
+        channelMembersTitle.textContent = 'Members of #' + rec.name.v;
+        channelMembersList.innerHTML = '';
+        for (var [peerId, peerName] of peerNames) {
+            var label = document.createElement('label');
+            label.className = 'checkbox-row';
+            var box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = peerId;
+            box.checked = isChannelMember(rec, peerId);
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(' ' + peerName));
+            channelMembersList.appendChild(label);
+        }
+        if (peerNames.size === 0) channelMembersList.textContent = 'Nobody else is in the room.';
+        channelMembersDialog.style.display = 'flex';
+        var first = channelMembersList.querySelector('input');
+        if (first) first.focus();
+        else channelMembersCancelBtn.focus();
+    }
+
+    function closeChannelMembers() {
+        channelMembersDialog.style.display = 'none';
+        channelMembersFor = null;
+    }
+
+    function submitChannelMembers() {
+        var rec = channelRecords.get(channelMembersFor);
+        if (rec) {
+            var before = JSON.parse(JSON.stringify(rec));
+            channelMembersList.querySelectorAll('input').forEach(function(box) {
+                if (box.checked !== isChannelMember(rec, box.value)) rec.members[box.value] = channelRegister(box.checked);
+            });
+            if (JSON.stringify(before.members) !== JSON.stringify(rec.members)) {
+                applyChannels();
+                describeChannelChange(before, rec);
+                // Removed members get this copy too, so they know to drop the channel
+                publishChannel(rec);
+            }
+        }
+        closeChannelMembers();
+    }
+
+    // ─── Channel Management ───
+    function renderChannelList() {
+        scheduleSave();
+        channelListEl.innerHTML = '';
+        channels.forEach(function(ch) {
+            var rec = channelRecords.get(ch);
+            var li = document.createElement('li');
+            li.className = 'channel' + (ch === activeChannel ? ' active' : '') + (rec.state.v === 'archived' ? ' archived' : '');
+            li.setAttribute('role', 'listitem');
+            li.setAttribute('tabindex', '0');
+            var nameSpan = document.createElement('span');
+            nameSpan.className = 'channel-label';
+            nameSpan.textContent = (rec.private ? '🔒 ' : '# ') + rec.name.v;
+            if (rec.state.v === 'archived') li.title = 'Archived';
+            li.appendChild(nameSpan);
+            var inCall = callParticipants(ch);
+            if (inCall > 0) {
+                var callBadge = document.createElement('span');
+                callBadge.className = 'channel-call' + (call && call.channel === ch ? ' joined' : '');
+                callBadge.textContent = '🔊 ' + inCall;
+                callBadge.title = inCall + ' in call';
+                li.appendChild(callBadge);
+            }
+            var mentioned = mentionUnread.get(ch) || 0;
+            if (mentioned > 0 && ch !== activeChannel) {
+                var mentionBadge = document.createElement('span');
+                mentionBadge.className = 'channel-mention';
+                mentionBadge.textContent = '@' + (mentioned > 99 ? '99+' : mentioned);
+                mentionBadge.title = mentioned + (mentioned === 1 ? ' mention' : ' mentions');
+                li.appendChild(mentionBadge);
+            }
+            var unread = channelUnread.get(ch) || 0;
+            if (unread > 0 && ch !== activeChannel) {
+                var badge = document.createElement('span');
+                badge.className = 'channel-unread';
+                badge.textContent = unread > 99 ? '99+' : unread;
+                li.appendChild(badge);
+            }
+            var menuBtn = document.createElement('button');
+            menuBtn.className = 'member-menu-btn';
+            menuBtn.textContent = '⋯';
+            menuBtn.setAttribute('aria-haspopup', 'menu');
+            menuBtn.setAttribute('aria-label', 'Manage #' + rec.name.v);
+            menuBtn.title = menuBtn.getAttribute('aria-label');
+            menuBtn.addEventListener('click', function(e) {
+                e.stopPropagation();
+                var rect = menuBtn.getBoundingClientRect();
+                openActionMenu(channelActions(ch), 'Channel actions', rect.left, rect.bottom + 4);
+            });
+            li.appendChild(menuBtn);
+            li.addEventListener('contextmenu', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                openActionMenu(channelActions(ch), 'Channel actions', e.clientX, e.clientY);
+            });
+            li.addEventListener('click', function() { switchChannel(ch); });
+            li.addEventListener('keydown', function(e) { if (e.key === 'Enter') switchChannel(ch); });
+            channelListEl.appendChild(li);
+        });
+        renderDmList();
+    }
+
+    // Name and topic in the chat header; archived channels are read-only
+    function renderChannelHeader() {
+        var dm = isDmChannel(activeChannel);
+        var rec = channelRecords.get(activeChannel);
+        var archived = !dm && !!rec && rec.state.v === 'archived';
+        channelNameDisplay.textContent = dm ? '@ ' + channelName(activeChannel) : (rec && rec.private ? '🔒 ' : '# ') + channelName(activeChannel);
+        if (rec && rec.topic.v && !dm) {
+            var topic = document.createElement('span');
+            topic.className = 'channel-topic';
+            topic.textContent = rec.topic.v;
+            topic.title = rec.topic.v;
+            channelNameDisplay.appendChild(topic);
+        }
+        messageInput.disabled = archived;
+        sendBtn.disabled = archived;
+        messageInput.placeholder = archived ? '#' + channelName(activeChannel) + ' is archived' : 'Message ' + (dm ? '@' : '#') + channelName(activeChannel);
+        attachBtn.style.display = dm || (rec && rec.private) ? 'none' : '';
+    }
+
+    function switchChannel(ch) {
+        var root = openThread && messageData.get(openThread);
+        if (openThread && (!root || root.channel !== ch)) closeThreadPanel();
+        // Save current scroll
+        activeChannel = ch;
+        channelUnread.set(ch, 0);
+        mentionUnread.delete(ch);
+        var dm = isDmChannel(ch);
+        renderChannelHeader();
+        renderChannelList();
+        renderCallPanel();
+        renderMessages();
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        announce(dm ? 'Switched to direct messages with ' + channelName(ch) : 'Switched to channel ' + channelName(ch));
+    }
+
+    // Public channels are keyed by their first name, so two members creating
+    // #design at once end up in the same channel. Private ones get a random id.
+    function addChannel(name, isPrivate) {
+        var cleaned = cleanChannelName(name);
+        if (!cleaned) return;
+        var id = isPrivate ? cleaned.slice(0, 23) + '-' + bytesToHex(crypto.getRandomValues(new Uint8Array(4))) : cleaned;
+        var named = channels.find(function(ch) { return channelRecords.get(ch).name.v === cleaned; });
+        if (named && !isPrivate) { switchChannel(named); return; }
+        var existing = channelRecords.get(id);
+        if (existing) {
+            if (channels.includes(id)) switchChannel(id);
+            else addSystemMessage('#' + cleaned + ' was deleted. Pick another name.');
+            return;
+        }
+        if (channels.length >= MAX_CHANNELS) return;
+        var rec = newChannelRecord(id, !!isPrivate);
+        if (isPrivate) {
+            rec.name = channelRegister(cleaned);
+            rec.members[myPeerId] = channelRegister(true);
+        }
+        channelRecords.set(id, rec);
+        applyChannels();
+        publishChannel(rec);
+        switchChannel(id);
+    }
+
+    // ─── Direct Messages ───
+    // A DM conversation lives in channelMessages under 'dm:<peerId>', a key no
+    // channel name can take. DMs are sealed to the other member's own key and
+    // sent straight to them, over the DataChannel or the server relay, never
+    // through a hub where each hop could read them; forwarded DMs are dropped.
+    function dmChannel(peerId) {
+        return 'dm:' + peerId;
+    }
+
+    function isDmChannel(channel) {
+        return typeof channel === 'string' && channel.startsWith('dm:');
+    }
+
+    function dmPeer(channel) {
+        return channel.slice(3);
+    }
+
+    function ensureDm(peerId) {
+        var ch = dmChannel(peerId);
+        if (!channelMessages.has(ch)) {
+            channelMessages.set(ch, []);
+            channelUnread.set(ch, 0);
+        }
+        if (!dmNames.has(peerId)) {
+            dmNames.set(peerId, peerNames.get(peerId) || 'Unknown');
+            renderDmList();
+        }
+        return ch;
+    }
+
+    function openDm(peerId) {
+        if (!peerNames.has(peerId)) return;
+        switchChannel(ensureDm(peerId));
+        messageInput.focus();
+    }
+
+    function renderDmList() {
+        dmListEl.innerHTML = '';
+        dmSection.style.display = dmNames.size > 0 ? '' : 'none';
+        dmNames.forEach(function(name, peerId) {
+            var ch = dmChannel(peerId);
+            var here = peerNames.has(peerId);
+            var li = document.createElement('li');
+            li.className = 'channel' + (ch === activeChannel ? ' active' : '') + (here ? '' : ' offline');
+            li.setAttribute('role', 'listitem');
+            li.setAttribute('tabindex', '0');
+            var nameSpan = document.createElement('span');
+            nameSpan.textContent = '@ ' + name;
+            li.appendChild(nameSpan);
+            if (!here) li.title = name + ' has left the room';
+            var unread = channelUnread.get(ch) || 0;
+            if (unread > 0 && ch !== activeChannel) {
+                var badge = document.createElement('span');
+                badge.className = 'channel-unread';
+                badge.textContent = unread > 99 ? '99+' : unread;
+                li.appendChild(badge);
+            }
+            li.addEventListener('click', function() { switchChannel(ch); });
+            li.addEventListener('keydown', function(e) { if (e.key === 'Enter') switchChannel(ch); });
+            dmListEl.appendChild(li);
+        });
+    }
+
+    // Seal `msg` to peerId's key and send it over our own link to them. False
+    // when there's no such path: they left, or there's no DataChannel and the
+    // host turned the relay off.
+    function sendPrivate(peerId, msg) {
+        if (!peerNames.has(peerId)) return false;
+        var peer = peers.get(peerId);
+        var open = !!(peer && peer.dataChannel && peer.dataChannel.readyState === 'open');
+        if (!open && !relayAllowed()) return false;
+        var entry = getPeerCrypto(peerId);
+        // Hub rooms skip key exchange with members we have no link to; do it over the relay
+        if (!open && !entry.key && !entry.sentKeyViaRelay) sendKeyViaRelay(peerId);
+        sealAndSend(peerId, FRAME_JSON, new TextEncoder().encode(JSON.stringify(msg)));
+        return true;
+    }
+
+    // Messages about a channel go to everyone; about a DM or a private channel,
+    // only to its members. False if none of them could be reached.
+    function sendInChannel(channel, msg) {
+        if (isDmChannel(channel)) {
+            delete msg.channel;
+            msg.dm = true;
+            return sendPrivate(dmPeer(channel), msg);
+        }
+        var rec = channelRecords.get(channel);
+        if (!rec || !rec.private) {
+            broadcastPeerMessage(msg);
+            return true;
+        }
+        msg.channel = channel;
+        msg.private = true;
+        var others = channelMemberIds(rec).filter(function(peerId) { return peerId !== myPeerId; });
+        var sent = 0;
+        others.forEach(function(peerId) { if (sendPrivate(peerId, msg)) sent++; });
+        return others.length === 0 || sent > 0;
+    }
+
+    // Whether peerId may post in `channel`: private channels only take sealed
+    // messages straight from their members
+    function canPostIn(channel, peerId, isPrivate, forwarded) {
+        var rec = channelRecords.get(channel);
+        if (!rec) return !isPrivate;
+        if (rec.private !== isPrivate) return false;
+        return !rec.private || (!forwarded && isChannelMember(rec, peerId) && isChannelMember(rec, myPeerId));
+    }
+
+    function renderMessages() {
+        messagesDiv.innerHTML = '';
+        var msgs = channelMessages.get(activeChannel) || [];
+        msgs.forEach(function(el) { messagesDiv.appendChild(el); });
+    }
+
+    // ─── ICE Configuration ───
+    async function refreshIceServers() {
+        if (Date.now() < iceServersExpiry) return;
+        try {
+            var response = await fetch(apiUrl('/api/ice'));
+            if (!response.ok) return;
+            var data = await response.json();
+            if (Array.isArray(data.iceServers) && data.iceServers.length > 0) {
+                iceServers = data.iceServers;
+                iceServersExpiry = Date.now() + Math.max(60, (data.ttl || 3600) - ICE_REFRESH_MARGIN) * 1000;
+            }
+        } catch(e) { console.error('ICE config error:', e); }
+    }
+
+    // ─── Signaling WebSocket ───
+    function connectSignaling(code, name) {
+        var proto = WORKER_URL ? (WORKER_URL.startsWith('https') ? 'wss:' : 'ws:') : (location.protocol === 'https:' ? 'wss:' : 'ws:');
+        var host = WORKER_URL ? new URL(WORKER_URL).host : location.host;
+        var url = proto + '//' + host + '/api/join/' + encodeURIComponent(code) + '?name=' + encodeURIComponent(name) + '&key=' + encodeURIComponent(mySigningKey) +
+            '&history=' + (roomSettings.historySync ? '1' : '0') + '&topology=' + (roomSettings.topology === 'hub' ? 'hub' : 'mesh');
+        // The Room DO tries the ticket first, so a stale one falls back to the password
+        if (roomAuth.ticket) url += '&ticket=' + encodeURIComponent(roomAuth.ticket);
+        if (roomAuth.invite) url += '&invite=' + encodeURIComponent(roomAuth.invite);
+        if (roomAuth.password) url += '&password=' + encodeURIComponent(roomAuth.password);
+        if (resumeToken) url += '&resume=' + encodeURIComponent(resumeToken);
+        joinRejected = false;
+        var socket = new WebSocket(url);
+        ws = socket;
+        // A replaced socket closing late must not trigger another reconnect
+        socket.onopen = function() { updateConnectionStatus(); };
+        socket.onclose = function() { if (socket !== ws) return; updateConnectionStatus(); if (!joinRejected) scheduleReconnect(); };
+        socket.onerror = function() { updateConnectionStatus(); };
+        socket.onmessage = function(event) {
+            if (socket !== ws) return;
+            try { handleSignalingMessage(JSON.parse(event.data)); } catch(e) { console.error('Parse error:', e); }
+        };
+    }
+
+    // Only the signaling socket reconnects; DataChannels stay up meanwhile.
+    // Exponential backoff with jitter keeps a server blip from bringing every
+    // client back at the same instant.
+    function scheduleReconnect() {
+        if (!reconnectTimer && roomCode) {
+            var delay = Math.min(RECONNECT_MAX, RECONNECT_BASE * Math.pow(2, reconnectAttempts));
+            reconnectAttempts++;
+            reconnectTimer = setTimeout(function() {
+                reconnectTimer = null;
+                refreshIceServers().then(function() { connectSignaling(roomCode, displayName); });
+            }, delay / 2 + Math.random() * delay / 2);
+        }
+    }
+
+    // ─── Session Resumption ───
+    // The Room DO holds our place for a short grace period after the socket
+    // drops. Resuming keeps our peerId, so nobody saw us leave and healthy
+    // DataChannels carry on; we only catch up on who came and went meanwhile.
+    function handleResumed(data) {
+        var present = new Set();
+        for (var m of (data.members || [])) {
+            present.add(m.peerId);
+            if (peerNames.has(m.peerId)) continue;
+            peerNames.set(m.peerId, m.displayName);
+            registerPeerSigningKey(m.peerId, m.signingKey);
+            olderPeers.add(m.peerId);
+            addSystemMessage(m.displayName + ' joined the room', 'general');
+        }
+        for (var peerId of Array.from(peerNames.keys())) {
+            if (!present.has(peerId)) handlePeerLeft(peerId);
+        }
+        applyRoles(data, true);
+        setJoinRequests(data.joinRequests);
+        // Connects to anyone who arrived while we were away
+        applyTopology(data.topology, true);
+        updateConnectionStatus();
+    }
+
+    function sendSignaling(obj) {
+        if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+    }
+
+    // ─── Room Access ───
+    // Password-protected and invite-only rooms are enforced by the Room DO. A
+    // refused join arrives as 'join-error'; once admitted, the welcome carries
+    // a ticket that stands in for the password or invite on reconnects.
+    function handleJoinError(data) {
+        joinRejected = true;
+        resumeToken = '';
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        var message = typeof data.message === 'string' ? data.message.slice(0, 200) : 'Unable to join room';
+        if (data.code === 'password-required' || data.code === 'password-invalid') {
+            roomAuth.password = '';
+            openRoomPasswordDialog(data.code === 'password-invalid' ? message : '');
+            return;
+        }
+        roomAuth.invite = '';
+        if (data.code === 'invite-required' || data.code === 'invite-invalid') message += '. Ask a member for a new invite link';
+        addSystemMessage(message + '.', 'general');
+    }
+
+    function openRoomPasswordDialog(error) {
+        roomPasswordEntry.value = '';
+        roomPasswordError.textContent = error;
+        roomPasswordError.style.display = error ? 'block' : 'none';
+        if (error) announce('Error: ' + error);
+        roomPasswordDialog.style.display = 'flex';
+        roomPasswordEntry.focus();
+    }
+
+    function closeRoomPasswordDialog() {
+        roomPasswordDialog.style.display = 'none';
+        roomPasswordEntry.value = '';
+    }
+
+    function submitRoomPassword() {
+        var password = roomPasswordEntry.value;
+        if (!password) return;
+        closeRoomPasswordDialog();
+        roomAuth.password = password;
+        addSystemMessage('Joining room...', 'general');
+        connectSignaling(roomCode, displayName);
+    }
+
+    function cancelRoomPassword() {
+        closeRoomPasswordDialog();
+        addSystemMessage('This room needs a password to join.', 'general');
+    }
+
+    // Invites are minted by the Room DO on request, one per share
+    function requestInvite() {
+        return new Promise(function(resolve, reject) {
+            var waiter = { resolve: resolve, timer: null };
+            waiter.timer = setTimeout(function() {
+                inviteWaiters.splice(inviteWaiters.indexOf(waiter), 1);
+                reject(new Error('No invite received'));
+            }, INVITE_TIMEOUT);
+            inviteWaiters.push(waiter);
+            sendSignaling({ type: 'invite-create' });
+        });
+    }
+
+    function handleInviteCreated(data) {
+        var waiter = inviteWaiters.shift();
+        if (!waiter || typeof data.token !== 'string') return;
+        clearTimeout(waiter.timer);
+        waiter.resolve(data.token);
+    }
+
+    function sameRoomCode(a, b) {
+        return a.replace(/[^a-zA-Z0-9]/g, '').toUpperCase() === b.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+    }
+
+    // ─── Moderation ───
+    // The Room DO owns roles and enforces every action; the client only offers
+    // the controls our role allows and reflects the DO's 'roles' broadcasts.
+    const ROLE_NAMES = { host: 'the host', moderator: 'a moderator' };
+
+    function validRole(role) {
+        return role === 'host' || role === 'moderator' || role === 'member';
+    }
+
+    function applyRoles(data, announceChanges) {
+        var roles = data.roles && typeof data.roles === 'object' ? data.roles : {};
+        var previousRole = myRole;
+        var previousHost = roomHost();
+        var wasLocked = roomLocked;
+        var wasLobby = roomLobby;
+        myRole = validRole(roles[myPeerId]) ? roles[myPeerId] : 'member';
+        peerRoles.clear();
+        Object.keys(roles).forEach(function(peerId) {
+            if (peerId !== myPeerId && validRole(roles[peerId])) peerRoles.set(peerId, roles[peerId]);
+        });
+        roomLocked = data.locked === true;
+        roomLobby = data.lobby === true;
+        if (announceChanges) {
+            var host = roomHost();
+            if (myRole !== previousRole) {
+                addSystemMessage(myRole === 'member' ? 'You are no longer ' + ROLE_NAMES[previousRole] + '.' : 'You are now ' + ROLE_NAMES[myRole] + '.', 'general');
+            } else if (host && host !== previousHost && host !== myPeerId) {
+                addSystemMessage((peerNames.get(host) || 'Someone') + ' is now the host.', 'general');
+            }
+            if (roomLocked !== wasLocked) {
+                addSystemMessage(roomLocked ? 'The room is locked. Nobody new can join.' : 'The room is unlocked.', 'general');
+            }
+            if (roomLobby !== wasLobby) {
+                addSystemMessage(roomLobby ? 'New joiners now wait in the lobby until let in.' : 'The lobby is off. New joiners come straight in.', 'general');
+            }
+        }
+        renderRoomControls();
+        renderLobby();
+        updateMemberList();
+    }
+
+    function roomHost() {
+        if (myRole === 'host') return myPeerId;
+        for (var [peerId, role] of peerRoles) { if (role === 'host') return peerId; }
+        return null;
+    }
+
+    // Moderators may only act on ordinary members; the host on everyone
+    function canModerate(peerId) {
+        if (myRole === 'host') return true;
+        return myRole === 'moderator' && (peerRoles.get(peerId) || 'member') === 'member';
+    }
+
+    function memberActions(peerId) {
+        var name = peerNames.get(peerId) || 'this member';
+        var role = peerRoles.get(peerId) || 'member';
+        var actions = [];
+        if (myRole === 'host') {
+            if (role === 'member') actions.push({ label: 'Make moderator', run: function() { sendSignaling({ type: 'set-role', peerId: peerId, role: 'moderator' }); } });
+            if (role === 'moderator') actions.push({ label: 'Remove moderator', run: function() { sendSignaling({ type: 'set-role', peerId: peerId, role: 'member' }); } });
+            actions.push({ label: 'Make host', run: function() {
+                if (confirm('Make ' + name + ' the host? You will become a moderator.')) sendSignaling({ type: 'set-role', peerId: peerId, role: 'host' });
+            } });
+        }
+        actions.push({ label: 'Kick', run: function() { sendSignaling({ type: 'kick', peerId: peerId }); } });
+        actions.push({ label: 'Ban', run: function() {
+            if (confirm('Ban ' + name + '? Anyone joining from the same connection will be kept out too.')) sendSignaling({ type: 'ban', peerId: peerId });
+        } });
+        return actions;
+    }
+
+    function openMemberMenu(peerId, x, y) {
+        openActionMenu(memberActions(peerId), 'Moderation actions', x, y);
+    }
+
+    function openActionMenu(actions, label, x, y) {
+        memberMenu.innerHTML = '';
+        memberMenu.setAttribute('aria-label', label);
+        actions.forEach(function(action) {
+            var btn = document.createElement('button');
+            btn.setAttribute('role', 'menuitem');
+            btn.textContent = action.label;
+            btn.addEventListener('click', function() { closeMemberMenu(); action.run(); });
+            memberMenu.appendChild(btn);
+        });
+        memberMenu.style.display = 'block';
+        memberMenu.style.top = Math.min(y, window.innerHeight - memberMenu.offsetHeight - 8) + 'px';
+        memberMenu.style.left = Math.min(x, window.innerWidth - memberMenu.offsetWidth - 8) + 'px';
+        memberMenu.querySelector('button').focus();
+    }
+
+    function closeMemberMenu() {
+        memberMenu.style.display = 'none';
+    }
+
+    function renderRoomControls() {
+        roomEditBtn.style.display = myRole === 'host' ? '' : 'none';
+        if (myRole !== 'host' && roomSettingsDialog.style.display !== 'none') closeRoomSettings();
+        lockRoomBtn.style.display = myRole === 'member' ? 'none' : '';
+        lockRoomBtn.textContent = roomLocked ? '🔓 Unlock' : '🔒 Lock';
+        lockRoomBtn.setAttribute('aria-pressed', roomLocked ? 'true' : 'false');
+        lockRoomBtn.setAttribute('aria-label', roomLocked ? 'Unlock room' : 'Lock room so nobody new can join');
+        lockRoomBtn.title = lockRoomBtn.getAttribute('aria-label');
+        lobbyRoomBtn.style.display = myRole === 'member' ? 'none' : '';
+        lobbyRoomBtn.textContent = roomLobby ? '🚪 Lobby on' : '🚪 Lobby off';
+        lobbyRoomBtn.setAttribute('aria-pressed', roomLobby ? 'true' : 'false');
+        lobbyRoomBtn.setAttribute('aria-label', roomLobby ? 'Turn the lobby off and let everyone waiting in' : 'Make new joiners wait in a lobby');
+        lobbyRoomBtn.title = lobbyRoomBtn.getAttribute('aria-label');
+    }
+
+    // ─── Room Settings ───
+    // The Room DO keeps the room's name, topic and settings for as long as the
+    // room lives. Only the host edits them; everyone gets 'room-updated'.
+    function renderRoomInfo() {
+        roomTitle.textContent = roomSettings.name || 'Room';
+        roomTopic.textContent = roomSettings.topic || '';
+        roomTopic.style.display = roomSettings.topic ? '' : 'none';
+        roomExpiry.textContent = roomSettings.expiresAt ? 'Expires ' + new Date(roomSettings.expiresAt).toLocaleString() : '';
+        roomExpiry.style.display = roomSettings.expiresAt ? '' : 'none';
+        renderDisappearSelect();
+    }
+
+    function handleRoomUpdated(data) {
+        if (!data.room || typeof data.room !== 'object') return;
+        var previous = roomSettings;
+        roomSettings = Object.assign({}, roomSettings, data.room);
+        var by = data.by === myPeerId ? 'You' : (peerNames.get(data.by) || 'The host');
+        if (roomSettings.name !== previous.name) {
+            addSystemMessage(by + (roomSettings.name ? ' renamed the room to ' + roomSettings.name : ' cleared the room name'), 'general');
+        }
+        if (roomSettings.topic !== previous.topic) {
+            addSystemMessage(by + (roomSettings.topic ? ' set the topic: ' + roomSettings.topic : ' cleared the topic'), 'general');
+        }
+        if (roomSettings.maxMembers !== previous.maxMembers) {
+            addSystemMessage(by + (roomSettings.maxMembers ? ' limited the room to ' + roomSettings.maxMembers + ' members' : ' removed the member limit'), 'general');
+        }
+        if (roomSettings.historySync !== previous.historySync) {
+            addSystemMessage(by + ' turned history sync ' + (roomSettings.historySync ? 'on' : 'off'), 'general');
+        }
+        if (roomSettings.relayAllowed !== previous.relayAllowed) {
+            addSystemMessage(by + ' turned the server relay ' + (roomSettings.relayAllowed ? 'on' : 'off') + (roomSettings.relayAllowed ? '' : '. Members without a direct connection can no longer be reached'), 'general');
+        }
+        if (roomSettings.expiresAt !== previous.expiresAt) {
+            addSystemMessage(by + (roomSettings.expiresAt ? ' set the room to expire ' + new Date(roomSettings.expiresAt).toLocaleString() : ' removed the room\'s expiry'), 'general');
+        }
+        if ((roomSettings.mentionAll !== false) !== (previous.mentionAll !== false)) {
+            addSystemMessage(by + (roomSettings.mentionAll !== false ? ' allowed' : ' turned off') + ' @channel and @here', 'general');
+        }
+        if ((roomSettings.disappearAfter || 0) !== (previous.disappearAfter || 0)) {
+            addSystemMessage(by + (roomSettings.disappearAfter ? ' set messages to disappear after ' + formatDuration(roomSettings.disappearAfter) : ' turned off disappearing messages'), 'general');
+        }
+        renderRoomInfo();
+        updateMemberList();
+    }
+
+    function openRoomSettings() {
+        roomSettingsName.value = roomSettings.name || '';
+        roomSettingsTopic.value = roomSettings.topic || '';
+        roomSettingsMax.max = roomSettings.topology === 'hub' ? 100 : 20;
+        roomSettingsMax.value = roomSettings.maxMembers || '';
+        roomSettingsHistory.checked = roomSettings.historySync !== false;
+        roomSettingsRelay.checked = relayAllowed();
+        roomSettingsMentionAll.checked = everyoneMentionsAllowed();
+        roomSettingsExpiry.value = 'keep';
+        roomSettingsDisappear.value = String(roomSettings.disappearAfter || 0);
+        roomSettingsDialog.style.display = 'flex';
+        roomSettingsName.focus();
+    }
+
+    function closeRoomSettings() {
+        roomSettingsDialog.style.display = 'none';
+    }
+
+    function submitRoomSettings() {
+        var max = parseInt(roomSettingsMax.value, 10);
+        var update = {
+            type: 'room-update',
+            name: roomSettingsName.value.trim(),
+            topic: roomSettingsTopic.value.trim(),
+            maxMembers: Number.isInteger(max) && max >= 2 ? Math.min(max, parseInt(roomSettingsMax.max, 10)) : 0,
+            historySync: roomSettingsHistory.checked,
+            relayAllowed: roomSettingsRelay.checked,
+            mentionAll: roomSettingsMentionAll.checked,
+            disappearAfter: parseInt(roomSettingsDisappear.value, 10) || 0,
+        };
+        if (roomSettingsExpiry.value === 'never') update.expiresAt = null;
+        else if (roomSettingsExpiry.value !== 'keep') update.expiresAt = Date.now() + parseInt(roomSettingsExpiry.value, 10) * 3_600_000;
+        sendSignaling(update);
+        closeRoomSettings();
+    }
+
+    // ─── Lobby ───
+    // In knock-to-join rooms the Room DO holds newcomers until a host or
+    // moderator answers; we only show who is waiting and pass on the answer.
+    function handleJoinRequest(data) {
+        if (typeof data.peerId !== 'string') return;
+        var name = typeof data.displayName === 'string' ? data.displayName : 'Someone';
+        joinRequests.set(data.peerId, name);
+        renderLobby();
+        addSystemMessage(name + ' is waiting to join', 'general');
+        playJoinSound();
+    }
+
+    function setJoinRequests(requests) {
+        joinRequests.clear();
+        (Array.isArray(requests) ? requests : []).forEach(function(r) {
+            if (r && typeof r.peerId === 'string') joinRequests.set(r.peerId, typeof r.displayName === 'string' ? r.displayName : 'Someone');
+        });
+        renderLobby();
+    }
+
+    function answerJoinRequest(peerId, allow) {
+        sendSignaling({ type: 'admit', peerId: peerId, allow: allow });
+        joinRequests.delete(peerId);
+        renderLobby();
+    }
+
+    function renderLobby() {
+        lobbyList.innerHTML = '';
+        lobbySection.style.display = myRole !== 'member' && joinRequests.size > 0 ? '' : 'none';
+        lobbyCount.textContent = joinRequests.size;
+        for (var [peerId, name] of joinRequests) {
+            var li = document.createElement('li');
+            li.innerHTML =
+                '<div class="avatar" role="img" aria-label="' + escapeHtml(name) + '" style="background:' + nameColor(name) + '">' + nameInitial(name) + '</div>' +
+                '<span>' + escapeHtml(name) + '</span>';
+            li.appendChild(lobbyButton('✓', 'Let ' + name + ' in', peerId, true));
+            li.appendChild(lobbyButton('✕', 'Turn ' + name + ' away', peerId, false));
+            lobbyList.appendChild(li);
+        }
+    }
+
+    function lobbyButton(text, label, peerId, allow) {
+        var btn = document.createElement('button');
+        btn.className = 'lobby-btn' + (allow ? ' allow' : ' deny');
+        btn.textContent = text;
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+        btn.addEventListener('click', function() { answerJoinRequest(peerId, allow); });
+        return btn;
+    }
+
+    function handleRemoved(data) {
+        joinRejected = true;
+        resumeToken = '';
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        if (call) leaveCall();
+        if (screenShare) stopScreenShare();
+        for (var peerId of Array.from(peerNames.keys())) handlePeerLeft(peerId, null, true);
+        myRole = 'member';
+        joinRequests.clear();
+        renderRoomControls();
+        renderLobby();
+        addSystemMessage(data.reason === 'ban' ? 'You were banned from this room.' : 'You were removed from this room.', 'general');
+    }
+
+    // ─── Signaling Handler ───
+    function handleSignalingMessage(data) {
+        switch (data.type) {
+            case 'welcome':
+                reconnectAttempts = 0;
+                if (typeof data.resume === 'string') resumeToken = data.resume;
+                if (data.resumed && data.peerId === myPeerId) {
+                    handleResumed(data);
+                    break;
+                }
+                // Too late to resume: everyone saw our old session leave, so start over
+                for (var stale of Array.from(peerNames.keys())) handlePeerLeft(stale, null, true);
+                myPeerId = data.peerId;
+                roomSettings = Object.assign({ historySync: true, topology: 'mesh', relayAllowed: true }, data.room);
+                renderRoomInfo();
+                roomAccess = { password: !!(data.access && data.access.password), inviteOnly: !!(data.access && data.access.inviteOnly) };
+                if (typeof data.ticket === 'string') roomAuth = { password: '', invite: '', ticket: data.ticket };
+                applyRoles(data, false);
+                setJoinRequests(data.joinRequests);
+                if (!roomSettings.historySync) addSystemMessage('History sync is disabled in this room.', 'general');
+                if (roomSettings.disappearAfter) addSystemMessage('Messages in this room disappear after ' + formatDuration(roomSettings.disappearAfter) + '.', 'general');
+                applyTopology(data.topology, false);
+                if (isHubMode()) addSystemMessage('Large room: messages to members you are not linked with are forwarded by hubs.', 'general');
+                olderPeers.clear();
+                for (var m of (data.members || [])) {
+                    peerNames.set(m.peerId, m.displayName);
+                    registerPeerSigningKey(m.peerId, m.signingKey);
+                    olderPeers.add(m.peerId);
+                    if (shouldConnect(m.peerId)) createPeerConnection(m.peerId, true);
+                }
+                updateMemberList();
+                break;
+            case 'topology':
+                applyTopology(data, true);
+                break;
+            case 'peer-joined':
+                peerNames.set(data.peerId, data.displayName);
+                peerRoles.set(data.peerId, data.role === 'host' ? 'host' : 'member');
+                registerPeerSigningKey(data.peerId, data.signingKey);
+                refreshIceServers(); // keep TURN credentials fresh for the incoming offer
+                addSystemMessage(data.displayName + ' joined the room', 'general');
+                playJoinSound();
+                updateMemberList();
+                break;
+            case 'peer-left':
+                handlePeerLeft(data.peerId, data.removed);
+                break;
+            case 'roles':
+                applyRoles(data, true);
+                break;
+            case 'lobby':
+                addSystemMessage('Waiting for the host to let you in…', 'general');
+                break;
+            case 'join-request':
+                handleJoinRequest(data);
+                break;
+            case 'join-requests':
+                setJoinRequests(data.requests);
+                break;
+            case 'removed':
+                handleRemoved(data);
+                break;
+            case 'room-updated':
+                handleRoomUpdated(data);
+                break;
+            case 'offer':
+                handleOffer(data.from, data.sdp);
+                break;
+            case 'answer':
+                handleAnswer(data.from, data.sdp);
+                break;
+            case 'ice-candidate':
+                handleIceCandidate(data.from, data.candidate);
+                break;
+            case 'key-exchange':
+                handlePeerKey(data.from, data.publicKey, data.signature, 'relay');
+                break;
+            case 'relay':
+                receiveRelayedFrame(data.from, data.payload, data.frag);
+                break;
+            case 'join-error':
+                handleJoinError(data);
+                break;
+            case 'invite-created':
+                handleInviteCreated(data);
+                break;
+            case 'error':
+                noteSignalingError(data.message);
+                showError(data.message);
+                break;
+        }
+    }
+
+    // ─── WebRTC ───
+    function createPeerConnection(peerId, isInitiator) {
+        var pc = new RTCPeerConnection({ iceServers: iceServers });
+        // The peer that joined later initiates and is the impolite side of perfect negotiation
+        var peerState = { pc: pc, dataChannel: null, displayName: peerNames.get(peerId) || 'Unknown', connected: false, isInitiator: isInitiator, polite: !isInitiator, makingOffer: false, ignoreOffer: false, callSenders: [], remoteStream: null, screenSenders: [], screenStream: null, route: '', restartTimer: null, restartAttempts: 0 };
+        peers.set(peerId, peerState);
+
+        pc.onicecandidate = function(event) {
+            if (event.candidate) sendSignaling({ type: 'ice-candidate', to: peerId, candidate: event.candidate });
+        };
+        pc.onconnectionstatechange = function() {
+            if (pc.connectionState === 'connected') {
+                handlePeerRecovered(peerId);
+            } else if (pc.connectionState === 'failed') {
+                // Announce the fallback once, not on every restart that fails too
+                if (peerState.restartAttempts === 0 && relayAllowed()) {
+                    addSystemMessage('P2P failed with ' + (peerNames.get(peerId) || peerId) + '. Using encrypted server relay while reconnecting.', 'general');
+                    if (!getPeerCrypto(peerId).sentKeyViaRelay) sendKeyViaRelay(peerId);
+                } else if (peerState.restartAttempts === 0) {
+                    addSystemMessage('P2P failed with ' + (peerNames.get(peerId) || peerId) + ' and the server relay is turned off in this room. Reconnecting…', 'general');
+                }
+                handlePeerDisconnected(peerId);
+                scheduleIceRestart(peerId, 0);
+            } else if (pc.connectionState === 'disconnected') {
+                handlePeerDisconnected(peerId);
+                scheduleIceRestart(peerId, ICE_RESTART_GRACE);
+            } else if (pc.connectionState === 'closed') {
+                handlePeerDisconnected(peerId);
+            }
+        };
+
+        // Fires for the initial DataChannel and again whenever call tracks come or go
+        pc.onnegotiationneeded = async function() {
+            try {
+                peerState.makingOffer = true;
+                await pc.setLocalDescription();
+                sendSignaling({ type: 'offer', to: peerId, sdp: pc.localDescription.sdp });
+            } catch(err) {
+                console.error('Offer error', peerId, err);
+            } finally {
+                peerState.makingOffer = false;
+            }
+        };
+        pc.ontrack = function(event) {
+            var stream = event.streams[0] || new MediaStream([event.track]);
+            if (screenSharers.get(peerId) === stream.id) {
+                peerState.screenStream = stream;
+                showScreenTile(peerId, stream);
+                return;
+            }
+            peerState.remoteStream = stream;
+            attachRemoteStream(peerId);
+        };
+
+        if (isInitiator) {
+            var dc = pc.createDataChannel('chat', { ordered: true });
+            setupDataChannel(dc, peerId);
+            peerState.dataChannel = dc;
+        } else {
+            pc.ondatachannel = function(event) {
+                peerState.dataChannel = event.channel;
+                setupDataChannel(event.channel, peerId);
+            };
+        }
+        return pc;
+    }
+
+    function setupDataChannel(dc, peerId) {
+        dc.binaryType = 'arraybuffer';
+        dc.onopen = function() {
+            var peer = peers.get(peerId);
+            if (peer) peer.connected = true;
+            relayedPeers.delete(peerId);
+            updateConnectionStatus();
+            updateMemberList();
+            addSystemMessage('Connected to ' + (peerNames.get(peerId) || peerId) + ' (P2P)', 'general');
+            // Our public key is the only plaintext message; everything after is sealed
+            try { dc.send(JSON.stringify({ type: 'key', publicKey: myPublicKey, signature: myKeySignature })); } catch {}
+            // Send our channels and status to new peer
+            broadcastPeerMessageTo(peerId, syncChannelsMessage(peerId));
+            if (myStatus) broadcastPeerMessageTo(peerId, { type: 'status', emoji: myStatus });
+            if (call) broadcastPeerMessageTo(peerId, callStateMessage());
+            if (screenShare) { broadcastPeerMessageTo(peerId, screenStateMessage()); addScreenTracks(peerId); }
+            // We initiate to members who were here before us, so they hold the backlog
+            if (peer && peer.isInitiator) requestHistory(peerId);
+            resumeTransfers(peerId);
+        };
+        dc.bufferedAmountLowThreshold = FILE_LOW_WATER;
+        dc.onbufferedamountlow = function() { pumpTransfers(peerId); };
+        dc.onclose = function() { handlePeerDisconnected(peerId); };
+        dc.onerror = function() {};
+        dc.onmessage = function(event) {
+            if (event.data instanceof ArrayBuffer) {
+                receiveFrame(peerId, event.data);
+                return;
+            }
+            try {
+                var msg = JSON.parse(event.data);
+                if (msg.type === 'key') handlePeerKey(peerId, msg.publicKey, msg.signature, 'datachannel');
+                // Any other plaintext payload is dropped
+            } catch(e) { console.error('DC parse error:', e); }
+        };
+    }
+
+    // Sender names come from the peerId the payload was signed under, never from
+    // the payload itself. Chats that fail verification are still shown, flagged.
+    function handlePeerMessage(peerId, msg, trust, forwarded) {
+        var sender = peerNames.get(peerId) || 'Unknown';
+        if (trust === 'invalid' && msg.type !== 'chat') return;
+        var channel = msg.channel;
+        if (msg.dm === true) {
+            // Hubs could read a forwarded DM, so it isn't one we accept
+            if (forwarded) return;
+            channel = dmChannel(peerId);
+        } else if (isDmChannel(channel)) {
+            return;
+        } else if (typeof channel === 'string' && !canPostIn(channel, peerId, msg.private === true, forwarded)) {
+            return;
+        }
+        switch (msg.type) {
+            case 'chat':
+                handleIncomingChat(sender, msg.text, msg.timestamp, channel || 'general', msg.replyTo || null, msg.msgId || null, trust,
+                    trust === 'verified' ? peerIdentities.get(peerId) : '', sanitizeThread(msg.thread), sanitizeLifetime(msg.expiresIn), sanitizeMentions(msg.mentions));
+                break;
+            case 'edit':
+                handleIncomingEdit(peerId, msg, trust);
+                break;
+            case 'delete':
+                handleIncomingDelete(peerId, msg, trust);
+                break;
+            case 'typing':
+                handleTypingEvent(peerId, channel, sanitizeThread(msg.thread));
+                break;
+            case 'reaction':
+                // Only members of a DM or private channel can react in it
+                var reacted = messageData.get(msg.msgId);
+                if (reacted && (isDmChannel(reacted.channel) || isPrivateChannel(reacted.channel)) && reacted.channel !== channel) break;
+                handleIncomingReaction(msg.msgId, msg.emoji, sender, msg.remove);
+                break;
+            case 'channel-update':
+                receiveChannelRecords([msg.channel], peerId, true);
+                break;
+            case 'sync-channels':
+                receiveChannelRecords(msg.channels, peerId, false);
+                break;
+            case 'status':
+                peerStatuses.set(peerId, msg.emoji || '');
+                updateMemberList();
+                break;
+            case 'history-request':
+                sendHistory(peerId);
+                break;
+            case 'history-sync':
+                applyHistory(peerId, msg.messages);
+                break;
+            case 'file-offer':
+                handleFileOffer(peerId, msg, trust);
+                break;
+            case 'file-accept':
+                handleFileAccept(peerId, msg);
+                break;
+            case 'file-ack':
+                handleFileAck(peerId, msg);
+                break;
+            case 'file-control':
+                handleFileControl(peerId, msg);
+                break;
+            case 'call-state':
+                handleCallState(peerId, msg);
+                break;
+            case 'screen-state':
+                handleScreenState(peerId, msg);
+                break;
+            default: break;
+        }
+    }
+
+    function handleIncomingChat(sender, text, timestamp, channel, replyTo, msgId, trust, author, thread, lifetime, mentions) {
+        if (msgId && messageData.has(msgId)) return;
+        if (thread) {
+            // Threads don't nest: a reply to a reply joins the root's thread
+            thread = threadRootOf(thread);
+            if (thread === msgId) thread = null;
+            // Replies are filed under their root, so one naming another channel
+            // would get past the membership check into the root's thread
+            var root = thread && messageData.get(thread);
+            if (thread && (!root || root.channel !== channel)) return;
+        }
+        if (isDmChannel(channel)) ensureDm(dmPeer(channel));
+        else if (!ensureChannel(channel)) return;
+        var id = msgId || ('remote-' + (nextMsgId++));
+        if (thread) {
+            if (thread !== openThread) threadUnread.set(thread, (threadUnread.get(thread) || 0) + 1);
+            addChatMessage(sender, text, timestamp, channel, null, id, trust, author, thread, mentions);
+        } else {
+            addChatMessage(sender, text, timestamp, channel, replyTo, id, trust, author, null, mentions);
+        }
+        if (lifetime) setMessageExpiry(id, expiryFrom(timestamp, lifetime));
+        if (!thread && channel !== activeChannel) {
+            channelUnread.set(channel, (channelUnread.get(channel) || 0) + 1);
+            renderChannelList();
+        }
+        if (!mentionsMe(mentions)) {
+            playMessageSound();
+            return;
+        }
+        // Counted apart from channelUnread, thread replies included
+        if (channel !== activeChannel && !isDmChannel(channel)) {
+            mentionUnread.set(channel, (mentionUnread.get(channel) || 0) + 1);
+            renderChannelList();
+        }
+        announce(sender + ' mentioned you in ' + (isDmChannel(channel) ? 'a direct message' : '#' + channelName(channel)));
+        playMentionSound();
+    }
+
+    // Perfect negotiation: on colliding offers the impolite side ignores the
+    // remote offer and the polite side rolls back its own (implicitly, via
+    // setRemoteDescription) and answers.
+    async function handleOffer(fromPeerId, sdp) {
+        var peer = peers.get(fromPeerId);
+        // An ICE restart keeps the DTLS fingerprint; a new one means the peer
+        // started over with a fresh connection
+        var replaced = peer && peer.pc.remoteDescription && sdpFingerprint(peer.pc.remoteDescription.sdp) !== sdpFingerprint(sdp);
+        if (!peer || peer.pc.connectionState === 'closed' || replaced) {
+            if (peer) discardPeerConnection(peer);
+            createPeerConnection(fromPeerId, false);
+            peer = peers.get(fromPeerId);
+        }
+        var pc = peer.pc;
+        var collision = peer.makingOffer || pc.signalingState !== 'stable';
+        peer.ignoreOffer = !peer.polite && collision;
+        if (peer.ignoreOffer) return;
+        try {
+            await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: sdp }));
+            await pc.setLocalDescription();
+            sendSignaling({ type: 'answer', to: fromPeerId, sdp: pc.localDescription.sdp });
+        } catch(err) { console.error('Offer handle error', err); }
+    }
+
+    // Detach handlers first so the old connection closing does not mark the
+    // replacement as disconnected
+    function discardPeerConnection(peer) {
+        clearTimeout(peer.restartTimer);
+        peer.pc.onconnectionstatechange = null;
+        peer.pc.onnegotiationneeded = null;
+        if (peer.dataChannel) peer.dataChannel.onclose = null;
+        try { peer.pc.close(); } catch {}
+    }
+
+    function sdpFingerprint(sdp) {
+        var match = /a=fingerprint:(\S+ \S+)/.exec(sdp || '');
+        return match ? match[1] : '';
+    }
+
+    // ─── Connection Recovery ───
+    // A link that drops or fails is not given up on: we restart ICE with
+    // backoff, and the restart offer goes through the usual offer/answer path
+    // while the server relay (if allowed) carries traffic meanwhile. Both sides
+    // may restart at once; perfect negotiation settles the glare, with the
+    // polite side rolling its own offer back.
+    function scheduleIceRestart(peerId, delay) {
+        var peer = peers.get(peerId);
+        if (!peer || peer.restartTimer) return;
+        var backoff = Math.min(ICE_RESTART_MAX, ICE_RESTART_BASE * Math.pow(2, peer.restartAttempts));
+        peer.restartTimer = setTimeout(function() {
+            peer.restartTimer = null;
+            restartIce(peerId, peer);
+        }, delay + backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    async function restartIce(peerId, peer) {
+        var pc = peer.pc;
+        if (peers.get(peerId) !== peer || pc.connectionState === 'connected' || pc.connectionState === 'closed') return;
+        peer.restartAttempts++;
+        try {
+            // Fresh TURN credentials, in case the old ones are what stopped working
+            await refreshIceServers();
+            pc.setConfiguration({ iceServers: iceServers });
+            // An offer lost while signaling was down would block renegotiation
+            if (pc.signalingState === 'have-local-offer') await pc.setLocalDescription({ type: 'rollback' });
+            pc.restartIce();
+        } catch(err) { console.error('ICE restart error', peerId, err); }
+        // Try again later if this attempt doesn't get through either
+        scheduleIceRestart(peerId, 0);
+    }
+
+    function handlePeerRecovered(peerId) {
+        var peer = peers.get(peerId);
+        if (!peer) return;
+        clearTimeout(peer.restartTimer);
+        peer.restartTimer = null;
+        peer.restartAttempts = 0;
+        detectRoute(peerId);
+        if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
+            if (peer.connected) return;
+            // The DataChannel outlived the outage
+            peer.connected = true;
+            markRelayed(peerId, false);
+            addSystemMessage('Reconnected to ' + (peerNames.get(peerId) || peerId) + ' (P2P)', 'general');
+            resumeTransfers(peerId);
+        } else if (peer.isInitiator && peer.dataChannel && peer.dataChannel.readyState === 'closed') {
+            // It didn't; open a new one on the recovered connection
+            var dc = peer.pc.createDataChannel('chat', { ordered: true });
+            setupDataChannel(dc, peerId);
+            peer.dataChannel = dc;
+        }
+    }
+
+    // Whether the selected candidate pair goes through a TURN server
+    async function detectRoute(peerId) {
+        var peer = peers.get(peerId);
+        if (!peer) return;
+        try {
+            var stats = await peer.pc.getStats();
+            var pair = selectedCandidatePair(stats);
+            var local = pair && stats.get(pair.localCandidateId);
+            var remote = pair && stats.get(pair.remoteCandidateId);
+            peer.route = (local && local.candidateType === 'relay') || (remote && remote.candidateType === 'relay') ? 'turn' : 'direct';
+        } catch {
+            peer.route = '';
+        }
+        updateMemberList();
+    }
+
+    function selectedCandidatePair(stats) {
+        var pair = null;
+        stats.forEach(function(report) {
+            if (report.type === 'transport' && report.selectedCandidatePairId) pair = stats.get(report.selectedCandidatePairId);
+        });
+        // Firefox doesn't report the transport's selected pair
+        if (!pair) stats.forEach(function(report) { if (report.type === 'candidate-pair' && report.selected) pair = report; });
+        return pair;
+    }
+
+    // ─── Diagnostics ───
+    // A live view of every peer connection from getStats(), for working out why
+    // someone can't connect. The copied report leaves out names, the room
+    // code, keys and IP addresses; peers appear only by their room peerId.
+    function noteSignalingError(message) {
+        signalingErrors.push({ time: Date.now(), message: String(message || '').slice(0, 200) });
+        if (signalingErrors.length > SIGNALING_ERROR_LOG) signalingErrors.shift();
+    }
+
+    async function peerDiagnostics(peerId, peer) {
+        var out = {
+            peerId: peerId,
+            link: peerLink(peerId),
+            connectionState: peer.pc.connectionState,
+            iceConnectionState: peer.pc.iceConnectionState,
+            signalingState: peer.pc.signalingState,
+            iceRestarts: peer.restartAttempts,
+            candidatePair: null,
+            protocol: null,
+            rttMs: null,
+            bytesSent: 0,
+            bytesReceived: 0,
+            dataChannel: peer.dataChannel ? peer.dataChannel.readyState : 'none',
+            bufferedAmount: peer.dataChannel ? peer.dataChannel.bufferedAmount : 0,
+        };
+        try {
+            var stats = await peer.pc.getStats();
+            var pair = selectedCandidatePair(stats);
+            if (pair) {
+                var local = stats.get(pair.localCandidateId);
+                var remote = stats.get(pair.remoteCandidateId);
+                // Candidate types only (host/srflx/prflx/relay), never addresses
+                out.candidatePair = (local ? local.candidateType : '?') + ' → ' + (remote ? remote.candidateType : '?');
+                out.protocol = local && local.protocol ? local.protocol : null;
+                out.rttMs = typeof pair.currentRoundTripTime === 'number' ? Math.round(pair.currentRoundTripTime * 1000) : null;
+                out.bytesSent = pair.bytesSent || 0;
+                out.bytesReceived = pair.bytesReceived || 0;
+            }
+        } catch {
+            // Closed connections have no stats
+        }
+        return out;
+    }
+
+    async function collectDiagnostics() {
+        var peerReports = await Promise.all(Array.from(peers).map(function(entry) { return peerDiagnostics(entry[0], entry[1]); }));
+        return {
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            signaling: ws ? ['connecting', 'open', 'closing', 'closed'][ws.readyState] : 'none',
+            reconnectAttempts: reconnectAttempts,
+            topology: topology.mode,
+            relayAllowed: relayAllowed(),
+            turnConfigured: iceServers.some(function(server) {
+                return [].concat(server.urls).some(function(u) { return /^turns?:/.test(u); });
+            }),
+            members: peerNames.size,
+            relayedPeers: relayedPeers.size,
+            peers: peerReports,
+            rateLimitErrors: signalingErrors.filter(function(e) { return /rate limited/i.test(e.message); }).length,
+            errors: signalingErrors.map(function(e) { return { time: new Date(e.time).toISOString(), message: e.message }; }),
+        };
+    }
+
+    async function renderDiagnostics() {
+        var report = await collectDiagnostics();
+        if (diagnosticsDialog.style.display === 'none') return;
+        diagnosticsSummary.textContent = 'Signaling: ' + report.signaling +
+            (report.reconnectAttempts ? ' (retry ' + report.reconnectAttempts + ')' : '') +
+            ' · TURN ' + (report.turnConfigured ? 'configured' : 'not configured') +
+            ' · Rate-limit errors: ' + report.rateLimitErrors;
+        diagnosticsBody.innerHTML = '';
+        if (report.peers.length === 0) {
+            var empty = document.createElement('tr');
+            var cell = document.createElement('td');
+            cell.colSpan = 6;
+            cell.textContent = 'No peer connections yet.';
+            empty.appendChild(cell);
+            diagnosticsBody.appendChild(empty);
+        }
+        report.peers.forEach(function(p) {
+            var tr = document.createElement('tr');
+            [
+                peerNames.get(p.peerId) || p.peerId,
+                p.link + ' · ' + p.connectionState + (p.iceRestarts ? ' · restart ' + p.iceRestarts : ''),
+                p.candidatePair ? p.candidatePair + (p.protocol ? ' (' + p.protocol + ')' : '') : '—',
+                p.rttMs === null ? '—' : p.rttMs + ' ms',
+                formatBytes(p.bytesSent) + ' / ' + formatBytes(p.bytesReceived),
+                p.dataChannel + (p.bufferedAmount ? ' · ' + formatBytes(p.bufferedAmount) + ' queued' : ''),
+            ].forEach(function(text) {
+                var td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            diagnosticsBody.appendChild(tr);
+        });
+        diagnosticsErrors.innerHTML = '';
+        report.errors.slice(-5).forEach(function(e) {
+            var li = document.createElement('li');
+            li.textContent = new Date(e.time).toLocaleTimeString() + ' — ' + e.message;
+            diagnosticsErrors.appendChild(li);
+        });
+    }
+
+    function openDiagnostics() {
+        diagnosticsDialog.style.display = 'flex';
+        renderDiagnostics();
+        clearInterval(diagnosticsTimer);
+        diagnosticsTimer = setInterval(renderDiagnostics, DIAGNOSTICS_POLL);
+        diagnosticsCloseBtn.focus();
+    }
+
+    function closeDiagnostics() {
+        clearInterval(diagnosticsTimer);
+        diagnosticsTimer = null;
+        diagnosticsDialog.style.display = 'none';
+    }
+
+    async function copyDiagnostics() {
+        var report = await collectDiagnostics();
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+            showShareToast('Diagnostic report copied!');
+        } catch {
+            showError('Could not copy the diagnostic report');
+        }
+    }
+
+    async function handleAnswer(fromPeerId, sdp) {
+        var peer = peers.get(fromPeerId);
+        if (!peer) return;
+        try { await peer.pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: sdp })); } catch(err) { console.error('Answer error', err); }
+    }
+
+    async function handleIceCandidate(fromPeerId, candidate) {
+        var peer = peers.get(fromPeerId);
+        if (!peer) return;
+        try {
+            if (candidate) await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+        } catch(err) {
+            if (!peer.ignoreOffer) console.error('ICE candidate error', err);
+        }
+    }
+
+    // `removed` is 'kick' or 'ban' when a moderator took them out; `quiet` skips the notice
+    function handlePeerLeft(peerId, removed, quiet) {
+        if (!peerNames.has(peerId) && !peers.has(peerId)) return;
+        var name = peerNames.get(peerId) || peerId;
+        var peer = peers.get(peerId);
+        if (peer) {
+            clearTimeout(peer.restartTimer);
+            if (peer.dataChannel) try { peer.dataChannel.close(); } catch {}
+            if (peer.pc) try { peer.pc.close(); } catch {}
+            peers.delete(peerId);
+        }
+        peerNames.delete(peerId);
+        peerStatuses.delete(peerId);
+        peerKeys.delete(peerId);
+        historyRequested.delete(peerId);
+        historyServed.delete(peerId);
+        olderPeers.delete(peerId);
+        peerRoles.delete(peerId);
+        peerSigningKeys.delete(peerId);
+        peerIdentities.delete(peerId);
+        dropPeerTransfers(peerId);
+        dropCallPeer(peerId);
+        dropScreenPeer(peerId);
+        typingPeers.delete(peerId);
+        threadTypingPeers.delete(peerId);
+        updateTypingIndicator();
+        if (!quiet) {
+            addSystemMessage(name + (removed === 'ban' ? ' was banned from the room' : (removed === 'kick' ? ' was removed from the room' : ' left the room')), 'general');
+            if (dmNames.has(peerId)) addSystemMessage(name + ' left the room. Messages here can no longer be delivered.', dmChannel(peerId));
+            playLeaveSound();
+        }
+        updateMemberList();
+        updateConnectionStatus();
+    }
+
+    function handlePeerDisconnected(peerId) {
+        var peer = peers.get(peerId);
+        if (peer) { peer.connected = false; updateConnectionStatus(); updateMemberList(); }
+        requeueTransfers(peerId);
+    }
+
+    // ─── Capture Window ───
+    // This page's Permissions-Policy denies the microphone, camera and screen
+    // capture; only call.html is allowed them (see _headers). Starting a call
+    // or a share opens it in a small window, and its tracks, being
+    // same-origin, go straight onto our peer connections. Closing it ends the
+    // call and the share.
+
+    // Must run before the caller's first await, or the popup is blocked
+    function openCaptureWindow() {
+        if (captureWindow && !captureWindow.closed) return captureWindow;
+        captureWindow = window.open('call.html', '', 'popup,width=380,height=320');
+        return captureWindow;
+    }
+
+    // Resolves with the window's safepeerCapture API once its script has run
+    function captureApi(win) {
+        return new Promise(function(resolve, reject) {
+            if (!win) { reject(new Error('the call window was blocked. Allow pop-ups for this site and try again.')); return; }
+            var started = Date.now();
+            (function check() {
+                if (win.closed) { reject(new Error('the call window was closed.')); return; }
+                var api = null;
+                try { api = win.safepeerCapture || null; } catch {}
+                if (api) {
+                    api.onclose = captureWindowClosed;
+                    resolve(api);
+                } else if (Date.now() - started > CAPTURE_LOAD_TIMEOUT) {
+                    reject(new Error('the call window did not load.'));
+                } else {
+                    setTimeout(check, 50);
+                }
+            })();
+        });
+    }
+
+    function captureWindowClosed() {
+        captureWindow = null;
+        // Called from the window's pagehide; tidy up once it has gone
+        setTimeout(function() {
+            if (call) leaveCall();
+            if (screenShare) stopScreenShare();
+        }, 0);
+    }
+
+    function setCaptureStatus() {
+        if (!captureWindow || captureWindow.closed || !captureWindow.safepeerCapture) return;
+        var parts = [];
+        if (call) parts.push((call.cameraOff ? 'Microphone' : 'Microphone and camera') + ' on for the call in #' + channelName(call.channel));
+        if (screenShare) parts.push('Sharing your screen');
+        captureWindow.safepeerCapture.setStatus(parts.join(' · ') || 'Starting…');
+    }
+
+    // Close the window once neither a call nor a share needs it
+    function releaseCaptureWindow() {
+        if (call || screenShare || !captureWindow) return;
+        var win = captureWindow;
+        captureWindow = null;
+        try { if (win.safepeerCapture) win.safepeerCapture.onclose = null; } catch {}
+        win.close();
+    }
+
+    // ─── Calls ───
+    // Opt-in, one call per channel. Joining adds our microphone (and camera)
+    // tracks to the existing peer connections of everyone in the same call;
+    // the resulting renegotiation runs through the usual offer/answer path.
+    // Who is in which call is announced with sealed call-state messages.
+    function callStateMessage() {
+        return { type: 'call-state', channel: call ? call.channel : null, video: !!(call && !call.cameraOff), muted: !!(call && call.micMuted) };
+    }
+
+    function callParticipants(channel) {
+        var count = call && call.channel === channel ? 1 : 0;
+        for (var [, state] of callPeers) { if (state.channel === channel) count++; }
+        return count;
+    }
+
+    async function startCall(video) {
+        if ((call && call.channel === activeChannel) || isDmChannel(activeChannel) || isPrivateChannel(activeChannel)) return;
+        if (call) leaveCall();
+        var channel = activeChannel;
+        var win = openCaptureWindow();
+        var stream;
+        try {
+            var capture = await captureApi(win);
+            stream = await capture.userMedia({ audio: { echoCancellation: true, noiseSuppression: true }, video: video ? CALL_VIDEO : false });
+        } catch(err) {
+            addSystemMessage('Could not start the call: ' + (err.name === 'NotAllowedError' ? 'microphone or camera access was denied.' : err.message));
+            releaseCaptureWindow();
+            return;
+        }
+        // Another start finished while we waited; it keeps the window
+        if (call) { stream.getTracks().forEach(function(track) { track.stop(); }); return; }
+        call = { channel: channel, stream: stream, micMuted: false, cameraOff: !video };
+        setCaptureStatus();
+        if (!audioCtx) audioCtx = new AudioCtx();
+        audioCtx.resume();
+        var tile = ensureCallTile('self');
+        tile.querySelector('video').srcObject = stream;
+        watchSpeaker('self', stream);
+        for (var [peerId, state] of callPeers) {
+            if (state.channel === call.channel) { addCallTracks(peerId); attachRemoteStream(peerId); }
+        }
+        broadcastPeerMessage(callStateMessage());
+        speakerTimer = setInterval(updateActiveSpeaker, SPEAKER_POLL);
+        addSystemMessage('You joined the call in #' + call.channel, call.channel);
+        renderCallPanel();
+        renderChannelList();
+    }
+
+    function leaveCall() {
+        if (!call) return;
+        var channel = call.channel;
+        for (var [peerId] of peers) removeCallTracks(peerId);
+        call.stream.getTracks().forEach(function(track) { track.stop(); });
+        call = null;
+        clearInterval(speakerTimer);
+        speakerTimer = null;
+        for (var [id] of callMeters) stopSpeakerMeter(id);
+        callTiles.innerHTML = '';
+        broadcastPeerMessage(callStateMessage());
+        addSystemMessage('You left the call in #' + channel, channel);
+        renderCallPanel();
+        renderChannelList();
+        releaseCaptureWindow();
+        setCaptureStatus();
+    }
+
+    // Idempotent: only tracks not yet sent to this peer are added
+    function addCallTracks(peerId) {
+        var peer = peers.get(peerId);
+        if (!call || !peer || peer.pc.connectionState === 'failed' || peer.pc.connectionState === 'closed') return;
+        call.stream.getTracks().forEach(function(track) {
+            if (peer.callSenders.some(function(sender) { return sender.track === track; })) return;
+            peer.callSenders.push(peer.pc.addTrack(track, call.stream));
+        });
+    }
+
+    function removeCallTracks(peerId) {
+        var peer = peers.get(peerId);
+        if (!peer) return;
+        peer.callSenders.splice(0).forEach(function(sender) {
+            try { peer.pc.removeTrack(sender); } catch {}
+        });
+        peer.remoteStream = null;
+    }
+
+    function handleCallState(peerId, msg) {
+        var channel = typeof msg.channel === 'string' && channels.includes(msg.channel) ? msg.channel : null;
+        var previous = callPeers.get(peerId);
+        var name = peerNames.get(peerId) || 'Someone';
+        if (channel) callPeers.set(peerId, { channel: channel, video: !!msg.video, muted: !!msg.muted });
+        else callPeers.delete(peerId);
+        if (call && previous && previous.channel === call.channel && channel !== call.channel) {
+            removeCallTracks(peerId);
+            removeCallTile(peerId);
+        }
+        if (call && channel === call.channel) {
+            addCallTracks(peerId);
+            attachRemoteStream(peerId);
+        }
+        if (channel && (!previous || previous.channel !== channel)) {
+            addSystemMessage(name + (callParticipants(channel) === 1 ? ' started a call' : ' joined the call'), channel);
+            if (!call) playJoinSound();
+        } else if (!channel && previous) {
+            addSystemMessage(name + ' left the call', previous.channel);
+        }
+        renderCallPanel();
+        renderChannelList();
+    }
+
+    function dropCallPeer(peerId) {
+        if (!callPeers.has(peerId)) return;
+        callPeers.delete(peerId);
+        removeCallTile(peerId);
+        renderCallPanel();
+        renderChannelList();
+    }
+
+    // Remote media is only shown while we are in the same call
+    function attachRemoteStream(peerId) {
+        var peer = peers.get(peerId);
+        var state = callPeers.get(peerId);
+        if (!call || !peer || !state || state.channel !== call.channel) return;
+        var tile = ensureCallTile(peerId);
+        var video = tile.querySelector('video');
+        if (peer.remoteStream && video.srcObject !== peer.remoteStream) video.srcObject = peer.remoteStream;
+        if (peer.remoteStream) watchSpeaker(peerId, peer.remoteStream);
+        renderCallTile(peerId);
+    }
+
+    function ensureCallTile(id) {
+        var tile = callTiles.querySelector('[data-call-id="' + id + '"]');
+        if (tile) return tile;
+        var name = id === 'self' ? displayName : (peerNames.get(id) || 'Unknown');
+        tile = document.createElement('div');
+        tile.className = 'call-tile';
+        tile.setAttribute('data-call-id', id);
+        tile.innerHTML =
+            '<video autoplay playsinline></video>' +
+            '<div class="call-tile-avatar" style="background:' + nameColor(name) + '">' + nameInitial(name) + '</div>' +
+            '<div class="call-tile-name"><span class="call-tile-muted" aria-label="muted">🔇</span>' + escapeHtml(id === 'self' ? name + ' (you)' : name) + '</div>';
+        // Our own tile must never play back our microphone
+        tile.querySelector('video').muted = id === 'self';
+        callTiles.appendChild(tile);
+        renderCallTile(id);
+        return tile;
+    }
+
+    function renderCallTile(id) {
+        var tile = callTiles.querySelector('[data-call-id="' + id + '"]');
+        if (!tile) return;
+        var state = id === 'self' ? { video: call && !call.cameraOff, muted: call && call.micMuted } : callPeers.get(id);
+        if (!state) return;
+        tile.classList.toggle('no-video', !state.video);
+        tile.querySelector('.call-tile-muted').style.display = state.muted ? '' : 'none';
+    }
+
+    function removeCallTile(id) {
+        var tile = callTiles.querySelector('[data-call-id="' + id + '"]');
+        if (tile) tile.remove();
+        stopSpeakerMeter(id);
+    }
+
+    function toggleCallMic() {
+        if (!call) return;
+        call.micMuted = !call.micMuted;
+        call.stream.getAudioTracks().forEach(function(track) { track.enabled = !call.micMuted; });
+        broadcastPeerMessage(callStateMessage());
+        renderCallTile('self');
+        renderCallPanel();
+    }
+
+    async function toggleCallCamera() {
+        if (!call) return;
+        var tracks = call.stream.getVideoTracks();
+        if (tracks.length === 0) {
+            // Audio-only so far: fetch a camera track and renegotiate with everyone in the call
+            try {
+                var camera = await (await captureApi(captureWindow)).userMedia({ video: CALL_VIDEO });
+                if (!call) { camera.getTracks().forEach(function(track) { track.stop(); }); return; }
+                call.stream.addTrack(camera.getVideoTracks()[0]);
+            } catch(err) {
+                addSystemMessage('Could not turn on the camera: ' + (err.name === 'NotAllowedError' ? 'access was denied.' : err.message));
+                return;
+            }
+            for (var [peerId, state] of callPeers) {
+                if (state.channel === call.channel) addCallTracks(peerId);
+            }
+            call.cameraOff = false;
+        } else {
+            call.cameraOff = !call.cameraOff;
+            tracks.forEach(function(track) { track.enabled = !call.cameraOff; });
+        }
+        setCaptureStatus();
+        broadcastPeerMessage(callStateMessage());
+        renderCallTile('self');
+        renderCallPanel();
+    }
+
+    // ─── Active Speaker ───
+    function watchSpeaker(id, stream) {
+        if (callMeters.has(id) || stream.getAudioTracks().length === 0) return;
+        if (!audioCtx) audioCtx = new AudioCtx();
+        var source = audioCtx.createMediaStreamSource(stream);
+        var analyser = audioCtx.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+        callMeters.set(id, { source: source, analyser: analyser, samples: new Float32Array(analyser.fftSize) });
+    }
+
+    function stopSpeakerMeter(id) {
+        var meter = callMeters.get(id);
+        if (!meter) return;
+        try { meter.source.disconnect(); } catch {}
+        callMeters.delete(id);
+    }
+
+    function updateActiveSpeaker() {
+        var loudest = null;
+        var loudestLevel = SPEAKER_THRESHOLD;
+        for (var [id, meter] of callMeters) {
+            if (id === 'self' && call && call.micMuted) continue;
+            meter.analyser.getFloatTimeDomainData(meter.samples);
+            var sum = 0;
+            for (var i = 0; i < meter.samples.length; i++) sum += meter.samples[i] * meter.samples[i];
+            var level = Math.sqrt(sum / meter.samples.length);
+            if (level > loudestLevel) { loudest = id; loudestLevel = level; }
+        }
+        callTiles.querySelectorAll('.call-tile').forEach(function(tile) {
+            tile.classList.toggle('speaking', tile.getAttribute('data-call-id') === loudest);
+        });
+    }
+
+    function renderCallPanel() {
+        var inCallHere = call && call.channel === activeChannel;
+        var others = callParticipants(activeChannel) - (inCallHere ? 1 : 0);
+        callPanel.style.display = call ? 'flex' : 'none';
+        // Calls are per channel and announced to the whole room, so not offered in
+        // DMs or private channels
+        var closed = isDmChannel(activeChannel) || isPrivateChannel(activeChannel);
+        callVoiceBtn.style.display = inCallHere || closed ? 'none' : '';
+        callVideoBtn.style.display = inCallHere || closed ? 'none' : '';
+        callVoiceBtn.setAttribute('aria-label', others > 0 ? 'Join voice call' : 'Start voice call');
+        callVoiceBtn.title = callVoiceBtn.getAttribute('aria-label');
+        callVideoBtn.setAttribute('aria-label', others > 0 ? 'Join video call' : 'Start video call');
+        callVideoBtn.title = callVideoBtn.getAttribute('aria-label');
+        callVoiceBtn.classList.toggle('active', others > 0);
+        if (!call) return;
+        callLabel.textContent = 'Call in #' + channelName(call.channel) + ' · ' + callParticipants(call.channel) + ' in call';
+        callMicBtn.setAttribute('aria-pressed', call.micMuted ? 'true' : 'false');
+        callMicBtn.setAttribute('aria-label', call.micMuted ? 'Unmute microphone' : 'Mute microphone');
+        callMicBtn.textContent = call.micMuted ? '🔇' : '🎙️';
+        callCameraBtn.setAttribute('aria-pressed', call.cameraOff ? 'false' : 'true');
+        callCameraBtn.setAttribute('aria-label', call.cameraOff ? 'Turn camera on' : 'Turn camera off');
+        callCameraBtn.classList.toggle('off', call.cameraOff);
+    }
+
+    // ─── Screen Sharing ───
+    // The shared screen goes to every peer with a working connection, not just
+    // those in a call. A sealed screen-state message names the stream id first,
+    // so ontrack can tell the screen apart from call audio/video.
+    async function startScreenShare() {
+        if (screenShare) return;
+        var win = openCaptureWindow();
+        var stream;
+        try {
+            var capture = await captureApi(win);
+            announce('Choose what to share in the call window');
+            stream = await capture.displayMedia();
+        } catch(err) {
+            if (err.name !== 'NotAllowedError' && err.name !== 'AbortError') addSystemMessage('Could not share your screen: ' + err.message);
+            releaseCaptureWindow();
+            return;
+        }
+        if (screenShare) { stream.getTracks().forEach(function(track) { track.stop(); }); return; }
+        screenShare = { stream: stream };
+        setCaptureStatus();
+        // The browser's own "Stop sharing" control ends the track
+        stream.getVideoTracks()[0].addEventListener('ended', stopScreenShare);
+        broadcastPeerMessage(screenStateMessage());
+        for (var [peerId] of peers) addScreenTracks(peerId);
+        showScreenTile('self', stream);
+        renderScreenShareButton();
+        updateMemberList();
+        announce('You are sharing your screen');
+    }
+
+    function stopScreenShare() {
+        if (!screenShare) return;
+        for (var [peerId] of peers) removeScreenTracks(peerId);
+        screenShare.stream.getTracks().forEach(function(track) { track.stop(); });
+        screenShare = null;
+        broadcastPeerMessage(screenStateMessage());
+        removeScreenTile('self');
+        renderScreenShareButton();
+        updateMemberList();
+        announce('You stopped sharing your screen');
+        releaseCaptureWindow();
+        setCaptureStatus();
+    }
+
+    function screenStateMessage() {
+        return { type: 'screen-state', sharing: !!screenShare, streamId: screenShare ? screenShare.stream.id : null };
+    }
+
+    function addScreenTracks(peerId) {
+        var peer = peers.get(peerId);
+        if (!screenShare || !peer || peer.screenSenders.length > 0) return;
+        if (peer.pc.connectionState === 'failed' || peer.pc.connectionState === 'closed') return;
+        screenShare.stream.getTracks().forEach(function(track) {
+            peer.screenSenders.push(peer.pc.addTrack(track, screenShare.stream));
+        });
+    }
+
+    function removeScreenTracks(peerId) {
+        var peer = peers.get(peerId);
+        if (!peer) return;
+        peer.screenSenders.splice(0).forEach(function(sender) {
+            try { peer.pc.removeTrack(sender); } catch {}
+        });
+    }
+
+    function handleScreenState(peerId, msg) {
+        var peer = peers.get(peerId);
+        var name = peerNames.get(peerId) || 'Someone';
+        var wasSharing = screenSharers.has(peerId);
+        if (msg.sharing && typeof msg.streamId === 'string' && msg.streamId.length <= 64) {
+            screenSharers.set(peerId, msg.streamId);
+            // The track may have beaten this message here and been taken for call media
+            if (peer && peer.remoteStream && peer.remoteStream.id === msg.streamId) {
+                peer.screenStream = peer.remoteStream;
+                peer.remoteStream = null;
+            }
+            if (peer && peer.screenStream) showScreenTile(peerId, peer.screenStream);
+            if (!wasSharing) addSystemMessage(name + ' started sharing their screen', 'general');
+        } else {
+            screenSharers.delete(peerId);
+            if (peer) peer.screenStream = null;
+            removeScreenTile(peerId);
+            if (wasSharing) addSystemMessage(name + ' stopped sharing their screen', 'general');
+        }
+        updateMemberList();
+    }
+
+    function dropScreenPeer(peerId) {
+        screenSharers.delete(peerId);
+        removeScreenTile(peerId);
+    }
+
+    function showScreenTile(id, stream) {
+        var name = id === 'self' ? 'Your screen' : (peerNames.get(id) || 'Unknown') + '’s screen';
+        var tile = screenTiles.querySelector('[data-screen-id="' + id + '"]');
+        if (!tile) {
+            tile = document.createElement('div');
+            tile.className = 'screen-tile';
+            tile.setAttribute('data-screen-id', id);
+            tile.innerHTML =
+                '<video autoplay playsinline muted></video>' +
+                '<div class="screen-tile-bar">' +
+                    '<span class="screen-tile-name">' + escapeHtml(name) + '</span>' +
+                    '<button class="btn btn-small" data-action="expand">Pop out</button>' +
+                '</div>';
+            tile.querySelector('[data-action="expand"]').addEventListener('click', function() {
+                openLightboxStream(tile.querySelector('video').srcObject, name);
+            });
+            screenTiles.appendChild(tile);
+        }
+        var video = tile.querySelector('video');
+        if (video.srcObject !== stream) video.srcObject = stream;
+        screenPane.style.display = 'flex';
+    }
+
+    function removeScreenTile(id) {
+        var tile = screenTiles.querySelector('[data-screen-id="' + id + '"]');
+        if (!tile) return;
+        var stream = tile.querySelector('video').srcObject;
+        if (lightboxVideo.srcObject && lightboxVideo.srcObject === stream) closeLightbox();
+        tile.remove();
+        if (!screenTiles.firstChild) screenPane.style.display = 'none';
+    }
+
+    function renderScreenShareButton() {
+        screenShareBtn.classList.toggle('active', !!screenShare);
+        screenShareBtn.setAttribute('aria-pressed', screenShare ? 'true' : 'false');
+        screenShareBtn.setAttribute('aria-label', screenShare ? 'Stop sharing your screen' : 'Share your screen');
+        screenShareBtn.title = screenShareBtn.getAttribute('aria-label');
+    }
+
+    // ─── Broadcasting ───
+    function broadcastPeerMessage(msg) {
+        if (isHubMode()) {
+            broadcastSealed(FRAME_JSON, new TextEncoder().encode(JSON.stringify(msg)));
+            return;
+        }
+        for (var [peerId] of peerNames) {
+            if (canReachPeer(peerId)) sendToPeer(peerId, msg);
+        }
+    }
+
+    function broadcastPeerMessageTo(peerId, msg) {
+        if (canReachPeer(peerId)) sendToPeer(peerId, msg);
+    }
+
+    // ─── Send Message ───
+    // `thread` is the root msgId when replying in a thread
+    function broadcastMessage(text, thread) {
+        var msgId = myPeerId + '-' + (nextMsgId++);
+        var timestamp = Math.floor(Date.now() / 1000);
+        var root = thread && messageData.get(thread);
+        if (thread && !root) return;
+        var channel = root ? root.channel : activeChannel;
+        var replyTo = thread ? null : replyingTo;
+        var rec = channelRecords.get(channel);
+        if (rec && rec.state.v === 'archived') {
+            addSystemMessage('#' + rec.name.v + ' is archived. Unarchive it to post.', channel);
+            return;
+        }
+        var msg = { type: 'chat', sender: displayName, text: text, timestamp: timestamp, channel: channel, msgId: msgId, replyTo: replyTo };
+        if (thread) msg.thread = thread;
+        var mentions = findMentions(text, channel);
+        if (mentions) msg.mentions = mentions;
+        var lifetime = messageLifetime();
+        if (lifetime) msg.expiresIn = lifetime;
+
+        // Sealed per peer: over the DataChannel when open, else via the server relay.
+        // Peers still mid-handshake get it queued until their key arrives.
+        if (isDmChannel(channel) || isPrivateChannel(channel)) {
+            if (!sendInChannel(channel, msg)) {
+                addSystemMessage('Not sent: ' + (isDmChannel(channel) ? channelName(channel) : 'nobody else in #' + channelName(channel)) + ' can be reached privately right now.', channel);
+                return;
+            }
+        } else if (isHubMode()) {
+            broadcastSealed(FRAME_JSON, new TextEncoder().encode(JSON.stringify(msg)));
+        } else {
+            for (var [peerId] of peerNames) sendToPeer(peerId, msg);
+        }
+        addChatMessage(displayName, text, timestamp, channel, replyTo, msgId, undefined, mySigningKey, thread, mentions);
+        if (lifetime) setMessageExpiry(msgId, timestamp + lifetime);
+        if (!thread) clearReply();
+    }
+
+    // ─── History Sync ───
+    // Late joiners ask up to HISTORY_SYNC_PEERS existing members for a bounded
+    // per-channel backlog. Entries are keyed by msgId, so overlapping answers
+    // from several peers collapse into a single copy.
+    function requestHistory(peerId) {
+        if (!roomSettings.historySync || historyRequested.has(peerId) || historyRequested.size >= HISTORY_SYNC_PEERS) return;
+        historyRequested.add(peerId);
+        sendToPeer(peerId, { type: 'history-request' });
+    }
+
+    function historyEntry(msgId, data) {
+        var entry = { msgId: msgId, kind: data.kind, sender: data.sender, channel: data.channel, timestamp: data.timestamp, reactions: data.reactions || {} };
+        if (data.expiresAt) entry.expiresAt = data.expiresAt;
+        if (data.kind === 'image') {
+            entry.fileName = data.fileName;
+            entry.thumbnail = data.thumbnail;
+        } else {
+            entry.text = data.text;
+            entry.replyTo = data.replyTo || null;
+            entry.author = data.author || '';
+            if (data.thread) entry.thread = data.thread;
+            if (data.mentions) entry.mentions = data.mentions;
+            if (data.editedAt) {
+                entry.editedAt = data.editedAt;
+                entry.edits = data.edits || [];
+            }
+        }
+        return entry;
+    }
+
+    function sendHistory(peerId) {
+        if (!roomSettings.historySync || historyServed.has(peerId)) return;
+        historyServed.add(peerId);
+        var byChannel = new Map();
+        for (var [msgId, data] of messageData) {
+            if (data.kind !== 'chat' && data.kind !== 'image') continue;
+            if (data.kind === 'image' && !data.thumbnail) continue;
+            if (!data.timestamp || data.deleted || isDmChannel(data.channel)) continue;
+            // Private channels' backlog only goes to members over our own link, never via a hub
+            if (isPrivateChannel(data.channel) && !(isNeighbor(peerId) && isChannelMember(channelRecords.get(data.channel), peerId))) continue;
+            if (!byChannel.has(data.channel)) byChannel.set(data.channel, []);
+            byChannel.get(data.channel).push(historyEntry(msgId, data));
+        }
+        var batch = [];
+        var batchBytes = 0;
+        for (var [, entries] of byChannel) {
+            entries.sort(function(a, b) { return a.timestamp - b.timestamp; });
+            entries.slice(-HISTORY_SYNC_LIMIT).forEach(function(entry) {
+                var size = JSON.stringify(entry).length;
+                if (batch.length > 0 && batchBytes + size > HISTORY_BATCH_BYTES) {
+                    sendToPeer(peerId, { type: 'history-sync', messages: batch });
+                    batch = [];
+                    batchBytes = 0;
+                }
+                batch.push(entry);
+                batchBytes += size;
+            });
+        }
+        if (batch.length > 0) sendToPeer(peerId, { type: 'history-sync', messages: batch });
+    }
+
+    function sanitizeReplyTo(replyTo) {
+        if (!replyTo || typeof replyTo !== 'object' || typeof replyTo.sender !== 'string') return null;
+        return { msgId: String(replyTo.msgId || '').slice(0, 128), sender: replyTo.sender.slice(0, 32), text: String(replyTo.text || '').slice(0, 80) };
+    }
+
+    function sanitizeAuthor(author) {
+        return typeof author === 'string' && author.length <= 128 ? author : '';
+    }
+
+    function sanitizeThread(thread) {
+        return typeof thread === 'string' && thread.length > 0 && thread.length <= 128 ? thread : null;
+    }
+
+    function mergeReactions(msgId, reactions) {
+        var data = messageData.get(msgId);
+        if (!data || data.deleted || !reactions || typeof reactions !== 'object') return;
+        Object.keys(reactions).forEach(function(emoji) {
+            if (!REACTION_EMOJIS.includes(emoji) || !Array.isArray(reactions[emoji])) return;
+            if (!data.reactions[emoji]) data.reactions[emoji] = [];
+            reactions[emoji].forEach(function(name) {
+                if (typeof name === 'string' && !data.reactions[emoji].includes(name)) data.reactions[emoji].push(name.slice(0, 32));
+            });
+        });
+        renderReactions(msgId);
+    }
+
+    // A message for a channel we haven't heard of brings it in as public;
+    // deleted channels and private ones we're not in stay gone
+    function ensureChannel(name) {
+        if (typeof name !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(name)) return false;
+        if (channelRecords.has(name)) return channels.includes(name);
+        if (channels.length >= MAX_CHANNELS) return false;
+        channelRecords.set(name, newChannelRecord(name, false));
+        applyChannels();
+        return true;
+    }
+
+    function applyHistory(peerId, messages) {
+        if (!roomSettings.historySync || !historyRequested.has(peerId) || !Array.isArray(messages)) return;
+        var added = 0;
+        messages.slice(0, HISTORY_SYNC_LIMIT * MAX_CHANNELS).forEach(function(m) {
+            if (!m || typeof m.msgId !== 'string' || m.msgId.length > 128 || typeof m.sender !== 'string' || typeof m.timestamp !== 'number') return;
+            if (messageData.has(m.msgId)) { mergeReactions(m.msgId, m.reactions); return; }
+            var expiresAt = sanitizeExpiry(m.expiresAt);
+            if (expiresAt === -1 || !ensureChannel(m.channel)) return;
+            if (isPrivateChannel(m.channel) && !isChannelMember(channelRecords.get(m.channel), peerId)) return;
+            // Replies may arrive ahead of their root, but never into another channel's thread
+            var root = typeof m.thread === 'string' && messageData.get(m.thread);
+            if (root && root.channel !== m.channel) return;
+            var sender = m.sender.slice(0, 32);
+            if (m.kind === 'chat' && typeof m.text === 'string' && m.text.length > 0 && m.text.length <= MAX_CHAT_TEXT) {
+                // The author and edit history are only the history source's word, so
+                // neither is kept: synced messages can't be edited or deleted here
+                addChatMessage(sender, m.text, m.timestamp, m.channel, sanitizeReplyTo(m.replyTo), m.msgId, 'history', '', sanitizeThread(m.thread), sanitizeMentions(m.mentions));
+            } else if (m.kind === 'image' && typeof m.thumbnail === 'string' && m.thumbnail.length <= MAX_THUMBNAIL_B64) {
+                var thumb;
+                try { thumb = new Blob([base64ToBytes(m.thumbnail)], { type: 'image/jpeg' }); } catch { return; }
+                addImageMessage(sender, URL.createObjectURL(thumb), String(m.fileName || 'image').slice(0, 128), m.timestamp, m.channel, 'history', m.msgId);
+                messageData.get(m.msgId).thumbnail = m.thumbnail;
+            } else {
+                return;
+            }
+            setMessageExpiry(m.msgId, expiresAt);
+            mergeReactions(m.msgId, m.reactions);
+            added++;
+        });
+        if (added > 0) announce('Loaded ' + added + ' earlier message' + (added === 1 ? '' : 's') + ' from ' + (peerNames.get(peerId) || 'a peer'));
+    }
+
+    // ─── Typing Indicators ───
+    // Typing in a thread is announced with its root msgId and only shown in
+    // that thread's panel, not in the channel.
+    function sendTypingEvent(thread) {
+        var now = Date.now();
+        if (now - lastTypingSent < TYPING_THROTTLE) return;
+        lastTypingSent = now;
+        var msg = { type: 'typing', channel: activeChannel };
+        if (thread) msg.thread = thread;
+        sendInChannel(activeChannel, msg);
+    }
+
+    function handleTypingEvent(peerId, channel, thread) {
+        if (channel !== activeChannel) return;
+        if (thread && thread !== openThread) return;
+        var typing = thread ? threadTypingPeers : typingPeers;
+        clearTimeout(typing.get(peerId));
+        typing.set(peerId, setTimeout(function() { typing.delete(peerId); updateTypingIndicator(); }, TYPING_TIMEOUT));
+        updateTypingIndicator();
+    }
+
+    function updateTypingIndicator() {
+        renderTyping(typingPeers, typingIndicator, typingText);
+        renderTyping(threadTypingPeers, threadTyping, threadTypingText);
+    }
+
+    function renderTyping(typing, indicator, textEl) {
+        var typers = [];
+        for (var [pid] of typing) {
+            typers.push(peerNames.get(pid) || 'Someone');
+        }
+        if (typers.length === 0) {
+            indicator.style.display = 'none';
+        } else {
+            indicator.style.display = 'flex';
+            if (typers.length === 1) textEl.textContent = typers[0] + ' is typing...';
+            else if (typers.length === 2) textEl.textContent = typers[0] + ' and ' + typers[1] + ' are typing...';
+            else textEl.textContent = typers.length + ' people are typing...';
+        }
+    }
+
+    // ─── Reactions ───
+    function toggleReaction(msgId, emoji) {
+        var data = messageData.get(msgId);
+        if (!data || data.deleted) return;
+        if (!data.reactions) data.reactions = {};
+        if (!data.reactions[emoji]) data.reactions[emoji] = [];
+        var idx = data.reactions[emoji].indexOf(displayName);
+        var removing = idx !== -1;
+        if (removing) data.reactions[emoji].splice(idx, 1);
+        else data.reactions[emoji].push(displayName);
+        if (data.reactions[emoji].length === 0) delete data.reactions[emoji];
+        sendInChannel(data.channel, { type: 'reaction', msgId: msgId, emoji: emoji, sender: displayName, remove: removing });
+        renderReactions(msgId);
     }
 
     function handleIncomingReaction(msgId, emoji, sender, remove) {
         var data = messageData.get(msgId);
-        if (!data) return;
+        if (!data || data.deleted) return;
         if (!data.reactions) data.reactions = {};
         if (!data.reactions[emoji]) data.reactions[emoji] = [];
         var idx = data.reactions[emoji].indexOf(sender);
@@ -532,48 +3446,234 @@
     }
 
     function renderReactions(msgId) {
+        scheduleSave();
         var container = document.querySelector('[data-msg-id="' + msgId + '"] .msg-reactions');
         if (!container) return;
         var data = messageData.get(msgId);
-        container.innerHTML = '';
-        if (!data || !data.reactions) return;
-        Object.keys(data.reactions).forEach(function(emoji) {
-            var users = data.reactions[emoji];
-            if (users.length === 0) return;
-            var chip = document.createElement('span');
-            chip.className = 'reaction-chip' + (users.includes(displayName) ? ' mine' : '');
-            chip.innerHTML = emoji + ' <span class="reaction-count">' + users.length + '</span>';
-            chip.title = users.join(', ');
-            chip.addEventListener('click', function() { toggleReaction(msgId, emoji); });
-            container.appendChild(chip);
-        });
+        container.innerHTML = '';
+        if (!data || !data.reactions) return;
+        Object.keys(data.reactions).forEach(function(emoji) {
+            var users = data.reactions[emoji];
+            if (users.length === 0) return;
+            var chip = document.createElement('span');
+            chip.className = 'reaction-chip' + (users.includes(displayName) ? ' mine' : '');
+            chip.innerHTML = emoji + ' <span class="reaction-count">' + users.length + '</span>';
+            chip.title = users.join(', ');
+            chip.addEventListener('click', function() { toggleReaction(msgId, emoji); });
+            container.appendChild(chip);
+        });
+    }
+
+    function showReactionPicker(msgId, anchorEl) {
+        reactionPicker.innerHTML = '';
+        reactionPicker.style.display = 'grid';
+        var rect = anchorEl.getBoundingClientRect();
+        reactionPicker.style.top = (rect.top - 50) + 'px';
+        reactionPicker.style.left = rect.left + 'px';
+        REACTION_EMOJIS.forEach(function(emoji) {
+            var btn = document.createElement('button');
+            btn.textContent = emoji;
+            btn.addEventListener('click', function() { toggleReaction(msgId, emoji); reactionPicker.style.display = 'none'; });
+            reactionPicker.appendChild(btn);
+        });
+    }
+
+    // ─── Reply ───
+    function setReply(msgId, sender, text) {
+        replyingTo = { msgId: msgId, sender: sender, text: text.slice(0, 80) };
+        replyPreview.innerHTML = 'Replying to <strong>' + escapeHtml(sender) + '</strong>: ' + escapeHtml(replyingTo.text);
+        replyBar.style.display = 'flex';
+        messageInput.focus();
+    }
+
+    function clearReply() {
+        replyingTo = null;
+        if (editingMsgId) {
+            editingMsgId = null;
+            messageInput.value = '';
+        }
+        replyBar.style.display = 'none';
+    }
+
+    // ─── Editing & Deleting ───
+    // Only a message's author can change it. Each chat records the identity key
+    // it was signed under, and an edit or delete is applied only when it
+    // arrives verified under that same key. Identity keys last one session, so
+    // messages restored from a saved room can no longer be changed.
+    function canChangeMessage(data) {
+        return !!data && data.kind === 'chat' && !data.deleted && !!data.author && data.author === mySigningKey;
+    }
+
+    function isAuthor(peerId, data, trust) {
+        return trust === 'verified' && !!data.author && peerIdentities.get(peerId) === data.author;
+    }
+
+    function startEdit(msgId) {
+        var data = messageData.get(msgId);
+        if (!canChangeMessage(data)) return;
+        clearReply();
+        editingMsgId = msgId;
+        replyPreview.innerHTML = 'Editing message <small>(Esc to cancel)</small>';
+        replyBar.style.display = 'flex';
+        messageInput.value = data.text;
+        messageInput.focus();
+    }
+
+    function submitEdit(msgId, text) {
+        var data = messageData.get(msgId);
+        if (canChangeMessage(data) && text !== data.text) {
+            var editedAt = Math.floor(Date.now() / 1000);
+            var mentions = findMentions(text, data.channel);
+            sendInChannel(data.channel, { type: 'edit', msgId: msgId, text: text, editedAt: editedAt, mentions: mentions });
+            applyEdit(msgId, text, editedAt, mentions);
+        }
+        clearReply();
+    }
+
+    function deleteMessage(msgId) {
+        var data = messageData.get(msgId);
+        if (!canChangeMessage(data)) return;
+        if (!confirm('Delete this message for everyone?')) return;
+        sendInChannel(data.channel, { type: 'delete', msgId: msgId });
+        applyDelete(msgId);
+    }
+
+    function handleIncomingEdit(peerId, msg, trust) {
+        var data = messageData.get(msg.msgId);
+        if (!data || data.kind !== 'chat' || data.deleted || !isAuthor(peerId, data, trust)) return;
+        if (typeof msg.text !== 'string' || msg.text.length === 0 || msg.text.length > MAX_CHAT_TEXT) return;
+        // Edits can overtake each other on different paths; the newest wins
+        var editedAt = typeof msg.editedAt === 'number' ? msg.editedAt : Math.floor(Date.now() / 1000);
+        if (data.editedAt && editedAt <= data.editedAt) return;
+        // Mentions added by an edit are highlighted but don't alert anyone
+        applyEdit(msg.msgId, msg.text, editedAt, sanitizeMentions(msg.mentions));
+    }
+
+    function handleIncomingDelete(peerId, msg, trust) {
+        var data = messageData.get(msg.msgId);
+        if (!data || data.kind !== 'chat' || data.deleted || !isAuthor(peerId, data, trust)) return;
+        applyDelete(msg.msgId);
+    }
+
+    function applyEdit(msgId, text, editedAt, mentions) {
+        var data = messageData.get(msgId);
+        data.edits = (data.edits || []).concat({ text: data.text, editedAt: data.editedAt || data.timestamp }).slice(-MAX_EDIT_HISTORY);
+        data.text = text;
+        data.mentions = mentions || null;
+        data.editedAt = editedAt;
+        renderMessageBody(msgId);
+        updateReplyPreviews(msgId);
+        refreshThreadViews(msgId);
+        scheduleSave();
+    }
+
+    function applyDelete(msgId) {
+        var data = messageData.get(msgId);
+        data.deleted = true;
+        data.text = '';
+        data.edits = [];
+        data.reactions = {};
+        if ((replyingTo && replyingTo.msgId === msgId) || editingMsgId === msgId) clearReply();
+        renderMessageBody(msgId);
+        renderReactions(msgId);
+        updateReplyPreviews(msgId);
+        refreshThreadViews(msgId);
+        scheduleSave();
+    }
+
+    // Edit state carried by history sync and saved rooms
+    function restoreEdits(msgId, entry) {
+        var data = messageData.get(msgId);
+        if (!data || typeof entry.editedAt !== 'number') return;
+        data.editedAt = entry.editedAt;
+        data.edits = (Array.isArray(entry.edits) ? entry.edits : []).filter(function(e) {
+            return e && typeof e.text === 'string' && e.text.length <= MAX_CHAT_TEXT && typeof e.editedAt === 'number';
+        }).slice(-MAX_EDIT_HISTORY).map(function(e) { return { text: e.text, editedAt: e.editedAt }; });
+        renderMessageBody(msgId);
+    }
+
+    // Messages in other channels or closed threads aren't in the document, so
+    // look in channelMessages / threadMessages
+    function messageElement(msgId) {
+        var data = messageData.get(msgId);
+        var msgs = data && (data.thread ? threadMessages.get(data.thread) : channelMessages.get(data.channel));
+        if (!msgs) return null;
+        return msgs.find(function(div) { return div.getAttribute('data-msg-id') === msgId; }) || null;
     }
 
-    function showReactionPicker(msgId, anchorEl) {
-        reactionPicker.innerHTML = '';
-        reactionPicker.style.display = 'grid';
-        var rect = anchorEl.getBoundingClientRect();
-        reactionPicker.style.top = (rect.top - 50) + 'px';
-        reactionPicker.style.left = rect.left + 'px';
-        REACTION_EMOJIS.forEach(function(emoji) {
-            var btn = document.createElement('button');
-            btn.textContent = emoji;
-            btn.addEventListener('click', function() { toggleReaction(msgId, emoji); reactionPicker.style.display = 'none'; });
-            reactionPicker.appendChild(btn);
-        });
+    function renderMessageBody(msgId) {
+        var data = messageData.get(msgId);
+        var div = messageElement(msgId);
+        if (!data || !div) return;
+        var textEl = div.querySelector('.msg-text');
+        var header = div.querySelector('.msg-header');
+        var marker = header.querySelector('.msg-edited');
+        if (marker) marker.remove();
+        var history = div.querySelector('.msg-edit-history');
+        if (history) history.remove();
+        if (data.deleted) {
+            div.classList.add('deleted');
+            textEl.innerHTML = '<span class="msg-deleted">This message was deleted</span>';
+            var actions = div.querySelector('.msg-actions');
+            if (actions) actions.remove();
+            return;
+        }
+        textEl.innerHTML = renderMarkdown(data.text, data.mentions);
+        if (!data.editedAt) return;
+        var btn = document.createElement('button');
+        btn.className = 'msg-edited';
+        btn.textContent = '(edited)';
+        btn.title = 'Edited ' + new Date(data.editedAt * 1000).toLocaleString() + '. Show earlier versions';
+        btn.setAttribute('aria-expanded', 'false');
+        btn.addEventListener('click', function() { toggleEditHistory(msgId, btn); });
+        header.appendChild(btn);
     }
 
-    // ─── Reply ───
-    function setReply(msgId, sender, text) {
-        replyingTo = { msgId: msgId, sender: sender, text: text.slice(0, 80) };
-        replyPreview.innerHTML = 'Replying to <strong>' + escapeHtml(sender) + '</strong>: ' + escapeHtml(replyingTo.text);
-        replyBar.style.display = 'flex';
-        messageInput.focus();
+    function toggleEditHistory(msgId, btn) {
+        var div = messageElement(msgId);
+        var data = messageData.get(msgId);
+        if (!div || !data) return;
+        var existing = div.querySelector('.msg-edit-history');
+        if (existing) {
+            existing.remove();
+            btn.setAttribute('aria-expanded', 'false');
+            return;
+        }
+        var list = document.createElement('ol');
+        list.className = 'msg-edit-history';
+        list.setAttribute('aria-label', 'Earlier versions');
+        (data.edits || []).slice().reverse().forEach(function(edit) {
+            var li = document.createElement('li');
+            var when = document.createElement('span');
+            when.className = 'msg-time';
+            when.textContent = new Date(edit.editedAt * 1000).toLocaleString();
+            li.appendChild(when);
+            li.appendChild(document.createTextNode(' ' + edit.text));
+            list.appendChild(li);
+        });
+        div.querySelector('.msg-text').after(list);
+        btn.setAttribute('aria-expanded', 'true');
     }
 
-    function clearReply() {
-        replyingTo = null;
-        replyBar.style.display = 'none';
+    // Replies quote the text they answer; keep those quotes in step
+    function updateReplyPreviews(msgId) {
+        var data = messageData.get(msgId);
+        var gone = data.expired ? 'Message expired' : (data.deleted ? 'Deleted message' : '');
+        var quote = gone || data.text.slice(0, 60);
+        for (var [, other] of messageData) {
+            if (other.replyTo && other.replyTo.msgId === msgId) other.replyTo.text = gone ? '' : data.text.slice(0, 80);
+        }
+        var selector = '.msg-reply-ref[data-reply-to="' + CSS.escape(msgId) + '"]';
+        for (var [, msgs] of channelMessages) {
+            msgs.forEach(function(div) {
+                div.querySelectorAll(selector).forEach(function(ref) {
+                    var name = ref.querySelector('.reply-name');
+                    ref.textContent = '';
+                    if (name) ref.appendChild(name);
+                    ref.appendChild(document.createTextNode(' ' + quote));
+                });
+            });
+        }
     }
 
     // ─── UI Functions ───
@@ -591,12 +3691,15 @@
         announce('Joined room ' + code);
     }
 
-    function addChatMessage(sender, text, timestamp, channel, replyTo, msgId) {
+    // `author` is the identity key the message was signed under ('' if unknown);
+    // `thread` is the root msgId for a thread reply
+    function addChatMessage(sender, text, timestamp, channel, replyTo, msgId, trust, author, thread, mentions) {
         channel = channel || 'general';
         msgId = msgId || ('msg-' + (nextMsgId++));
         if (!channelMessages.has(channel)) channelMessages.set(channel, []);
 
-        messageData.set(msgId, { sender: sender, text: text, channel: channel, reactions: {} });
+        messageData.set(msgId, { kind: 'chat', sender: sender, text: text, channel: channel, timestamp: timestamp, replyTo: replyTo || null, thread: thread || null, mentions: mentions || null, trust: trust, author: author || '', reactions: {} });
+        var mine = !!author && author === mySigningKey;
 
         var div = document.createElement('div');
         div.className = 'message';
@@ -625,13 +3728,18 @@
         html += '<div class="msg-header">' +
                 '<span class="msg-name" style="color:' + color + '">' + escapeHtml(sender) + '</span>' +
                 '<span class="msg-time">' + time + '</span>' +
+                trustBadgeHtml(trust) +
             '</div>' +
-            '<div class="msg-text">' + renderMarkdown(text) + '</div>' +
+            '<div class="msg-text">' + renderMarkdown(text, mentions) + '</div>' +
             '<div class="msg-reactions"></div>' +
+            (thread ? '' : '<div class="msg-thread-summary" style="display:none;"></div>') +
             '</div>' +
             '<div class="msg-actions">' +
                 '<button class="msg-action-btn" data-action="react" title="React">😀</button>' +
-                '<button class="msg-action-btn" data-action="reply" title="Reply">↩</button>' +
+                (thread ? '' : '<button class="msg-action-btn" data-action="reply" title="Reply">↩</button>' +
+                    '<button class="msg-action-btn" data-action="thread" title="Reply in thread">🧵</button>') +
+                (mine ? '<button class="msg-action-btn" data-action="edit" title="Edit">✎</button>' +
+                    '<button class="msg-action-btn" data-action="delete" title="Delete">🗑</button>' : '') +
             '</div>';
 
         div.innerHTML = html;
@@ -641,16 +3749,455 @@
             e.stopPropagation();
             showReactionPicker(msgId, e.target);
         });
-        div.querySelector('[data-action="reply"]').addEventListener('click', function(e) {
-            e.stopPropagation();
-            setReply(msgId, sender, text);
-        });
+        if (!thread) {
+            div.querySelector('[data-action="reply"]').addEventListener('click', function(e) {
+                e.stopPropagation();
+                var current = messageData.get(msgId);
+                setReply(msgId, sender, current ? current.text : text);
+            });
+            div.querySelector('[data-action="thread"]').addEventListener('click', function(e) {
+                e.stopPropagation();
+                openThreadPanel(msgId);
+            });
+        }
+        if (mine) {
+            div.querySelector('[data-action="edit"]').addEventListener('click', function(e) {
+                e.stopPropagation();
+                startEdit(msgId);
+            });
+            div.querySelector('[data-action="delete"]').addEventListener('click', function(e) {
+                e.stopPropagation();
+                deleteMessage(msgId);
+            });
+        }
 
-        channelMessages.get(channel).push(div);
+        if (thread) {
+            placeThreadMessage(thread, div, timestamp, trust === 'history' || restoringSnapshot);
+        } else {
+            placeMessage(channel, div, timestamp, trust === 'history' || restoringSnapshot);
+            // Replies synced ahead of their root are counted once it arrives
+            renderThreadSummary(msgId);
+        }
+    }
+
+    // Live messages append in arrival order; history-synced ones are slotted
+    // in by timestamp so a backlog lands above what we've already seen.
+    function insertByTime(msgs, div, timestamp, sorted) {
+        var ts = timestamp || Math.floor(Date.now() / 1000);
+        div.setAttribute('data-ts', ts);
+        var idx = msgs.length;
+        if (sorted) {
+            while (idx > 0 && Number(msgs[idx - 1].getAttribute('data-ts')) > ts) idx--;
+        }
+        msgs.splice(idx, 0, div);
+        return idx;
+    }
 
-        if (channel === activeChannel) {
+    function placeMessage(channel, div, timestamp, sorted) {
+        var msgs = channelMessages.get(channel);
+        var idx = insertByTime(msgs, div, timestamp, sorted);
+        scheduleSave();
+        if (channel !== activeChannel) return;
+        if (idx === msgs.length - 1) {
             messagesDiv.appendChild(div);
             messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        } else {
+            messagesDiv.insertBefore(div, msgs[idx + 1]);
+        }
+    }
+
+    // ─── Threads ───
+    // A thread reply is a chat carrying `thread`, the msgId of the message it
+    // branches off. Replies are kept per root in threadMessages instead of the
+    // channel, listed in the thread panel and summarised on the root.
+    function threadRootOf(msgId) {
+        var data = messageData.get(msgId);
+        return data && data.thread ? data.thread : msgId;
+    }
+
+    function placeThreadMessage(rootId, div, timestamp, sorted) {
+        if (!threadMessages.has(rootId)) threadMessages.set(rootId, []);
+        var msgs = threadMessages.get(rootId);
+        var idx = insertByTime(msgs, div, timestamp, sorted);
+        scheduleSave();
+        renderThreadSummary(rootId);
+        if (rootId !== openThread) return;
+        if (idx === msgs.length - 1) {
+            threadMessagesDiv.appendChild(div);
+            threadMessagesDiv.scrollTop = threadMessagesDiv.scrollHeight;
+        } else {
+            threadMessagesDiv.insertBefore(div, msgs[idx + 1]);
+        }
+    }
+
+    function threadReplies(rootId) {
+        return (threadMessages.get(rootId) || []).map(function(div) {
+            return messageData.get(div.getAttribute('data-msg-id'));
+        }).filter(function(data) { return data && !data.deleted; });
+    }
+
+    // "3 replies · 1 new · Alice: latest text" under the root message
+    function renderThreadSummary(rootId) {
+        var root = messageElement(rootId);
+        var summary = root && root.querySelector('.msg-thread-summary');
+        if (!summary) return;
+        var replies = threadReplies(rootId);
+        summary.innerHTML = '';
+        summary.style.display = replies.length > 0 ? 'flex' : 'none';
+        if (replies.length === 0) return;
+        var link = document.createElement('button');
+        link.className = 'msg-thread-link';
+        link.textContent = replies.length + (replies.length === 1 ? ' reply' : ' replies');
+        link.addEventListener('click', function() { openThreadPanel(rootId); });
+        summary.appendChild(link);
+        var unread = threadUnread.get(rootId) || 0;
+        if (unread > 0 && rootId !== openThread) {
+            var badge = document.createElement('span');
+            badge.className = 'thread-unread';
+            badge.textContent = (unread > 99 ? '99+' : unread) + ' new';
+            summary.appendChild(badge);
+        }
+        var last = replies[replies.length - 1];
+        var preview = document.createElement('span');
+        preview.className = 'msg-thread-last';
+        preview.textContent = last.sender + ': ' + last.text.slice(0, 80);
+        summary.appendChild(preview);
+    }
+
+    // After an edit or delete: the thread's summary and, if open, its root
+    function refreshThreadViews(msgId) {
+        var data = messageData.get(msgId);
+        if (data.thread) renderThreadSummary(data.thread);
+        if (msgId === openThread) renderThreadRoot();
+    }
+
+    function openThreadPanel(rootId) {
+        var root = messageData.get(rootId);
+        if (!root || root.thread) return;
+        if (root.channel !== activeChannel) switchChannel(root.channel);
+        closeThreadPanel();
+        closeSearchPanel();
+        openThread = rootId;
+        threadUnread.set(rootId, 0);
+        renderThreadRoot();
+        (threadMessages.get(rootId) || []).forEach(function(div) { threadMessagesDiv.appendChild(div); });
+        threadPanel.style.display = 'flex';
+        threadMessagesDiv.scrollTop = threadMessagesDiv.scrollHeight;
+        renderThreadSummary(rootId);
+        threadInput.focus();
+        announce('Opened thread from ' + root.sender);
+    }
+
+    function renderThreadRoot() {
+        var root = messageData.get(openThread);
+        threadRoot.innerHTML = '';
+        var name = document.createElement('span');
+        name.className = 'msg-name';
+        name.style.color = nameColor(root.sender);
+        name.textContent = root.sender;
+        var text = document.createElement('div');
+        text.className = 'msg-text';
+        text.innerHTML = root.deleted ? '<span class="msg-deleted">This message was deleted</span>' : renderMarkdown(root.text, root.mentions);
+        threadRoot.appendChild(name);
+        threadRoot.appendChild(text);
+    }
+
+    function closeThreadPanel() {
+        if (!openThread) return;
+        openThread = null;
+        threadPanel.style.display = 'none';
+        threadMessagesDiv.innerHTML = '';
+        threadInput.value = '';
+        for (var [, timer] of threadTypingPeers) clearTimeout(timer);
+        threadTypingPeers.clear();
+        updateTypingIndicator();
+    }
+
+    function sendThreadReply() {
+        var text = threadInput.value.trim();
+        if (!text || !openThread) return;
+        broadcastMessage(text, openThread);
+        threadInput.value = '';
+        threadInput.focus();
+    }
+
+    function formatDateTime(timestamp) {
+        return new Date(timestamp * 1000).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // ─── Search ───
+    // Searches what this device holds: messages received this session plus any
+    // history restored from a remembered room, which both live in messageData.
+    // Nothing is indexed; a room's messages are bounded enough to scan.
+    function openSearchPanel() {
+        closeThreadPanel();
+        renderSearchFilters();
+        searchPanel.style.display = 'flex';
+        searchInput.focus();
+        searchInput.select();
+        runSearch();
+    }
+
+    function closeSearchPanel() {
+        if (searchPanel.style.display === 'none') return;
+        searchPanel.style.display = 'none';
+        clearTimeout(searchTimer);
+        searchResults.innerHTML = '';
+    }
+
+    function renderSearchFilters() {
+        var selected = searchChannel.value;
+        searchChannel.innerHTML = '';
+        var all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'All channels';
+        searchChannel.appendChild(all);
+        channels.concat(Array.from(channelMessages.keys()).filter(isDmChannel)).forEach(function(ch) {
+            var opt = document.createElement('option');
+            opt.value = ch;
+            opt.textContent = (isDmChannel(ch) ? '@ ' : isPrivateChannel(ch) ? '🔒 ' : '# ') + channelName(ch);
+            searchChannel.appendChild(opt);
+        });
+        searchChannel.value = selected;
+        if (searchChannel.value !== selected) searchChannel.value = '';
+        var senders = new Set();
+        for (var [, data] of messageData) senders.add(data.sender);
+        searchSenders.innerHTML = '';
+        senders.forEach(function(name) {
+            var opt = document.createElement('option');
+            opt.value = name;
+            searchSenders.appendChild(opt);
+        });
+    }
+
+    function scheduleSearch() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, 150);
+    }
+
+    // Every word must appear somewhere in the message (any case, any order)
+    function searchMessages(query, filters) {
+        var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        var sender = filters.sender.trim().toLowerCase();
+        var since = filters.since ? new Date(filters.since + 'T00:00:00').getTime() / 1000 : 0;
+        var until = filters.until ? new Date(filters.until + 'T23:59:59').getTime() / 1000 : Infinity;
+        var found = [];
+        for (var [msgId, data] of messageData) {
+            if (data.deleted || !data.timestamp || typeof data.text !== 'string') continue;
+            if (filters.channel && data.channel !== filters.channel) continue;
+            if (sender && data.sender.toLowerCase().indexOf(sender) === -1) continue;
+            if (data.timestamp < since || data.timestamp > until) continue;
+            if (filters.image && data.kind !== 'image') continue;
+            if (filters.link && !/https?:\/\/\S/.test(data.text)) continue;
+            var text = data.text.toLowerCase();
+            if (!words.every(function(word) { return text.indexOf(word) !== -1; })) continue;
+            found.push(msgId);
+        }
+        found.sort(function(a, b) { return messageData.get(b).timestamp - messageData.get(a).timestamp; });
+        return { words: words, total: found.length, msgIds: found.slice(0, MAX_SEARCH_RESULTS) };
+    }
+
+    function runSearch() {
+        var filters = {
+            channel: searchChannel.value, sender: searchSender.value, since: searchFrom.value, until: searchTo.value,
+            image: searchHasImage.checked, link: searchHasLink.checked,
+        };
+        searchResults.innerHTML = '';
+        var filtered = filters.channel || filters.sender.trim() || filters.since || filters.until || filters.image || filters.link;
+        if (!searchInput.value.trim() && !filtered) {
+            searchStatus.textContent = 'Search this room\'s messages on this device.';
+            return;
+        }
+        var result = searchMessages(searchInput.value, filters);
+        searchStatus.textContent = result.total === 0 ? 'No messages found.'
+            : result.total > result.msgIds.length ? 'Showing the newest ' + result.msgIds.length + ' of ' + result.total + ' matches.'
+            : result.total + (result.total === 1 ? ' match.' : ' matches.');
+        result.msgIds.forEach(function(msgId) { searchResults.appendChild(searchResultItem(msgId, result.words)); });
+    }
+
+    function searchResultItem(msgId, words) {
+        var data = messageData.get(msgId);
+        var li = document.createElement('li');
+        var btn = document.createElement('button');
+        btn.className = 'search-result';
+        var meta = document.createElement('div');
+        meta.className = 'search-result-meta';
+        var where = isDmChannel(data.channel) ? '@ ' + channelName(data.channel) : '#' + channelName(data.channel);
+        if (data.thread) where += ' · thread';
+        var name = document.createElement('span');
+        name.className = 'msg-name';
+        name.style.color = nameColor(data.sender);
+        name.textContent = data.sender;
+        meta.appendChild(name);
+        meta.appendChild(document.createTextNode(' in ' + where + ' · ' + formatDateTime(data.timestamp)));
+        var snippet = document.createElement('div');
+        snippet.className = 'search-result-text';
+        highlightWords(snippet, searchSnippet(data.text, words), words);
+        btn.appendChild(meta);
+        btn.appendChild(snippet);
+        btn.addEventListener('click', function() { jumpToMessage(msgId); });
+        li.appendChild(btn);
+        return li;
+    }
+
+    // Up to ~160 characters around the first match
+    function searchSnippet(text, words) {
+        var lower = text.toLowerCase();
+        var at = words.length > 0 ? lower.indexOf(words[0]) : 0;
+        var start = Math.max(0, at - 60);
+        var snippet = text.slice(start, start + 160);
+        return (start > 0 ? '…' : '') + snippet + (start + 160 < text.length ? '…' : '');
+    }
+
+    // Text nodes and <mark>s only: the message text is never parsed as HTML
+    function highlightWords(el, text, words) {
+        var lower = text.toLowerCase();
+        var pos = 0;
+        while (pos < text.length) {
+            var next = -1;
+            var len = 0;
+            words.forEach(function(word) {
+                var i = lower.indexOf(word, pos);
+                if (i !== -1 && (next === -1 || i < next || (i === next && word.length > len))) { next = i; len = word.length; }
+            });
+            if (next === -1) break;
+            if (next > pos) el.appendChild(document.createTextNode(text.slice(pos, next)));
+            var mark = document.createElement('mark');
+            mark.textContent = text.slice(next, next + len);
+            el.appendChild(mark);
+            pos = next + len;
+        }
+        if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+    }
+
+    function jumpToMessage(msgId) {
+        var data = messageData.get(msgId);
+        if (!data) { runSearch(); return; }
+        if (data.thread) openThreadPanel(data.thread);
+        else if (data.channel !== activeChannel) switchChannel(data.channel);
+        // The panel covers the chat on small screens
+        if (getComputedStyle(searchPanel).position === 'fixed') closeSearchPanel();
+        var div = messageElement(msgId);
+        if (!div) return;
+        div.scrollIntoView({ block: 'center' });
+        div.classList.remove('msg-highlight');
+        void div.offsetWidth; // restart the animation when jumping to the same message again
+        div.classList.add('msg-highlight');
+        announce('Jumped to message from ' + data.sender);
+    }
+
+    // ─── Disappearing Messages ───
+    // A chat or image sent with a timer carries `expiresIn` (seconds). Every
+    // client counts it down from the send time and then purges it everywhere
+    // it lives: messageData, its channel or thread, the DOM, reply quotes and
+    // the saved room. The room's default timer comes from the Room DO.
+    function formatDuration(seconds) {
+        if (seconds < 60) return seconds + 's';
+        if (seconds < 3600) return Math.floor(seconds / 60) + 'm';
+        return Math.floor(seconds / 3600) + 'h';
+    }
+
+    function renderDisappearSelect() {
+        var value = disappearSelect.value || 'default';
+        var room = roomSettings.disappearAfter || 0;
+        disappearSelect.innerHTML = '';
+        [['default', 'Room default (' + (room ? formatDuration(room) : 'off') + ')'], ['0', 'Off']].concat(DISAPPEAR_TIMERS.map(function(t) {
+            return [String(t), formatDuration(t)];
+        })).forEach(function(option) {
+            var el = document.createElement('option');
+            el.value = option[0];
+            el.textContent = '⏱ ' + option[1];
+            disappearSelect.appendChild(el);
+        });
+        disappearSelect.value = value;
+        disappearSelect.classList.toggle('active', messageLifetime() > 0);
+    }
+
+    // Timer for what we send next: our own pick, else the room's default
+    function messageLifetime() {
+        var value = disappearSelect.value;
+        if (!value || value === 'default') return roomSettings.disappearAfter || 0;
+        return parseInt(value, 10) || 0;
+    }
+
+    function sanitizeLifetime(seconds) {
+        return Number.isInteger(seconds) && seconds > 0 && seconds <= MAX_DISAPPEAR ? seconds : 0;
+    }
+
+    // A sender's clock running ahead must not stretch the timer
+    function expiryFrom(timestamp, lifetime) {
+        var now = Math.floor(Date.now() / 1000);
+        return (typeof timestamp === 'number' ? Math.min(timestamp, now) : now) + lifetime;
+    }
+
+    // Expiry carried by history sync and saved rooms: 0 for none, -1 if already past
+    function sanitizeExpiry(expiresAt) {
+        if (typeof expiresAt !== 'number') return 0;
+        var now = Math.floor(Date.now() / 1000);
+        if (expiresAt <= now) return -1;
+        return Math.min(expiresAt, now + MAX_DISAPPEAR);
+    }
+
+    function setMessageExpiry(msgId, expiresAt) {
+        var data = messageData.get(msgId);
+        if (!data || !expiresAt) return;
+        data.expiresAt = expiresAt;
+        var delay = expiresAt * 1000 - Date.now();
+        if (delay <= 0) { purgeMessage(msgId); return; }
+        clearTimeout(expiryTimers.get(msgId));
+        expiryTimers.set(msgId, setTimeout(function() { purgeMessage(msgId); }, delay));
+        var div = messageElement(msgId);
+        var header = div && div.querySelector('.msg-header');
+        if (header && !header.querySelector('.msg-countdown')) {
+            var badge = document.createElement('span');
+            badge.className = 'msg-countdown';
+            badge.setAttribute('data-expires', expiresAt);
+            badge.title = 'Disappears at ' + new Date(expiresAt * 1000).toLocaleString();
+            header.appendChild(badge);
+        }
+        renderCountdowns();
+        if (!countdownTimer) countdownTimer = setInterval(renderCountdowns, 1000);
+        scheduleSave();
+    }
+
+    // Only countdowns in the document need to tick; hidden ones catch up when shown
+    function renderCountdowns() {
+        var now = Date.now() / 1000;
+        document.querySelectorAll('.msg-countdown').forEach(function(badge) {
+            badge.textContent = '⏱ ' + formatDuration(Math.max(0, Math.ceil(Number(badge.getAttribute('data-expires')) - now)));
+        });
+    }
+
+    function purgeMessage(msgId) {
+        clearTimeout(expiryTimers.get(msgId));
+        expiryTimers.delete(msgId);
+        var data = messageData.get(msgId);
+        if (data) {
+            if (openThread === msgId) closeThreadPanel();
+            // A thread goes with its root
+            (threadMessages.get(msgId) || []).slice().forEach(function(reply) { purgeMessage(reply.getAttribute('data-msg-id')); });
+            threadMessages.delete(msgId);
+            threadUnread.delete(msgId);
+            var div = messageElement(msgId);
+            if (div) {
+                var msgs = data.thread ? threadMessages.get(data.thread) : channelMessages.get(data.channel);
+                msgs.splice(msgs.indexOf(div), 1);
+                div.remove();
+            }
+            if (data.url) {
+                if (lightbox.style.display !== 'none' && lightboxImg.src === data.url) closeLightbox();
+                URL.revokeObjectURL(data.url);
+            }
+            if ((replyingTo && replyingTo.msgId === msgId) || editingMsgId === msgId) clearReply();
+            data.expired = true;
+            updateReplyPreviews(msgId);
+            messageData.delete(msgId);
+            if (data.thread) renderThreadSummary(data.thread);
+            scheduleSave();
+        }
+        if (expiryTimers.size === 0) {
+            clearInterval(countdownTimer);
+            countdownTimer = null;
         }
     }
 
@@ -661,36 +4208,93 @@
         div.className = 'system-message';
         div.setAttribute('role', 'status');
         div.textContent = text;
-        channelMessages.get(channel).push(div);
-        if (channel === activeChannel) {
-            messagesDiv.appendChild(div);
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
-        }
+        placeMessage(channel, div, 0, false);
         announce(text);
     }
 
     function updateMemberList() {
         memberList.innerHTML = '';
-        addMemberToList(displayName, true, myStatus);
+        addMemberToList(displayName, 'self', myStatus, null, !!screenShare, topology.hubs.includes(myPeerId), myRole);
         for (var [peerId, name] of peerNames) {
-            var peer = peers.get(peerId);
-            addMemberToList(name, peer ? peer.connected : false, peerStatuses.get(peerId) || '');
+            addMemberToList(name, peerLink(peerId), peerStatuses.get(peerId) || '', peerId, screenSharers.has(peerId), topology.hubs.includes(peerId), peerRoles.get(peerId) || 'member');
         }
         memberCount.textContent = 1 + peerNames.size;
+        renderDmList();
     }
 
-    function addMemberToList(name, isConnected, status) {
+    // 'direct' | 'turn' (P2P through a TURN server) | 'relay' (server relay) |
+    // 'hub' (forwarded by a hub) | 'connecting'
+    function peerLink(peerId) {
+        var peer = peers.get(peerId);
+        if (peer && peer.connected) return peer.route === 'turn' ? 'turn' : 'direct';
+        if (relayedPeers.has(peerId)) return 'relay';
+        if (!isNeighbor(peerId) && canReachPeer(peerId)) return 'hub';
+        return 'connecting';
+    }
+
+    function addMemberToList(name, link, status, peerId, isSharing, isHub, role) {
         var li = document.createElement('li');
         var color = nameColor(name);
-        var statusClass = isConnected ? 'connected' : 'disconnected';
-        var statusLabel = isConnected ? 'connected' : 'connecting';
+        var statusClass = link === 'relay' ? 'relayed' : (link === 'connecting' ? 'disconnected' : 'connected');
+        var statusLabel = { self: 'connected', direct: 'connected peer-to-peer', turn: 'connected peer-to-peer through a TURN server', relay: 'relayed via server', hub: 'reached through a hub', connecting: 'connecting' }[link];
         var statusHtml = status ? '<span class="member-status-emoji">' + status + '</span>' : '';
         li.innerHTML =
             '<div class="avatar" role="img" aria-label="' + escapeHtml(name) + '" style="background:' + color + '">' +
                 nameInitial(name) + statusHtml +
             '</div>' +
             '<span>' + escapeHtml(name) + '</span>' +
-            '<span class="status-dot ' + statusClass + '" style="width:8px;height:8px;margin-left:auto;" aria-label="' + statusLabel + '"></span>';
+            (role === 'host' ? '<span class="member-role-tag host" title="Room host">host</span>' : '') +
+            (role === 'moderator' ? '<span class="member-role-tag" title="Moderator">mod</span>' : '') +
+            (isSharing ? '<span class="member-sharing" role="img" aria-label="sharing screen" title="Sharing screen">🖥️</span>' : '') +
+            (isHub ? '<span class="member-relay-tag hub" title="Forwards messages for members without a direct link">hub</span>' : '') +
+            (link === 'turn' ? '<span class="member-relay-tag turn" title="Peer-to-peer through a TURN server; still end-to-end encrypted">turn</span>' : '') +
+            (link === 'relay' ? '<span class="member-relay-tag" title="Messages to this member go through the encrypted server relay">relay</span>' : '') +
+            (link === 'hub' ? '<span class="member-relay-tag" title="Messages to this member are forwarded by a hub">via hub</span>' : '') +
+            '<span class="status-dot ' + statusClass + '" style="width:8px;height:8px;margin-left:auto;" aria-label="' + statusLabel + '" title="' + statusLabel + '"></span>';
+        if (peerId) {
+            var dmBtn = document.createElement('button');
+            dmBtn.className = 'member-verify-btn';
+            dmBtn.textContent = '💬';
+            dmBtn.setAttribute('aria-label', 'Send ' + name + ' a direct message');
+            dmBtn.title = dmBtn.getAttribute('aria-label');
+            dmBtn.addEventListener('click', function() { openDm(peerId); });
+            li.appendChild(dmBtn);
+            var keyEntry = peerKeys.get(peerId);
+            var verifyBtn = document.createElement('button');
+            verifyBtn.className = 'member-verify-btn';
+            if (keyEntry && keyEntry.verified) {
+                verifyBtn.textContent = '✅';
+                verifyBtn.setAttribute('aria-label', 'Verified. View safety number with ' + name);
+            } else if (keyEntry && keyEntry.publicKey) {
+                verifyBtn.textContent = '🔒';
+                verifyBtn.setAttribute('aria-label', 'Encrypted, not verified. View safety number with ' + name);
+            } else {
+                verifyBtn.textContent = '…';
+                verifyBtn.setAttribute('aria-label', 'Key exchange pending with ' + name);
+            }
+            verifyBtn.title = verifyBtn.getAttribute('aria-label');
+            verifyBtn.addEventListener('click', function() { openSafetyDialog(peerId); });
+            li.appendChild(verifyBtn);
+            if (canModerate(peerId)) {
+                var menuBtn = document.createElement('button');
+                menuBtn.className = 'member-menu-btn';
+                menuBtn.textContent = '⋯';
+                menuBtn.setAttribute('aria-haspopup', 'menu');
+                menuBtn.setAttribute('aria-label', 'Moderate ' + name);
+                menuBtn.title = 'Moderate ' + name;
+                menuBtn.addEventListener('click', function(e) {
+                    e.stopPropagation();
+                    var rect = menuBtn.getBoundingClientRect();
+                    openMemberMenu(peerId, rect.left, rect.bottom + 4);
+                });
+                li.appendChild(menuBtn);
+                li.addEventListener('contextmenu', function(e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    openMemberMenu(peerId, e.clientX, e.clientY);
+                });
+            }
+        }
         memberList.appendChild(li);
     }
 
@@ -701,6 +4305,10 @@
             connectionStatus.className = 'status-dot connected';
             connectionStatus.title = 'P2P Connected';
             connectionStatus.setAttribute('aria-label', 'Connection status: peer-to-peer connected');
+        } else if (relayedPeers.size > 0 && ws && ws.readyState === WebSocket.OPEN) {
+            connectionStatus.className = 'status-dot relayed';
+            connectionStatus.title = 'Encrypted Server Relay';
+            connectionStatus.setAttribute('aria-label', 'Connection status: encrypted server relay');
         } else if (ws && ws.readyState === WebSocket.OPEN) {
             connectionStatus.className = 'status-dot connected';
             connectionStatus.title = 'Signaling Connected';
@@ -735,6 +4343,11 @@
 
     async function shareRoom() {
         var url = getShareUrl();
+        // Invite-only rooms share a fresh single-use invite each time
+        if (roomAccess.inviteOnly) {
+            try { url += '&invite=' + encodeURIComponent(await requestInvite()); }
+            catch (err) { showShareToast('Could not create an invite'); return; }
+        }
         if (navigator.share) {
             try { await navigator.share({ title: 'Safepeer Room', text: 'Join my Safepeer room: ' + roomCodeDisplay.textContent, url: url }); showShareToast('Shared!'); return; }
             catch (err) { if (err.name === 'AbortError') return; }
@@ -755,6 +4368,7 @@
 
     function setStatus(emoji) {
         myStatus = emoji;
+        scheduleSave();
         myStatusEmoji.textContent = emoji;
         broadcastPeerMessage({ type: 'status', emoji: emoji });
         updateMemberList();
@@ -762,6 +4376,7 @@
 
     function clearStatus() {
         myStatus = '';
+        scheduleSave();
         myStatusEmoji.textContent = '';
         broadcastPeerMessage({ type: 'status', emoji: '' });
         updateMemberList();
@@ -770,15 +4385,7 @@
 
     initStatusPicker();
 
-    // ─── Image Transfer ───
-    function hashString(str) {
-        var hash = 0;
-        for (var i = 0; i < str.length; i++) {
-            hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
-        }
-        return hash >>> 0;
-    }
-
+    // ─── Image Compression ───
     function compressImage(file) {
         return new Promise(function(resolve, reject) {
             if (file.type === 'image/gif') {
@@ -824,141 +4431,555 @@
         });
     }
 
-    function hasOpenDataChannels() {
-        for (var [, peer] of peers) {
-            if (peer.dataChannel && peer.dataChannel.readyState === 'open') return true;
+    // ─── File Transfer ───
+    // Files travel as sealed binary chunks tagged with the full transfer ID and
+    // chunk index. The receiver acknowledges chunks in small batches; the sender
+    // keeps a bounded window of unacknowledged chunks per peer, backs off while
+    // the DataChannel buffer is full and resends chunks whose ack never came.
+    // Accepting an offer again with a bitmap of held chunks resumes a transfer,
+    // which is how both sides pick up after a DataChannel reconnects.
+    // In hub rooms images are pushed instead: one broadcast that hubs fan out,
+    // with no accept or acks unless a receiver stalls and asks for the rest.
+    function transferPath(peerId, size) {
+        if (!isNeighbor(peerId)) return canReachPeer(peerId) ? 'hub' : null;
+        var peer = peers.get(peerId);
+        if (peer && peer.dataChannel && peer.dataChannel.readyState === 'open') return 'p2p';
+        var entry = peerKeys.get(peerId);
+        if (entry && entry.key && size <= FILE_RELAY_MAX) return 'relay';
+        return null;
+    }
+
+    async function sha256Hex(blob) {
+        var digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return bytesToHex(new Uint8Array(digest));
+    }
+
+    function packChunkBitmap(flags) {
+        var bits = new Uint8Array(Math.ceil(flags.length / 8));
+        for (var i = 0; i < flags.length; i++) { if (flags[i]) bits[i >> 3] |= 1 << (i & 7); }
+        return bytesToBase64(bits);
+    }
+
+    function chunkBitmapHas(bits, index) {
+        return !!bits && (index >> 3) < bits.length && (bits[index >> 3] & (1 << (index & 7))) !== 0;
+    }
+
+    async function startFileTransfer(blob, fileName, kind) {
+        var totalChunks = Math.ceil(blob.size / FILE_CHUNK_SIZE);
+        var meta = {
+            type: 'file-offer', transferId: bytesToHex(crypto.getRandomValues(new Uint8Array(16))), kind: kind,
+            fileName: fileName, mimeType: blob.type || 'application/octet-stream', size: blob.size,
+            chunkSize: FILE_CHUNK_SIZE, totalChunks: totalChunks, sha256: '',
+            timestamp: Math.floor(Date.now() / 1000), channel: activeChannel, push: isHubMode() && kind === 'image',
+        };
+        if (kind === 'image' && messageLifetime()) meta.expiresIn = messageLifetime();
+        var t = { id: meta.transferId, outgoing: true, file: blob, meta: meta, sender: displayName, preparing: true, paused: false, cancelled: false, peers: new Map(), card: null };
+        if (kind === 'image') {
+            var msgId = 'img-' + t.id;
+            addImageMessage(displayName, URL.createObjectURL(blob), fileName, meta.timestamp, meta.channel, undefined, msgId);
+            attachThumbnail(msgId, blob);
+            if (meta.expiresIn) setMessageExpiry(msgId, meta.timestamp + meta.expiresIn);
+        } else {
+            messageData.set('file-' + t.id, { kind: 'file', sender: displayName, text: '[File: ' + fileName + ']', channel: meta.channel, timestamp: meta.timestamp, fileName: fileName, size: blob.size, reactions: {} });
+            t.card = addTransferCard(t);
         }
-        return false;
+        meta.sha256 = await sha256Hex(blob);
+        t.preparing = false;
+        if (t.cancelled) return;
+        outgoingTransfers.set(t.id, t);
+        // Offers are small, so they go to everyone; chunks wait for a usable path
+        for (var [peerId] of peerNames) {
+            t.peers.set(peerId, { state: 'offered', acked: new Uint8Array(totalChunks), ackedCount: 0, queue: [], inFlight: new Map(), remotePaused: false });
+            if (!meta.push) sendToPeer(peerId, meta);
+        }
+        if (meta.push) pushFileChunks(t);
+        if (!fileRetryTimer) fileRetryTimer = setInterval(checkFileTimeouts, FILE_ACK_TIMEOUT / 4);
+        renderTransferCard(t);
     }
 
-    function sendImageToPeers(blob, fileName) {
-        var transferId = myPeerId + '-' + Date.now();
-        var mimeType = blob.type || 'image/jpeg';
-        var reader = new FileReader();
-        reader.onload = function() {
-            var buffer = reader.result;
-            var totalChunks = Math.ceil(buffer.byteLength / IMAGE_CHUNK_SIZE);
-            var meta = { type: 'image-meta', transferId: transferId, fileName: fileName, mimeType: mimeType, totalChunks: totalChunks, totalSize: buffer.byteLength, sender: displayName, timestamp: Math.floor(Date.now() / 1000) };
-            var metaJson = JSON.stringify(meta);
-            var transferIdHash = hashString(transferId);
-
-            for (var [, peer] of peers) {
-                if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
-                    try { peer.dataChannel.send(metaJson); } catch(e) {}
-                }
+    function pumpTransfers(peerId) {
+        var peer = peers.get(peerId);
+        var dc = peer && peer.dataChannel && peer.dataChannel.readyState === 'open' ? peer.dataChannel : null;
+        for (var [, t] of outgoingTransfers) {
+            var ps = t.peers.get(peerId);
+            if (!ps || ps.state !== 'sending' || t.paused || ps.remotePaused) continue;
+            var path = transferPath(peerId, t.meta.size);
+            if (!path) continue;
+            var windowSize = path === 'p2p' ? FILE_WINDOW : (path === 'hub' ? FILE_HUB_WINDOW : FILE_RELAY_WINDOW);
+            while (ps.queue.length > 0 && ps.inFlight.size < windowSize) {
+                // bufferedamountlow calls us again once the channel drains
+                if (dc && dc.bufferedAmount > FILE_HIGH_WATER) return;
+                var index = ps.queue.shift();
+                if (ps.acked[index]) continue;
+                ps.inFlight.set(index, Date.now());
+                sendFileChunk(t, peerId, index);
             }
+        }
+    }
 
-            for (var i = 0; i < totalChunks; i++) {
-                var start = i * IMAGE_CHUNK_SIZE;
-                var end = Math.min(start + IMAGE_CHUNK_SIZE, buffer.byteLength);
-                var chunkData = buffer.slice(start, end);
-                var headerBuf = new ArrayBuffer(24 + chunkData.byteLength);
-                var view = new DataView(headerBuf);
-                view.setUint8(0, 0x49); // I
-                view.setUint8(1, 0x4D); // M
-                view.setUint8(2, 0x47); // G
-                view.setUint8(3, 0x00);
-                view.setUint32(4, transferIdHash);
-                view.setUint32(8, i);
-                view.setUint32(12, totalChunks);
-                new Uint8Array(headerBuf, 24).set(new Uint8Array(chunkData));
-
-                for (var [, peer2] of peers) {
-                    if (peer2.dataChannel && peer2.dataChannel.readyState === 'open') {
-                        try { peer2.dataChannel.send(headerBuf); } catch(e) {}
-                    }
+    async function fileChunkFrame(t, index) {
+        var start = index * FILE_CHUNK_SIZE;
+        var data = await t.file.slice(start, Math.min(start + FILE_CHUNK_SIZE, t.meta.size)).arrayBuffer();
+        var frame = new Uint8Array(FILE_HEADER_LEN + data.byteLength);
+        frame.set(FILE_MAGIC, 0);
+        frame.set(hexToBytes(t.id), 4);
+        new DataView(frame.buffer).setUint32(20, index);
+        frame.set(new Uint8Array(data), FILE_HEADER_LEN);
+        return frame;
+    }
+
+    function fileReadFailed(t, err) {
+        console.error('File read error', err);
+        if (!t.cancelled) {
+            addSystemMessage('Stopped sending ' + t.meta.fileName + ': the file can no longer be read.');
+            cancelTransfer(t);
+        }
+    }
+
+    function sendFileChunk(t, peerId, index) {
+        fileChunkFrame(t, index).then(function(frame) {
+            if (!t.cancelled) sendBinaryToPeer(peerId, frame.buffer);
+        }).catch(function(err) { fileReadFailed(t, err); });
+    }
+
+    async function pushFileChunks(t) {
+        broadcastPeerMessage(t.meta);
+        try {
+            for (var index = 0; index < t.meta.totalChunks && !t.cancelled; index++) {
+                broadcastSealed(FRAME_BINARY, await fileChunkFrame(t, index));
+            }
+        } catch (err) { fileReadFailed(t, err); }
+    }
+
+    function checkFileTimeouts() {
+        var now = Date.now();
+        for (var [, t] of outgoingTransfers) {
+            for (var [peerId, ps] of t.peers) {
+                var expired = [];
+                for (var [index, sentAt] of ps.inFlight) {
+                    if (now - sentAt > FILE_ACK_TIMEOUT) expired.push(index);
                 }
+                if (expired.length === 0) continue;
+                expired.forEach(function(index) { ps.inFlight.delete(index); });
+                ps.queue = expired.concat(ps.queue);
+                pumpTransfers(peerId);
+            }
+        }
+        if (outgoingTransfers.size === 0) {
+            clearInterval(fileRetryTimer);
+            fileRetryTimer = null;
+        }
+    }
+
+    function finishOutgoingIfSettled(t) {
+        for (var [, ps] of t.peers) {
+            if (ps.state !== 'done' && ps.state !== 'cancelled') return;
+        }
+        outgoingTransfers.delete(t.id);
+        t.file = null;
+    }
+
+    function handleFileAccept(peerId, msg) {
+        var t = outgoingTransfers.get(msg.transferId);
+        var ps = t && t.peers.get(peerId);
+        if (!ps || ps.state === 'cancelled') return;
+        var have = null;
+        try { if (typeof msg.have === 'string') have = base64ToBytes(msg.have); } catch {}
+        ps.queue = [];
+        ps.inFlight.clear();
+        for (var i = 0; i < t.meta.totalChunks; i++) {
+            if (chunkBitmapHas(have, i)) {
+                if (!ps.acked[i]) { ps.acked[i] = 1; ps.ackedCount++; }
+            } else {
+                ps.queue.push(i);
             }
+        }
+        ps.state = ps.queue.length === 0 ? 'done' : 'sending';
+        ps.remotePaused = false;
+        renderTransferCard(t);
+        finishOutgoingIfSettled(t);
+        pumpTransfers(peerId);
+    }
+
+    function handleFileAck(peerId, msg) {
+        var t = outgoingTransfers.get(msg.transferId);
+        var ps = t && t.peers.get(peerId);
+        if (!ps || ps.state !== 'sending' || !Array.isArray(msg.chunks)) return;
+        msg.chunks.slice(0, FILE_WINDOW * 2).forEach(function(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= t.meta.totalChunks) return;
+            ps.inFlight.delete(index);
+            if (!ps.acked[index]) { ps.acked[index] = 1; ps.ackedCount++; }
+        });
+        if (ps.ackedCount === t.meta.totalChunks) {
+            ps.state = 'done';
+            finishOutgoingIfSettled(t);
+        }
+        renderTransferCard(t);
+        pumpTransfers(peerId);
+    }
+
+    function validFileOffer(msg) {
+        if (typeof msg.transferId !== 'string' || !/^[0-9a-f]{32}$/.test(msg.transferId)) return false;
+        if (typeof msg.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(msg.sha256)) return false;
+        if (typeof msg.fileName !== 'string' || typeof msg.mimeType !== 'string') return false;
+        if (!Number.isInteger(msg.size) || msg.size < 1 || msg.size > FILE_MAX_SIZE) return false;
+        if (msg.chunkSize !== FILE_CHUNK_SIZE || msg.totalChunks !== Math.ceil(msg.size / FILE_CHUNK_SIZE)) return false;
+        if (msg.push !== undefined && typeof msg.push !== 'boolean') return false;
+        if (msg.kind === 'image') return ALLOWED_MIME.includes(msg.mimeType) && msg.size <= MAX_IMAGE_SIZE;
+        return msg.kind === 'file';
+    }
 
-            var localBlob = new Blob([buffer], { type: mimeType });
-            var localUrl = URL.createObjectURL(localBlob);
-            addImageMessage(displayName, localUrl, fileName, Math.floor(Date.now() / 1000), activeChannel);
+    function handleFileOffer(peerId, msg, trust) {
+        var existing = incomingTransfers.get(msg.transferId);
+        if (existing) {
+            // Re-offered after a reconnect: tell the sender what we already hold
+            if (existing.peerId === peerId && existing.state !== 'offered' && existing.state !== 'cancelled') sendFileAccept(existing);
+            return;
+        }
+        if (!validFileOffer(msg)) return;
+        var channel = typeof msg.channel === 'string' && channels.includes(msg.channel) ? msg.channel : 'general';
+        var t = {
+            id: msg.transferId, outgoing: false, peerId: peerId, sender: peerNames.get(peerId) || 'Unknown', trust: trust,
+            meta: { kind: msg.kind, fileName: msg.fileName.slice(0, 255) || 'file', mimeType: msg.mimeType, size: msg.size, totalChunks: msg.totalChunks, sha256: msg.sha256, timestamp: Number(msg.timestamp) || Math.floor(Date.now() / 1000), channel: channel, push: msg.push === true, expiresIn: sanitizeLifetime(msg.expiresIn) },
+            state: 'offered', paused: false, remotePaused: false,
+            chunks: new Array(msg.totalChunks), received: new Uint8Array(msg.totalChunks), count: 0,
+            pendingAcks: [], ackTimer: null, stallTimer: null, url: null, error: '', card: null,
         };
-        reader.readAsArrayBuffer(blob);
+        incomingTransfers.set(t.id, t);
+        if (t.meta.kind === 'file') {
+            messageData.set('file-' + t.id, { kind: 'file', sender: t.sender, text: '[File: ' + t.meta.fileName + ']', channel: channel, timestamp: t.meta.timestamp, fileName: t.meta.fileName, size: t.meta.size, trust: trust, reactions: {} });
+        }
+        t.card = addTransferCard(t);
+        if (t.meta.kind === 'image') {
+            acceptTransfer(t);
+        } else {
+            playMessageSound();
+            announce(t.sender + ' offered a file: ' + t.meta.fileName);
+        }
+    }
+
+    function sendFileAccept(t) {
+        sendToPeer(t.peerId, { type: 'file-accept', transferId: t.id, have: packChunkBitmap(t.received) });
+    }
+
+    function acceptTransfer(t) {
+        if (t.state !== 'offered') return;
+        t.state = 'receiving';
+        if (t.meta.push) armPushStall(t);
+        else sendFileAccept(t);
+        renderTransferCard(t);
+    }
+
+    // A pushed transfer that goes quiet falls back to the acknowledged protocol
+    function armPushStall(t) {
+        clearTimeout(t.stallTimer);
+        t.stallTimer = setTimeout(function() {
+            t.stallTimer = null;
+            if (t.state !== 'receiving') return;
+            t.meta.push = false;
+            sendFileAccept(t);
+        }, FILE_PUSH_STALL);
+    }
+
+    function handleFileChunk(peerId, bytes) {
+        if (bytes.byteLength < FILE_HEADER_LEN || !FILE_MAGIC.every(function(b, i) { return bytes[i] === b; })) return;
+        var t = incomingTransfers.get(bytesToHex(bytes.subarray(4, 20)));
+        if (!t || t.peerId !== peerId) return;
+        var index = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(20);
+        if (index >= t.meta.totalChunks) return;
+        if (t.state === 'receiving' && !t.received[index]) {
+            var data = bytes.slice(FILE_HEADER_LEN);
+            if (data.byteLength !== Math.min(FILE_CHUNK_SIZE, t.meta.size - index * FILE_CHUNK_SIZE)) return;
+            t.chunks[index] = data;
+            t.received[index] = 1;
+            t.count++;
+            if (t.meta.push) armPushStall(t);
+            renderTransferCard(t);
+        }
+        // Duplicates are acknowledged again in case the first ack was lost
+        if (t.received[index] && !t.meta.push && t.state !== 'cancelled' && t.state !== 'failed') queueFileAck(t, index);
+        if (t.state === 'receiving' && t.count === t.meta.totalChunks) finishIncoming(t);
+    }
+
+    function queueFileAck(t, index) {
+        t.pendingAcks.push(index);
+        if (t.pendingAcks.length >= FILE_ACK_BATCH) flushFileAcks(t);
+        else if (!t.ackTimer) t.ackTimer = setTimeout(function() { flushFileAcks(t); }, FILE_ACK_DELAY);
+    }
+
+    function flushFileAcks(t) {
+        clearTimeout(t.ackTimer);
+        t.ackTimer = null;
+        if (t.pendingAcks.length > 0) sendToPeer(t.peerId, { type: 'file-ack', transferId: t.id, chunks: t.pendingAcks.splice(0) });
+    }
+
+    async function finishIncoming(t) {
+        clearTimeout(t.stallTimer);
+        flushFileAcks(t);
+        t.state = 'verifying';
+        renderTransferCard(t);
+        // Only allow-listed image types keep their MIME type; anything else is
+        // opaque bytes, so a received HTML file can never render in our origin
+        var blob = new Blob(t.chunks, { type: t.meta.kind === 'image' ? t.meta.mimeType : 'application/octet-stream' });
+        t.chunks = null;
+        if (await sha256Hex(blob) !== t.meta.sha256) {
+            t.state = 'failed';
+            t.error = 'Integrity check failed';
+            renderTransferCard(t);
+            return;
+        }
+        t.state = 'done';
+        // Pushed transfers are never acked, so tell the sender it can let go
+        if (t.meta.push) sendFileAccept(t);
+        if (t.meta.kind === 'image') {
+            removeTransferCard(t.id);
+            var msgId = 'img-' + t.id;
+            if (!messageData.has(msgId)) {
+                addImageMessage(t.sender, URL.createObjectURL(blob), t.meta.fileName, t.meta.timestamp, t.meta.channel, t.trust, msgId);
+                attachThumbnail(msgId, blob);
+                if (t.meta.expiresIn) setMessageExpiry(msgId, expiryFrom(t.meta.timestamp, t.meta.expiresIn));
+            }
+        } else {
+            t.url = URL.createObjectURL(blob);
+            renderTransferCard(t);
+        }
+    }
+
+    function handleFileControl(peerId, msg) {
+        var out = outgoingTransfers.get(msg.transferId);
+        var ps = out && out.peers.get(peerId);
+        if (ps) {
+            if (msg.action === 'pause') ps.remotePaused = true;
+            else if (msg.action === 'resume') ps.remotePaused = false;
+            else if (msg.action === 'cancel') { ps.state = 'cancelled'; ps.queue = []; ps.inFlight.clear(); finishOutgoingIfSettled(out); }
+            renderTransferCard(out);
+            pumpTransfers(peerId);
+            return;
+        }
+        var t = incomingTransfers.get(msg.transferId);
+        if (!t || t.peerId !== peerId) return;
+        if (msg.action === 'pause') t.remotePaused = true;
+        else if (msg.action === 'resume') t.remotePaused = false;
+        else if (msg.action === 'cancel' && t.state !== 'done') dropIncoming(t, 'cancelled', '');
+        renderTransferCard(t);
+    }
+
+    function dropIncoming(t, state, error) {
+        clearTimeout(t.ackTimer);
+        clearTimeout(t.stallTimer);
+        t.state = state;
+        t.error = error;
+        t.chunks = null;
+        t.pendingAcks = [];
+    }
+
+    // Local pause/resume/cancel; the other side is told so its card follows
+    function pauseTransfer(t, paused) {
+        t.paused = paused;
+        var control = { type: 'file-control', transferId: t.id, action: paused ? 'pause' : 'resume' };
+        if (t.outgoing) {
+            for (var [peerId, ps] of t.peers) {
+                if (ps.state === 'cancelled' || ps.state === 'done') continue;
+                sendToPeer(peerId, control);
+                if (!paused) pumpTransfers(peerId);
+            }
+        } else {
+            sendToPeer(t.peerId, control);
+        }
+        renderTransferCard(t);
+    }
+
+    function cancelTransfer(t) {
+        var control = { type: 'file-control', transferId: t.id, action: 'cancel' };
+        if (t.outgoing) {
+            t.cancelled = true;
+            for (var [peerId, ps] of t.peers) {
+                if (ps.state === 'cancelled' || ps.state === 'done') continue;
+                ps.state = 'cancelled';
+                ps.queue = [];
+                ps.inFlight.clear();
+                sendToPeer(peerId, control);
+            }
+            finishOutgoingIfSettled(t);
+        } else {
+            if (t.state !== 'offered') sendToPeer(t.peerId, control);
+            dropIncoming(t, 'cancelled', '');
+        }
+        renderTransferCard(t);
+    }
+
+    // DataChannel went down: chunks in flight are resent once a path is back
+    function requeueTransfers(peerId) {
+        for (var [, t] of outgoingTransfers) {
+            var ps = t.peers.get(peerId);
+            if (!ps || ps.inFlight.size === 0) continue;
+            ps.queue = Array.from(ps.inFlight.keys()).concat(ps.queue);
+            ps.inFlight.clear();
+        }
+        pumpTransfers(peerId);
     }
 
-    function handleImageMeta(peerId, meta) {
-        incomingTransfers.set(meta.transferId, {
-            meta: meta,
-            chunks: new Array(meta.totalChunks),
-            received: 0,
-            hash: hashString(meta.transferId)
-        });
-        addImageLoadingPlaceholder(meta.transferId, meta.sender, meta.timestamp, meta.meta_channel || activeChannel);
-    }
-
-    function handleImageChunk(data) {
-        var view = new DataView(data);
-        if (view.getUint8(0) !== 0x49 || view.getUint8(1) !== 0x4D || view.getUint8(2) !== 0x47) return false;
-        var transferHash = view.getUint32(4);
-        var chunkIndex = view.getUint32(8);
-        var totalChunks = view.getUint32(12);
-        var chunkData = data.slice(24);
-
-        for (var [tid, transfer] of incomingTransfers) {
-            if (transfer.hash === transferHash) {
-                if (!transfer.chunks[chunkIndex]) {
-                    transfer.chunks[chunkIndex] = chunkData;
-                    transfer.received++;
-                }
-                if (transfer.received >= totalChunks) {
-                    reassembleImage(tid);
-                }
-                return true;
-            }
+    // DataChannel (re)opened: re-offer what was never accepted and resync the
+    // chunk bitmap of everything we are still receiving from this peer
+    function resumeTransfers(peerId) {
+        for (var [, t] of outgoingTransfers) {
+            var ps = t.peers.get(peerId);
+            if (ps && ps.state === 'offered') sendToPeer(peerId, t.meta);
         }
-        return true;
+        for (var [, t2] of incomingTransfers) {
+            if (t2.peerId === peerId && t2.state === 'receiving') sendFileAccept(t2);
+        }
+        pumpTransfers(peerId);
     }
 
-    function reassembleImage(transferId) {
-        var transfer = incomingTransfers.get(transferId);
-        if (!transfer) return;
-        var totalSize = 0;
-        for (var i = 0; i < transfer.chunks.length; i++) {
-            if (!transfer.chunks[i]) return;
-            totalSize += transfer.chunks[i].byteLength;
+    function dropPeerTransfers(peerId) {
+        for (var [, t] of outgoingTransfers) {
+            var ps = t.peers.get(peerId);
+            if (!ps || ps.state === 'done') continue;
+            ps.state = 'cancelled';
+            ps.inFlight.clear();
+            finishOutgoingIfSettled(t);
+            renderTransferCard(t);
         }
-        var combined = new Uint8Array(totalSize);
-        var offset = 0;
-        for (var j = 0; j < transfer.chunks.length; j++) {
-            combined.set(new Uint8Array(transfer.chunks[j]), offset);
-            offset += transfer.chunks[j].byteLength;
+        for (var [id, t2] of incomingTransfers) {
+            if (t2.peerId !== peerId) continue;
+            if (t2.state === 'offered' || t2.state === 'receiving' || t2.state === 'verifying') {
+                dropIncoming(t2, 'failed', 'Sender left');
+                renderTransferCard(t2);
+            }
+            if (t2.state !== 'done') incomingTransfers.delete(id);
         }
-        var blob = new Blob([combined], { type: transfer.meta.mimeType });
-        var blobUrl = URL.createObjectURL(blob);
-        removeImageLoadingPlaceholder(transferId);
-        addImageMessage(transfer.meta.sender, blobUrl, transfer.meta.fileName, transfer.meta.timestamp, activeChannel);
-        incomingTransfers.delete(transferId);
     }
 
-    function addImageLoadingPlaceholder(transferId, sender, timestamp, channel) {
-        channel = channel || activeChannel;
-        if (!channelMessages.has(channel)) channelMessages.set(channel, []);
+    // Small JPEG kept alongside each image so history sync can offer a preview
+    function attachThumbnail(msgId, blob) {
+        var url = URL.createObjectURL(blob);
+        var img = new Image();
+        img.onload = function() {
+            var scale = Math.min(1, THUMBNAIL_DIM / Math.max(img.width, img.height));
+            var canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(function(thumb) {
+                if (!thumb) return;
+                thumb.arrayBuffer().then(function(buf) {
+                    var b64 = bytesToBase64(new Uint8Array(buf));
+                    var data = messageData.get(msgId);
+                    if (data && b64.length <= MAX_THUMBNAIL_B64) { data.thumbnail = b64; scheduleSave(); }
+                });
+            }, 'image/jpeg', 0.6);
+        };
+        img.onerror = function() { URL.revokeObjectURL(url); };
+        img.src = url;
+    }
+
+    function addTransferCard(t) {
+        var meta = t.meta;
         var div = document.createElement('div');
         div.className = 'message';
-        div.setAttribute('data-transfer-id', transferId);
-        var color = nameColor(sender);
-        var time = timestamp ? new Date(timestamp * 1000).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'}) : '';
+        div.setAttribute('data-transfer-id', t.id);
+        if (meta.kind === 'file') div.setAttribute('data-msg-id', 'file-' + t.id);
+        var color = nameColor(t.sender);
+        var time = meta.timestamp ? new Date(meta.timestamp * 1000).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'}) : '';
         div.innerHTML =
-            '<div class="msg-avatar" style="background:' + color + '">' + nameInitial(sender) + '</div>' +
+            '<div class="msg-avatar" role="img" aria-label="' + escapeHtml(t.sender) + '" style="background:' + color + '">' + nameInitial(t.sender) + '</div>' +
             '<div class="msg-content">' +
                 '<div class="msg-header">' +
-                    '<span class="msg-name" style="color:' + color + '">' + escapeHtml(sender) + '</span>' +
+                    '<span class="msg-name" style="color:' + color + '">' + escapeHtml(t.sender) + '</span>' +
                     '<span class="msg-time">' + time + '</span>' +
+                    (t.outgoing ? '' : trustBadgeHtml(t.trust)) +
+                '</div>' +
+                '<div class="file-card">' +
+                    '<span class="file-icon" aria-hidden="true">' + (meta.kind === 'image' ? '🖼️' : '📄') + '</span>' +
+                    '<div class="file-info">' +
+                        '<div class="file-name">' + escapeHtml(meta.fileName) + '</div>' +
+                        '<div class="file-status" aria-live="polite"></div>' +
+                        '<progress class="file-progress" max="1" value="0"></progress>' +
+                    '</div>' +
+                    '<div class="file-actions"></div>' +
                 '</div>' +
-                '<div class="msg-image-loading"></div>' +
             '</div>';
-        channelMessages.get(channel).push(div);
-        if (channel === activeChannel) {
-            messagesDiv.appendChild(div);
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        div.querySelector('.file-actions').addEventListener('click', function(e) {
+            var btn = e.target.closest('[data-file-action]');
+            if (!btn) return;
+            var action = btn.getAttribute('data-file-action');
+            if (action === 'accept') acceptTransfer(t);
+            else if (action === 'pause') pauseTransfer(t, true);
+            else if (action === 'resume') pauseTransfer(t, false);
+            else if (action === 'cancel') cancelTransfer(t);
+        });
+        placeMessage(meta.channel, div, meta.timestamp, false);
+        t.card = div;
+        renderTransferCard(t);
+        return div;
+    }
+
+    function transferButton(action, label) {
+        return '<button class="btn btn-small" data-file-action="' + action + '">' + label + '</button>';
+    }
+
+    function renderTransferCard(t) {
+        if (!t.card) return;
+        var total = t.meta.totalChunks;
+        var progress = 0;
+        var status = '';
+        var actions = '';
+        if (t.outgoing) {
+            var active = Array.from(t.peers.values()).filter(function(ps) { return ps.state !== 'cancelled'; });
+            var done = active.filter(function(ps) { return ps.state === 'done'; }).length;
+            var acked = active.reduce(function(sum, ps) { return sum + ps.ackedCount; }, 0);
+            progress = active.length ? acked / (active.length * total) : 0;
+            if (t.preparing) status = 'Computing checksum...';
+            else if (t.cancelled) status = 'Cancelled';
+            else if (active.length === 0) status = t.peers.size ? 'Not delivered' : 'No one to send to';
+            else if (done === active.length) status = 'Sent to ' + done + (done === 1 ? ' peer' : ' peers');
+            else if (t.paused) status = 'Paused';
+            else if (active.every(function(ps) { return ps.state === 'offered'; })) status = 'Waiting for someone to accept';
+            else status = 'Sending ' + Math.round(progress * 100) + '% · delivered to ' + done + ' of ' + active.length;
+            if (!t.cancelled && (t.preparing || done < active.length)) {
+                if (!t.preparing) actions += t.paused ? transferButton('resume', 'Resume') : transferButton('pause', 'Pause');
+                actions += transferButton('cancel', 'Cancel');
+            }
+        } else {
+            progress = t.count / total;
+            var got = Math.min(t.meta.size, t.count * FILE_CHUNK_SIZE);
+            switch (t.state) {
+                case 'offered':
+                    status = 'Offered';
+                    actions = transferButton('accept', 'Accept') + transferButton('cancel', 'Decline');
+                    break;
+                case 'receiving':
+                    status = t.paused ? 'Paused' : t.remotePaused ? 'Paused by sender' : formatBytes(got) + ' received';
+                    actions = (t.paused ? transferButton('resume', 'Resume') : transferButton('pause', 'Pause')) + transferButton('cancel', 'Cancel');
+                    break;
+                case 'verifying': status = 'Verifying checksum...'; break;
+                case 'done': status = 'Verified ✓'; break;
+                case 'failed': status = t.error; break;
+                case 'cancelled': status = 'Cancelled'; break;
+            }
+        }
+        var settled = t.outgoing ? !actions : t.state !== 'receiving' && t.state !== 'verifying';
+        t.card.querySelector('.file-status').textContent = formatBytes(t.meta.size) + ' · ' + status;
+        var bar = t.card.querySelector('.file-progress');
+        bar.value = progress;
+        bar.style.display = settled || t.preparing ? 'none' : '';
+        var actionsEl = t.card.querySelector('.file-actions');
+        actionsEl.innerHTML = actions;
+        if (!t.outgoing && t.state === 'done' && t.url) {
+            var link = document.createElement('a');
+            link.className = 'btn btn-small';
+            link.href = t.url;
+            link.download = t.meta.fileName;
+            link.textContent = 'Save';
+            actionsEl.appendChild(link);
         }
     }
 
-    function removeImageLoadingPlaceholder(transferId) {
+    function removeTransferCard(transferId) {
         var el = document.querySelector('[data-transfer-id="' + transferId + '"]');
         if (el) el.remove();
-        // Also remove from channelMessages arrays
         for (var [, msgs] of channelMessages) {
             for (var i = msgs.length - 1; i >= 0; i--) {
                 if (msgs[i].getAttribute && msgs[i].getAttribute('data-transfer-id') === transferId) {
@@ -968,11 +4989,11 @@
         }
     }
 
-    function addImageMessage(sender, imageUrl, fileName, timestamp, channel) {
+    function addImageMessage(sender, imageUrl, fileName, timestamp, channel, trust, msgId) {
         channel = channel || activeChannel;
-        var msgId = 'img-' + (nextMsgId++);
+        msgId = msgId || ('img-' + (nextMsgId++));
         if (!channelMessages.has(channel)) channelMessages.set(channel, []);
-        messageData.set(msgId, { sender: sender, text: '[Image: ' + fileName + ']', channel: channel, reactions: {} });
+        messageData.set(msgId, { kind: 'image', sender: sender, text: '[Image: ' + fileName + ']', channel: channel, timestamp: timestamp, fileName: fileName, thumbnail: '', url: imageUrl, trust: trust, reactions: {} });
 
         var div = document.createElement('div');
         div.className = 'message';
@@ -986,6 +5007,7 @@
                 '<div class="msg-header">' +
                     '<span class="msg-name" style="color:' + color + '">' + escapeHtml(sender) + '</span>' +
                     '<span class="msg-time">' + time + '</span>' +
+                    trustBadgeHtml(trust) +
                 '</div>' +
             '</div>' +
             '<div class="msg-actions">' +
@@ -1008,18 +5030,681 @@
             showReactionPicker(msgId, e.target);
         });
 
-        channelMessages.get(channel).push(div);
-        if (channel === activeChannel) {
-            messagesDiv.appendChild(div);
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        placeMessage(channel, div, timestamp, trust === 'history' || restoringSnapshot);
+        if (trust !== 'history' && !restoringSnapshot) announce('Image from ' + sender);
+    }
+
+    // ─── Local Persistence ───
+    // Opt-in per room. Snapshots (room code, display name, status, channels and
+    // message history) are sealed with AES-GCM under a key derived from the
+    // user's passphrase via PBKDF2, then stored in IndexedDB. Room codes live
+    // only inside the ciphertext; records are keyed by random ids.
+    function canonicalCode(code) { return String(code || '').replace(/[-\s]/g, '').toUpperCase(); }
+
+    function vaultDb() {
+        return new Promise(function(resolve, reject) {
+            var req = indexedDB.open(VAULT_DB, 1);
+            req.onupgradeneeded = function() {
+                req.result.createObjectStore('meta');
+                req.result.createObjectStore('rooms');
+            };
+            req.onsuccess = function() { resolve(req.result); };
+            req.onerror = function() { reject(req.error); };
+        });
+    }
+
+    function vaultTx(store, mode, fn) {
+        return vaultDb().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                var tx = db.transaction(store, mode);
+                var result;
+                fn(tx.objectStore(store), function(value) { result = value; });
+                tx.oncomplete = function() { db.close(); resolve(result); };
+                tx.onerror = function() { db.close(); reject(tx.error); };
+                tx.onabort = function() { db.close(); reject(tx.error); };
+            });
+        });
+    }
+
+    function vaultGet(store, key) {
+        return vaultTx(store, 'readonly', function(os, done) {
+            var req = os.get(key);
+            req.onsuccess = function() { done(req.result); };
+        });
+    }
+
+    function vaultGetAll(store) {
+        return vaultTx(store, 'readonly', function(os, done) {
+            var rows = [];
+            var req = os.openCursor();
+            req.onsuccess = function() {
+                var cursor = req.result;
+                if (!cursor) { done(rows); return; }
+                rows.push({ key: cursor.key, value: cursor.value });
+                cursor.continue();
+            };
+        });
+    }
+
+    function vaultPut(store, key, value) {
+        return vaultTx(store, 'readwrite', function(os) { os.put(value, key); });
+    }
+
+    function vaultDelete(store, key) {
+        return vaultTx(store, 'readwrite', function(os) { os.delete(key); });
+    }
+
+    async function deriveVaultKey(passphrase, salt) {
+        var base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: VAULT_KDF_ITERATIONS }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    async function vaultEncrypt(key, value) {
+        var iv = crypto.getRandomValues(new Uint8Array(12));
+        var ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv: bytesToBase64(iv), ct: bytesToBase64(new Uint8Array(ct)) };
+    }
+
+    async function vaultDecrypt(key, record) {
+        var plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.ct));
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    async function createVault(passphrase) {
+        var salt = crypto.getRandomValues(new Uint8Array(16));
+        var key = await deriveVaultKey(passphrase, salt);
+        await vaultPut('meta', 'vault', { salt: bytesToBase64(salt), check: await vaultEncrypt(key, VAULT_CHECK) });
+        vaultKey = key;
+        vaultRooms.clear();
+    }
+
+    async function unlockVault(passphrase) {
+        var meta = await vaultGet('meta', 'vault');
+        if (!meta) throw new Error('No saved data on this device');
+        var key = await deriveVaultKey(passphrase, base64ToBytes(meta.salt));
+        try {
+            if (await vaultDecrypt(key, meta.check) !== VAULT_CHECK) throw new Error();
+        } catch { throw new Error('Wrong passphrase'); }
+        vaultKey = key;
+        vaultRooms.clear();
+        var rows = await vaultGetAll('rooms');
+        for (var row of rows) {
+            try {
+                var snapshot = await vaultDecrypt(key, row.value);
+                vaultRooms.set(canonicalCode(snapshot.roomCode), { id: row.key, snapshot: snapshot });
+            } catch(e) { console.error('Unreadable saved room', e); }
+        }
+    }
+
+    function roomSnapshot() {
+        var messages = [];
+        for (var [msgId, data] of messageData) {
+            if (data.kind !== 'chat' && data.kind !== 'image') continue;
+            // DMs and private channels are keyed to peerIds that won't exist next session
+            if (!data.timestamp || data.deleted || isDmChannel(data.channel) || isPrivateChannel(data.channel)) continue;
+            if (data.kind === 'image' && !data.thumbnail) continue;
+            var entry = historyEntry(msgId, data);
+            entry.trust = data.trust;
+            messages.push(entry);
+        }
+        messages.sort(function(a, b) { return a.timestamp - b.timestamp; });
+        return {
+            roomCode: roomCode,
+            displayName: displayName,
+            status: myStatus,
+            settings: roomSettings,
+            channels: channels.filter(function(ch) { return !isPrivateChannel(ch); }),
+            channelRecords: Array.from(channelRecords.values()).filter(function(rec) { return !rec.private; }),
+            messages: messages.slice(-VAULT_MAX_MESSAGES),
+            savedAt: Date.now(),
+        };
+    }
+
+    function scheduleSave() {
+        if (!rememberedRoomId || !vaultKey || saveTimer) return;
+        saveTimer = setTimeout(function() {
+            saveTimer = null;
+            saveCurrentRoom().catch(function(e) { console.error('Save failed:', e); });
+        }, VAULT_SAVE_DELAY);
+    }
+
+    async function saveCurrentRoom() {
+        if (!rememberedRoomId || !vaultKey) return;
+        var snapshot = roomSnapshot();
+        await vaultPut('rooms', rememberedRoomId, await vaultEncrypt(vaultKey, snapshot));
+        vaultRooms.set(canonicalCode(roomCode), { id: rememberedRoomId, snapshot: snapshot });
+    }
+
+    async function rememberCurrentRoom() {
+        var existing = vaultRooms.get(canonicalCode(roomCode));
+        // Unlocking mid-session: fold the earlier save in before overwriting it
+        if (existing) restoreSnapshot(existing.snapshot);
+        rememberedRoomId = existing ? existing.id : bytesToBase64(crypto.getRandomValues(new Uint8Array(12)));
+        await saveCurrentRoom();
+        updateRememberButton();
+        showShareToast('Room saved on this device');
+    }
+
+    async function forgetRoom(code) {
+        var saved = vaultRooms.get(canonicalCode(code));
+        if (saved) await vaultDelete('rooms', saved.id);
+        vaultRooms.delete(canonicalCode(code));
+        if (canonicalCode(code) === canonicalCode(roomCode)) {
+            rememberedRoomId = null;
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            updateRememberButton();
+        }
+    }
+
+    async function wipeVault() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        vaultKey = null;
+        rememberedRoomId = null;
+        vaultRooms.clear();
+        await new Promise(function(resolve) {
+            var req = indexedDB.deleteDatabase(VAULT_DB);
+            req.onsuccess = req.onerror = req.onblocked = function() { resolve(); };
+        });
+        savedRoomsSection.style.display = 'none';
+        savedRoomList.innerHTML = '';
+        updateRememberButton();
+        announce('All saved data wiped from this device');
+    }
+
+    function toggleRemember() {
+        if (rememberedRoomId) {
+            forgetRoom(roomCode).then(function() { showShareToast('Room forgotten on this device'); });
+            return;
+        }
+        if (vaultKey) { rememberCurrentRoom(); return; }
+        vaultGet('meta', 'vault').then(function(meta) {
+            openVaultDialog(meta ? 'unlock' : 'create', rememberCurrentRoom);
+        }).catch(function() { showShareToast('Local storage is unavailable'); });
+    }
+
+    function updateRememberButton() {
+        var on = !!rememberedRoomId;
+        rememberBtn.classList.toggle('active', on);
+        rememberBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+        rememberBtn.title = on ? 'Remembered on this device (click to forget)' : 'Remember this room on this device';
+    }
+
+    // Rebuild channels and messages from a snapshot, merging with whatever the
+    // room already shows (msgIds de-duplicate, timestamps order).
+    function restoreSnapshot(snapshot) {
+        (snapshot.channels || []).forEach(ensureChannel);
+        if (Array.isArray(snapshot.channelRecords)) {
+            snapshot.channelRecords.forEach(function(rec) { mergeChannelRecord(rec, myPeerId); });
+            applyChannels();
+        }
+        restoringSnapshot = true;
+        (snapshot.messages || []).forEach(function(m) {
+            if (!m || typeof m.msgId !== 'string' || messageData.has(m.msgId)) return;
+            var expiresAt = sanitizeExpiry(m.expiresAt);
+            if (expiresAt === -1 || !ensureChannel(m.channel)) return;
+            if (m.kind === 'chat' && typeof m.text === 'string') {
+                addChatMessage(m.sender, m.text, m.timestamp, m.channel, sanitizeReplyTo(m.replyTo), m.msgId, m.trust, sanitizeAuthor(m.author), sanitizeThread(m.thread), sanitizeMentions(m.mentions));
+                restoreEdits(m.msgId, m);
+            } else if (m.kind === 'image' && typeof m.thumbnail === 'string') {
+                var thumb = new Blob([base64ToBytes(m.thumbnail)], { type: 'image/jpeg' });
+                addImageMessage(m.sender, URL.createObjectURL(thumb), m.fileName || 'image', m.timestamp, m.channel, m.trust, m.msgId);
+                messageData.get(m.msgId).thumbnail = m.thumbnail;
+            } else {
+                return;
+            }
+            setMessageExpiry(m.msgId, expiresAt);
+            mergeReactions(m.msgId, m.reactions);
+        });
+        restoringSnapshot = false;
+        if (snapshot.status && !myStatus) setStatus(snapshot.status);
+        switchChannel('general');
+    }
+
+    // Joining a room that is already saved (and unlocked) picks the save back up
+    function resumeSavedRoom(code) {
+        var saved = vaultKey && vaultRooms.get(canonicalCode(code));
+        if (!saved) { updateRememberButton(); return; }
+        rememberedRoomId = saved.id;
+        restoreSnapshot(saved.snapshot);
+        updateRememberButton();
+        addSystemMessage('Restored saved history for this room.', 'general');
+    }
+
+    function openSavedRoom(code) {
+        var saved = vaultRooms.get(code);
+        if (!saved) return;
+        if (saved.snapshot.settings) roomSettings = Object.assign({ historySync: true }, saved.snapshot.settings);
+        joinRoom(saved.snapshot.roomCode, saved.snapshot.displayName || 'Anonymous');
+    }
+
+    async function initSavedRooms() {
+        try {
+            if (await vaultGet('meta', 'vault')) savedRoomsSection.style.display = 'block';
+        } catch {
+            // IndexedDB unavailable (private mode etc.) — persistence stays off
+        }
+    }
+
+    function renderSavedRooms() {
+        savedRoomsSection.style.display = 'block';
+        vaultOpenBtn.style.display = vaultKey ? 'none' : '';
+        savedRoomList.innerHTML = '';
+        if (vaultKey && vaultRooms.size === 0) {
+            var empty = document.createElement('li');
+            empty.className = 'saved-room-empty';
+            empty.textContent = 'No saved rooms';
+            savedRoomList.appendChild(empty);
+        }
+        for (var [code, saved] of vaultRooms) {
+            var li = document.createElement('li');
+            li.className = 'saved-room';
+            var label = document.createElement('span');
+            label.className = 'saved-room-code';
+            label.textContent = saved.snapshot.roomCode;
+            var meta = document.createElement('span');
+            meta.className = 'saved-room-meta';
+            meta.textContent = (saved.snapshot.messages || []).length + ' messages · as ' + (saved.snapshot.displayName || 'Anonymous');
+            var openBtn = document.createElement('button');
+            openBtn.className = 'btn-small';
+            openBtn.textContent = 'Open';
+            openBtn.addEventListener('click', openSavedRoom.bind(null, code));
+            var forgetBtn = document.createElement('button');
+            forgetBtn.className = 'btn-small danger';
+            forgetBtn.textContent = 'Forget';
+            forgetBtn.setAttribute('aria-label', 'Forget room ' + saved.snapshot.roomCode);
+            forgetBtn.addEventListener('click', function(c) {
+                forgetRoom(c).then(renderSavedRooms);
+            }.bind(null, code));
+            li.appendChild(label);
+            li.appendChild(meta);
+            li.appendChild(openBtn);
+            li.appendChild(forgetBtn);
+            savedRoomList.appendChild(li);
+        }
+    }
+
+    function openVaultDialog(mode, onSuccess) {
+        vaultDialogAction = onSuccess;
+        vaultDialog.setAttribute('data-mode', mode);
+        vaultTitle.textContent = mode === 'create' ? 'Choose a passphrase' : 'Unlock saved rooms';
+        vaultInfo.textContent = mode === 'create'
+            ? 'Saved rooms are encrypted on this device with this passphrase. It cannot be recovered if lost.'
+            : 'Enter the passphrase you chose when saving rooms on this device.';
+        vaultConfirmGroup.style.display = mode === 'create' ? '' : 'none';
+        vaultOkBtn.textContent = mode === 'create' ? 'Save' : 'Unlock';
+        vaultPassphrase.value = '';
+        vaultPassphraseConfirm.value = '';
+        vaultError.style.display = 'none';
+        vaultDialog.style.display = 'flex';
+        vaultPassphrase.focus();
+    }
+
+    function closeVaultDialog() {
+        vaultDialog.style.display = 'none';
+        vaultPassphrase.value = '';
+        vaultPassphraseConfirm.value = '';
+        vaultDialogAction = null;
+    }
+
+    function showVaultError(msg) {
+        vaultError.textContent = msg;
+        vaultError.style.display = 'block';
+        announce('Error: ' + msg);
+    }
+
+    async function submitVaultDialog() {
+        var mode = vaultDialog.getAttribute('data-mode');
+        var passphrase = vaultPassphrase.value;
+        if (passphrase.length < 8) { showVaultError('Use at least 8 characters'); return; }
+        if (mode === 'create' && passphrase !== vaultPassphraseConfirm.value) { showVaultError('Passphrases do not match'); return; }
+        vaultOkBtn.disabled = true;
+        try {
+            if (mode === 'create') await createVault(passphrase);
+            else await unlockVault(passphrase);
+            var action = vaultDialogAction;
+            closeVaultDialog();
+            if (action) await action();
+        } catch(err) {
+            showVaultError(err.message || 'Could not open saved data');
+        } finally {
+            vaultOkBtn.disabled = false;
+        }
+    }
+
+    // ─── Transcripts ───
+    // Export and import happen entirely in this browser: a transcript is built
+    // from what this device holds and handed over as a download, and a JSON
+    // export is read back from a local file into a read-only archive view.
+    let archive = null;                // sanitized transcript open in the archive view
+
+    function transcriptChannels() {
+        return channels.concat(Array.from(channelMessages.keys()).filter(isDmChannel));
+    }
+
+    async function buildTranscript() {
+        var byChannel = new Map(transcriptChannels().map(function(ch) { return [ch, []]; }));
+        for (var [msgId, data] of Array.from(messageData)) {
+            var list = byChannel.get(data.channel);
+            if (!list || data.deleted || !data.timestamp) continue;
+            list.push(await transcriptEntry(msgId, data));
+        }
+        return {
+            format: TRANSCRIPT_FORMAT, version: TRANSCRIPT_VERSION,
+            exportedAt: Date.now(), exportedBy: displayName,
+            room: { name: roomSettings.name || '', topic: roomSettings.topic || '' },
+            channels: transcriptChannels().map(function(ch) {
+                var rec = channelRecords.get(ch);
+                return {
+                    id: ch, name: channelName(ch),
+                    kind: isDmChannel(ch) ? 'dm' : rec.private ? 'private' : 'channel',
+                    topic: rec ? rec.topic.v : '', archived: !!rec && rec.state.v === 'archived',
+                    messages: byChannel.get(ch).sort(function(a, b) { return a.timestamp - b.timestamp; }),
+                };
+            }),
+        };
+    }
+
+    async function transcriptEntry(msgId, data) {
+        var entry = { msgId: msgId, kind: data.kind, sender: data.sender, timestamp: data.timestamp, text: data.text, reactions: data.reactions || {} };
+        if (data.replyTo) entry.replyTo = data.replyTo;
+        if (data.thread) entry.thread = data.thread;
+        if (data.mentions) entry.mentions = data.mentions;
+        if (data.editedAt) {
+            entry.editedAt = data.editedAt;
+            entry.edits = data.edits || [];
         }
-        announce('Image from ' + sender);
+        if (data.fileName) entry.fileName = data.fileName;
+        if (data.kind === 'image') entry.image = await transcriptImage(data);
+        return entry;
+    }
+
+    // The full image while we still hold it, else the thumbnail history gave us
+    async function transcriptImage(data) {
+        if (data.url) {
+            try {
+                var blob = await (await fetch(data.url)).blob();
+                return { type: ALLOWED_MIME.includes(blob.type) ? blob.type : 'image/jpeg', data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())) };
+            } catch {
+                // Revoked (expired or purged) while we were exporting
+            }
+        }
+        return data.thumbnail ? { type: 'image/jpeg', data: data.thumbnail } : null;
+    }
+
+    // Messages in time order, each followed by its thread replies; replies
+    // whose root wasn't kept stand on their own
+    function transcriptOrder(messages) {
+        var ids = new Set(messages.map(function(m) { return m.msgId; }));
+        var replies = new Map();
+        messages.forEach(function(m) {
+            if (!m.thread || !ids.has(m.thread)) return;
+            if (!replies.has(m.thread)) replies.set(m.thread, []);
+            replies.get(m.thread).push(m);
+        });
+        var ordered = [];
+        messages.forEach(function(m) {
+            if (m.thread && ids.has(m.thread)) return;
+            ordered.push(m);
+            (replies.get(m.msgId) || []).forEach(function(reply) { ordered.push(reply); });
+        });
+        return ordered;
+    }
+
+    function transcriptHeading(ch) {
+        return (ch.kind === 'dm' ? '@ ' : ch.kind === 'private' ? '🔒 ' : '#') + ch.name + (ch.archived ? ' (archived)' : '');
+    }
+
+    function transcriptReactions(m) {
+        return Object.keys(m.reactions).filter(function(emoji) { return m.reactions[emoji].length > 0; })
+            .map(function(emoji) { return emoji + ' ' + m.reactions[emoji].length; }).join('  ');
+    }
+
+    function transcriptMarkdown(t) {
+        var out = ['# ' + (t.room.name || 'Safepeer room'), '', 'Exported by ' + t.exportedBy + ' on ' + new Date(t.exportedAt).toLocaleString()];
+        if (t.room.topic) out.push('', '> ' + t.room.topic);
+        t.channels.forEach(function(ch) {
+            out.push('', '## ' + transcriptHeading(ch), '');
+            if (ch.topic) out.push('_' + ch.topic + '_', '');
+            if (ch.messages.length === 0) out.push('_No messages_');
+            transcriptOrder(ch.messages).forEach(function(m) {
+                var lines = ['**' + m.sender + '** · ' + formatDateTime(m.timestamp) + (m.editedAt ? ' (edited)' : '') + (m.thread ? ' · in thread' : '')];
+                if (m.replyTo) lines.push('> ↩ **' + m.replyTo.sender + '**: ' + m.replyTo.text);
+                lines.push.apply(lines, (m.kind === 'image' ? '[Image: ' + m.fileName + ']' : m.text).split('\n'));
+                var reactions = transcriptReactions(m);
+                if (reactions) lines.push(reactions);
+                // Thread replies are quoted under their root
+                var prefix = m.thread ? '> ' : '';
+                out.push(lines.map(function(line) { return prefix + line; }).join('  \n'), '');
+            });
+        });
+        return out.join('\n') + '\n';
+    }
+
+    // One file that opens anywhere: styles inline, images as data: URLs and a
+    // CSP that stops anything in it from running or loading from the network
+    function transcriptHtml(t) {
+        var title = escapeHtml(t.room.name || 'Safepeer room');
+        var body = '<h1>' + title + '</h1><p class="meta">Exported by ' + escapeHtml(t.exportedBy) + ' on ' + escapeHtml(new Date(t.exportedAt).toLocaleString()) + '</p>';
+        if (t.room.topic) body += '<p class="topic">' + escapeHtml(t.room.topic) + '</p>';
+        t.channels.forEach(function(ch) {
+            body += '<h2>' + escapeHtml(transcriptHeading(ch)) + '</h2>';
+            if (ch.topic) body += '<p class="topic">' + escapeHtml(ch.topic) + '</p>';
+            if (ch.messages.length === 0) body += '<p class="meta">No messages</p>';
+            transcriptOrder(ch.messages).forEach(function(m) {
+                body += '<div class="msg' + (m.thread ? ' thread' : '') + '"><div class="head"><b style="color:' + nameColor(m.sender) + '">' + escapeHtml(m.sender) + '</b> <span class="meta">' +
+                    escapeHtml(formatDateTime(m.timestamp)) + (m.editedAt ? ' (edited)' : '') + '</span></div>';
+                if (m.replyTo) body += '<div class="reply">↩ <b>' + escapeHtml(m.replyTo.sender) + '</b> ' + escapeHtml(m.replyTo.text) + '</div>';
+                if (m.kind === 'image' && m.image) body += '<img src="data:' + m.image.type + ';base64,' + m.image.data + '" alt="' + escapeHtml(m.fileName || 'Image') + '">';
+                else body += '<div class="text">' + renderMarkdown(m.text, m.mentions) + '</div>';
+                var reactions = transcriptReactions(m);
+                if (reactions) body += '<div class="meta">' + escapeHtml(reactions) + '</div>';
+                body += '</div>';
+            });
+        });
+        return '<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8">' +
+            '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; img-src data:; style-src \'unsafe-inline\'">' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1"><title>' + title + '</title><style>' +
+            'body{font-family:system-ui,sans-serif;background:#36393f;color:#dcddde;max-width:860px;margin:0 auto;padding:24px;line-height:1.45}' +
+            'h1,h2{color:#fff}h2{border-bottom:1px solid #202225;padding-bottom:6px;margin-top:32px}' +
+            '.meta{color:#a0a4a8;font-size:.85em}.topic{color:#b9bbbe;font-style:italic}' +
+            '.msg{padding:6px 0}.msg.thread{margin-left:24px;padding-left:12px;border-left:2px solid #4f545c}' +
+            '.reply{color:#b9bbbe;font-size:.85em;border-left:2px solid #4f545c;padding-left:8px;margin:2px 0}' +
+            '.text{white-space:pre-wrap;word-break:break-word}img{max-width:100%;max-height:480px;border-radius:6px;display:block;margin-top:4px}' +
+            'a{color:#00aff4}code,pre{background:#2f3136;border-radius:4px}pre{padding:8px;overflow-x:auto}' +
+            '</style></head><body>' + body + '</body></html>\n';
+    }
+
+    function saveDownload(fileName, type, content) {
+        var url = URL.createObjectURL(new Blob([content], { type: type }));
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    function openExportDialog() {
+        exportStatus.textContent = '';
+        exportOkBtn.disabled = false;
+        exportDialog.style.display = 'flex';
+        exportFormat.focus();
+    }
+
+    function closeExportDialog() {
+        exportDialog.style.display = 'none';
+    }
+
+    async function submitExport() {
+        var format = exportFormat.value;
+        exportOkBtn.disabled = true;
+        exportStatus.textContent = 'Preparing…';
+        try {
+            var t = await buildTranscript();
+            var base = 'safepeer-' + (cleanChannelName(t.room.name) || 'room') + '-' + new Date(t.exportedAt).toISOString().slice(0, 10);
+            if (format === 'json') saveDownload(base + '.json', 'application/json', JSON.stringify(t, null, 2));
+            else if (format === 'md') saveDownload(base + '.md', 'text/markdown', transcriptMarkdown(t));
+            else saveDownload(base + '.html', 'text/html', transcriptHtml(t));
+            closeExportDialog();
+            announce('Transcript exported');
+        } catch (err) {
+            console.error('Export failed', err);
+            exportStatus.textContent = 'Export failed: ' + (err.message || err);
+        } finally {
+            exportOkBtn.disabled = false;
+        }
+    }
+
+    function sanitizeTranscript(raw) {
+        if (!raw || raw.format !== TRANSCRIPT_FORMAT || raw.version !== TRANSCRIPT_VERSION || !Array.isArray(raw.channels)) return null;
+        function str(value, max) { return typeof value === 'string' ? value.slice(0, max) : ''; }
+        function reactions(value) {
+            var out = {};
+            if (!value || typeof value !== 'object') return out;
+            Object.keys(value).slice(0, REACTION_EMOJIS.length).forEach(function(emoji) {
+                if (REACTION_EMOJIS.includes(emoji) && Array.isArray(value[emoji])) out[emoji] = value[emoji].filter(function(name) { return typeof name === 'string'; }).map(function(name) { return name.slice(0, 32); });
+            });
+            return out;
+        }
+        function image(value) {
+            if (!value || !ALLOWED_MIME.includes(value.type) || typeof value.data !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value.data)) return null;
+            return { type: value.type, data: value.data };
+        }
+        return {
+            exportedAt: typeof raw.exportedAt === 'number' ? raw.exportedAt : 0,
+            exportedBy: str(raw.exportedBy, 32) || 'Unknown',
+            room: { name: str(raw.room && raw.room.name, 64), topic: str(raw.room && raw.room.topic, 200) },
+            channels: raw.channels.filter(function(ch) { return ch && typeof ch === 'object'; }).map(function(ch) {
+                return {
+                    name: str(ch.name, 32) || 'channel',
+                    kind: ch.kind === 'dm' || ch.kind === 'private' ? ch.kind : 'channel',
+                    topic: str(ch.topic, MAX_CHANNEL_TOPIC), archived: ch.archived === true,
+                    messages: (Array.isArray(ch.messages) ? ch.messages : []).filter(function(m) {
+                        return m && typeof m === 'object' && typeof m.timestamp === 'number';
+                    }).map(function(m) {
+                        var kind = m.kind === 'image' || m.kind === 'file' ? m.kind : 'chat';
+                        return {
+                            msgId: str(m.msgId, 128), kind: kind, sender: str(m.sender, 32) || 'Unknown', timestamp: m.timestamp,
+                            text: str(m.text, MAX_CHAT_TEXT), replyTo: sanitizeReplyTo(m.replyTo), thread: sanitizeThread(m.thread), mentions: sanitizeMentions(m.mentions),
+                            editedAt: typeof m.editedAt === 'number' ? m.editedAt : 0, reactions: reactions(m.reactions),
+                            fileName: str(m.fileName, 255), image: kind === 'image' ? image(m.image) : null,
+                        };
+                    }).sort(function(a, b) { return a.timestamp - b.timestamp; }),
+                };
+            }),
+        };
+    }
+
+    async function openTranscriptFile(file) {
+        if (file.size > MAX_TRANSCRIPT_SIZE) { showError('That file is too large to be a transcript.'); return; }
+        var t = null;
+        try {
+            t = sanitizeTranscript(JSON.parse(await file.text()));
+        } catch {
+            // Not JSON; reported below
+        }
+        if (!t) { showError('That file isn\'t a Safepeer JSON transcript.'); return; }
+        archive = t;
+        archiveTitle.textContent = (t.room.name || 'Safepeer room') + ' (archive)';
+        archiveInfo.textContent = 'Exported by ' + t.exportedBy + (t.exportedAt ? ' on ' + new Date(t.exportedAt).toLocaleString() : '') + ' · read-only';
+        archiveChannel.innerHTML = '';
+        t.channels.forEach(function(ch, i) {
+            var opt = document.createElement('option');
+            opt.value = i;
+            opt.textContent = transcriptHeading(ch) + ' (' + ch.messages.length + ')';
+            archiveChannel.appendChild(opt);
+        });
+        archiveView.style.display = 'flex';
+        renderArchiveChannel();
+        archiveChannel.focus();
+    }
+
+    function renderArchiveChannel() {
+        var ch = archive.channels[Number(archiveChannel.value)];
+        archiveMessages.innerHTML = '';
+        archiveTopic.textContent = ch ? ch.topic : '';
+        archiveTopic.style.display = ch && ch.topic ? '' : 'none';
+        if (!ch || ch.messages.length === 0) {
+            var empty = document.createElement('div');
+            empty.className = 'system-message';
+            empty.textContent = 'No messages';
+            archiveMessages.appendChild(empty);
+            return;
+        }
+        transcriptOrder(ch.messages).forEach(function(m) { archiveMessages.appendChild(archivedMessageElement(m)); });
+        archiveMessages.scrollTop = 0;
+    }
+
+    // Same look as a live message, minus anything you could act on
+    function archivedMessageElement(m) {
+        var div = document.createElement('div');
+        div.className = 'message' + (m.thread ? ' archive-thread-reply' : '');
+        var color = nameColor(m.sender);
+        var html = '<div class="msg-avatar" role="img" aria-label="' + escapeHtml(m.sender) + '" style="background:' + color + '">' + nameInitial(m.sender) + '</div>' +
+            '<div class="msg-content">';
+        if (m.replyTo) {
+            html += '<div class="msg-reply-ref"><span class="reply-name">' + escapeHtml(m.replyTo.sender) + '</span> ' + escapeHtml(m.replyTo.text.slice(0, 60)) + '</div>';
+        }
+        html += '<div class="msg-header">' +
+                '<span class="msg-name" style="color:' + color + '">' + escapeHtml(m.sender) + '</span>' +
+                '<span class="msg-time">' + escapeHtml(formatDateTime(m.timestamp)) + (m.editedAt ? ' (edited)' : '') + '</span>' +
+            '</div>';
+        if (m.kind !== 'image' || !m.image) html += '<div class="msg-text">' + renderMarkdown(m.text, m.mentions) + '</div>';
+        html += '</div>';
+        div.innerHTML = html;
+        var content = div.querySelector('.msg-content');
+        if (m.kind === 'image' && m.image) {
+            var img = document.createElement('img');
+            img.className = 'msg-image';
+            img.src = 'data:' + m.image.type + ';base64,' + m.image.data;
+            img.alt = 'Image from ' + m.sender + ': ' + m.fileName;
+            img.addEventListener('click', function() { openLightbox(img.src, img.alt); });
+            content.appendChild(img);
+        }
+        var reactions = transcriptReactions(m);
+        if (reactions) {
+            var reactionsDiv = document.createElement('div');
+            reactionsDiv.className = 'msg-reactions';
+            Object.keys(m.reactions).forEach(function(emoji) {
+                if (m.reactions[emoji].length === 0) return;
+                var chip = document.createElement('span');
+                chip.className = 'reaction-chip archived';
+                chip.textContent = emoji + ' ' + m.reactions[emoji].length;
+                chip.title = m.reactions[emoji].join(', ');
+                reactionsDiv.appendChild(chip);
+            });
+            content.appendChild(reactionsDiv);
+        }
+        return div;
+    }
+
+    function closeArchive() {
+        archiveView.style.display = 'none';
+        archiveMessages.innerHTML = '';
+        archive = null;
+        archiveOpenBtn.focus();
     }
 
     // ─── Lightbox ───
     function openLightbox(src, alt) {
+        lightboxVideo.style.display = 'none';
+        lightboxImg.style.display = '';
         lightboxImg.src = src;
         lightboxImg.alt = alt || 'Full size image';
+        lightbox.setAttribute('aria-label', 'Full size image');
+        lightbox.style.display = 'flex';
+        lightbox.focus();
+    }
+
+    function openLightboxStream(stream, label) {
+        if (!stream) return;
+        lightboxImg.style.display = 'none';
+        lightboxVideo.style.display = '';
+        lightboxVideo.srcObject = stream;
+        lightbox.setAttribute('aria-label', label);
         lightbox.style.display = 'flex';
         lightbox.focus();
     }
@@ -1027,56 +5712,83 @@
     function closeLightbox() {
         lightbox.style.display = 'none';
         lightboxImg.src = '';
+        lightboxVideo.srcObject = null;
     }
 
-    // ─── Image Preview Helpers ───
+    // ─── Attachment Preview Helpers ───
     function showImagePreview(file) {
-        pendingImageFile = file;
+        pendingFile = file;
         var reader = new FileReader();
         reader.onload = function() {
+            previewTitle.textContent = 'Send Image';
             previewImg.src = reader.result;
-            var sizeKB = Math.round(file.size / 1024);
-            previewInfo.textContent = file.name + ' (' + (sizeKB > 1024 ? (sizeKB / 1024).toFixed(1) + ' MB' : sizeKB + ' KB') + ')';
+            previewImg.style.display = '';
+            previewInfo.textContent = file.name + ' (' + formatBytes(file.size) + ')';
             imagePreview.style.display = 'flex';
         };
         reader.readAsDataURL(file);
     }
 
+    function showFilePreview(file) {
+        pendingFile = file;
+        previewTitle.textContent = 'Send File';
+        previewImg.style.display = 'none';
+        previewInfo.textContent = file.name + ' (' + formatBytes(file.size) + ')' +
+            (file.size > FILE_RELAY_MAX ? ' · peers reached only through the server relay get it once a direct connection is up' : '');
+        imagePreview.style.display = 'flex';
+    }
+
     function hideImagePreview() {
         imagePreview.style.display = 'none';
         previewImg.src = '';
         previewInfo.textContent = '';
-        pendingImageFile = null;
+        pendingFile = null;
         fileInput.value = '';
     }
 
-    function validateAndPreviewImage(file) {
+    function validateAndPreviewFile(file) {
         if (!file) return;
-        if (!ALLOWED_MIME.includes(file.type)) {
-            addSystemMessage('Unsupported image format. Use JPG, PNG, GIF, or WebP.');
+        if (isDmChannel(activeChannel) || isPrivateChannel(activeChannel)) {
+            addSystemMessage('Images and files can only be shared in public channels.');
+            return;
+        }
+        if (ALLOWED_MIME.includes(file.type)) {
+            if (file.size > MAX_IMAGE_SIZE) {
+                addSystemMessage('Image too large (max 5 MB).');
+                return;
+            }
+            showImagePreview(file);
+            return;
+        }
+        if (file.size === 0) {
+            addSystemMessage('Empty files cannot be sent.');
             return;
         }
-        if (file.size > MAX_IMAGE_SIZE) {
-            addSystemMessage('Image too large (max 5 MB).');
+        if (file.size > FILE_MAX_SIZE) {
+            addSystemMessage('File too large (max 512 MB).');
             return;
         }
-        showImagePreview(file);
+        showFilePreview(file);
     }
 
-    async function sendPendingImage() {
-        if (!pendingImageFile) return;
-        if (!hasOpenDataChannels()) {
-            addSystemMessage('Image sending requires a peer-to-peer connection. No P2P links are open.');
+    async function sendPendingFile() {
+        if (!pendingFile) return;
+        if (!hasReachablePeers()) {
+            addSystemMessage('Sending files requires a connection to at least one peer. No peers are reachable yet.');
             hideImagePreview();
             return;
         }
-        var file = pendingImageFile;
+        var file = pendingFile;
         hideImagePreview();
         try {
-            var result = await compressImage(file);
-            sendImageToPeers(result.blob, file.name);
+            if (ALLOWED_MIME.includes(file.type)) {
+                var result = await compressImage(file);
+                await startFileTransfer(result.blob, file.name, 'image');
+            } else {
+                await startFileTransfer(file, file.name, 'file');
+            }
         } catch(e) {
-            addSystemMessage('Failed to send image: ' + e.message);
+            addSystemMessage('Failed to send ' + file.name + ': ' + e.message);
         }
     }
 
@@ -1085,44 +5797,111 @@
     createBtn.addEventListener('click', async function() {
         var name = displayNameInput.value.trim();
         if (!name) { showError('Please enter a display name'); return; }
+        try { await initIdentity(); } catch(err) { showError('Encryption unavailable: ' + err.message); return; }
         displayName = name;
+        roomSettings = { historySync: historySyncInput.checked, topology: largeRoomInput.checked ? 'hub' : 'mesh' };
         try {
+            await refreshIceServers();
             var response = await fetch(apiUrl('/api/create'), {
                 method: 'POST', headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ display_name: name, room_name: roomNameInput.value.trim() || 'unnamed' }),
+                body: JSON.stringify({
+                    display_name: name, room_name: roomNameInput.value.trim(),
+                    password: roomPasswordInput.value, invite_only: inviteOnlyInput.checked, lobby: lobbyRoomInput.checked,
+                    history_sync: roomSettings.historySync, topology: roomSettings.topology,
+                }),
             });
             if (!response.ok) { var err = await response.json().catch(function(){return {};}); showError(err.error || 'Failed to create room'); return; }
             var data = await response.json();
+            roomPasswordInput.value = '';
+            roomAuth = { password: '', invite: '', ticket: typeof data.ticket === 'string' ? data.ticket : '' };
             roomCode = data.room_code;
+            resumeToken = '';
             connectSignaling(roomCode, name);
             switchToChat(roomCode);
             addSystemMessage('Room created! Share this code: ' + roomCode, 'general');
         } catch(err) { showError('Network error: ' + err.message); }
     });
 
-    joinBtn.addEventListener('click', function() {
-        var name = displayNameInput.value.trim();
-        var code = roomCodeInput.value.trim();
-        if (!name) { showError('Please enter a display name'); return; }
-        if (!code) { showError('Please enter a room code'); return; }
+    async function joinRoom(code, name) {
+        try { await initIdentity(); } catch(err) { showError('Encryption unavailable: ' + err.message); return; }
         displayName = name;
         roomCode = code;
+        resumeToken = '';
+        roomAuth = { password: '', invite: pendingInvite && sameRoomCode(pendingInvite.code, code) ? pendingInvite.token : '', ticket: '' };
+        pendingInvite = null;
+        await refreshIceServers();
         connectSignaling(code, name);
         switchToChat(code);
         addSystemMessage('Joining room...', 'general');
+        resumeSavedRoom(code);
+    }
+
+    joinBtn.addEventListener('click', function() {
+        var name = displayNameInput.value.trim();
+        var code = roomCodeInput.value.trim();
+        if (!name) { showError('Please enter a display name'); return; }
+        if (!code) { showError('Please enter a room code'); return; }
+        joinRoom(code, name);
     });
 
     function sendMessage() {
         var text = messageInput.value.trim();
         if (!text) return;
-        broadcastMessage(text);
+        if (editingMsgId) submitEdit(editingMsgId, text);
+        else broadcastMessage(text);
         messageInput.value = '';
         messageInput.focus();
     }
 
     sendBtn.addEventListener('click', sendMessage);
     messageInput.addEventListener('keydown', function(e) {
+        if (handleMentionKey(e)) return;
         if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); }
+        else if (e.key === 'Escape' && replyBar.style.display !== 'none') clearReply();
+    });
+
+    // Disappearing-message timer for what we send next
+    disappearSelect.addEventListener('change', renderDisappearSelect);
+
+    // Mentions
+    [messageInput, threadInput].forEach(function(input) {
+        input.addEventListener('input', function() { updateMentionList(input); });
+        input.addEventListener('click', function() { updateMentionList(input); });
+        input.addEventListener('blur', closeMentionList);
+    });
+    ['keydown', 'pointerdown'].forEach(function(type) {
+        document.addEventListener(type, function() { lastActiveAt = Date.now(); }, true);
+    });
+
+    // Threads
+    threadSendBtn.addEventListener('click', sendThreadReply);
+    threadClose.addEventListener('click', closeThreadPanel);
+    threadInput.addEventListener('keydown', function(e) {
+        if (handleMentionKey(e)) return;
+        if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendThreadReply(); }
+        else if (e.key === 'Escape') closeThreadPanel();
+    });
+    threadInput.addEventListener('input', function() { sendTypingEvent(openThread); });
+
+    // Search
+    searchBtn.addEventListener('click', function() {
+        if (searchPanel.style.display === 'none') openSearchPanel();
+        else closeSearchPanel();
+    });
+    searchClose.addEventListener('click', closeSearchPanel);
+    searchInput.addEventListener('input', scheduleSearch);
+    searchSender.addEventListener('input', scheduleSearch);
+    [searchChannel, searchFrom, searchTo, searchHasImage, searchHasLink].forEach(function(el) {
+        el.addEventListener('change', runSearch);
+    });
+    searchPanel.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') { e.stopPropagation(); closeSearchPanel(); searchBtn.focus(); }
+    });
+    document.addEventListener('keydown', function(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k' && chatView.style.display !== 'none') {
+            e.preventDefault();
+            openSearchPanel();
+        }
     });
 
     // Typing detection
@@ -1147,6 +5926,12 @@
     roomCodeDisplay.addEventListener('keydown', function(e) { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); copyRoomCode(); } });
 
     shareBtn.addEventListener('click', shareRoom);
+    lockRoomBtn.addEventListener('click', function() {
+        sendSignaling({ type: 'lock', locked: !roomLocked });
+    });
+    lobbyRoomBtn.addEventListener('click', function() {
+        sendSignaling({ type: 'lobby', enabled: !roomLobby });
+    });
 
     // Channel creation
     addChannelBtn.addEventListener('click', function() {
@@ -1156,7 +5941,8 @@
     newChannelInput.addEventListener('keydown', function(e) {
         if (e.key === 'Enter') {
             var name = newChannelInput.value.trim();
-            if (name) addChannel(name);
+            if (name) addChannel(name, newChannelPrivate.checked);
+            newChannelPrivate.checked = false;
             newChannelInput.value = '';
             newChannelForm.style.display = 'none';
         } else if (e.key === 'Escape') {
@@ -1168,6 +5954,16 @@
     // Reply
     replyCancel.addEventListener('click', clearReply);
 
+    // Calls
+    callVoiceBtn.addEventListener('click', function() { startCall(false); });
+    callVideoBtn.addEventListener('click', function() { startCall(true); });
+    callMicBtn.addEventListener('click', toggleCallMic);
+    callCameraBtn.addEventListener('click', toggleCallCamera);
+    callLeaveBtn.addEventListener('click', leaveCall);
+    screenShareBtn.addEventListener('click', function() {
+        if (screenShare) stopScreenShare(); else startScreenShare();
+    });
+
     // Mute
     muteBtn.addEventListener('click', function() {
         muted = !muted;
@@ -1186,6 +5982,7 @@
     // Close pickers on outside click
     document.addEventListener('click', function(e) {
         if (!reactionPicker.contains(e.target)) reactionPicker.style.display = 'none';
+        if (!memberMenu.contains(e.target)) closeMemberMenu();
         if (!statusPicker.contains(e.target) && e.target !== statusBtn) statusPicker.style.display = 'none';
     });
 
@@ -1201,17 +5998,17 @@
     roomCodeInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') joinBtn.click(); });
     roomNameInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') createBtn.click(); });
 
-    // ─── Image Event Listeners ───
+    // ─── Attachment Event Listeners ───
     attachBtn.addEventListener('click', function() { fileInput.click(); });
 
     fileInput.addEventListener('change', function() {
         if (fileInput.files && fileInput.files[0]) {
-            validateAndPreviewImage(fileInput.files[0]);
+            validateAndPreviewFile(fileInput.files[0]);
         }
     });
 
     previewCancel.addEventListener('click', hideImagePreview);
-    previewSend.addEventListener('click', sendPendingImage);
+    previewSend.addEventListener('click', sendPendingFile);
 
     // Drag and drop
     messagesDiv.addEventListener('dragover', function(e) {
@@ -1226,8 +6023,8 @@
         e.preventDefault();
         messagesDiv.classList.remove('drag-over');
         var files = e.dataTransfer.files;
-        if (files && files.length > 0 && files[0].type.startsWith('image/')) {
-            validateAndPreviewImage(files[0]);
+        if (files && files.length > 0) {
+            validateAndPreviewFile(files[0]);
         }
     });
 
@@ -1239,26 +6036,132 @@
             if (items[i].type.startsWith('image/')) {
                 e.preventDefault();
                 var file = items[i].getAsFile();
-                if (file) validateAndPreviewImage(file);
+                if (file) validateAndPreviewFile(file);
                 return;
             }
         }
     });
 
+    // Local persistence
+    rememberBtn.addEventListener('click', toggleRemember);
+    vaultOpenBtn.addEventListener('click', function() {
+        openVaultDialog('unlock', function() { renderSavedRooms(); });
+    });
+    // Transcripts
+    exportBtn.addEventListener('click', openExportDialog);
+    exportOkBtn.addEventListener('click', submitExport);
+    exportCancelBtn.addEventListener('click', closeExportDialog);
+    exportDialog.addEventListener('click', function(e) {
+        if (e.target === exportDialog) closeExportDialog();
+    });
+    archiveOpenBtn.addEventListener('click', function() { archiveFileInput.click(); });
+    archiveFileInput.addEventListener('change', function() {
+        var file = archiveFileInput.files[0];
+        archiveFileInput.value = '';
+        if (file) openTranscriptFile(file);
+    });
+    archiveChannel.addEventListener('change', renderArchiveChannel);
+    archiveClose.addEventListener('click', closeArchive);
+    vaultWipeBtn.addEventListener('click', function() {
+        if (confirm('Delete all saved rooms and history from this device?')) wipeVault();
+    });
+    vaultOkBtn.addEventListener('click', submitVaultDialog);
+    vaultCancelBtn.addEventListener('click', closeVaultDialog);
+    vaultPassphrase.addEventListener('keydown', function(e) { if (e.key === 'Enter') submitVaultDialog(); });
+    vaultPassphraseConfirm.addEventListener('keydown', function(e) { if (e.key === 'Enter') submitVaultDialog(); });
+    vaultDialog.addEventListener('click', function(e) {
+        if (e.target === vaultDialog) closeVaultDialog();
+    });
+
+    // Room password prompt
+    roomPasswordOkBtn.addEventListener('click', submitRoomPassword);
+    roomPasswordCancelBtn.addEventListener('click', cancelRoomPassword);
+    roomPasswordEntry.addEventListener('keydown', function(e) { if (e.key === 'Enter') submitRoomPassword(); });
+
+    // Diagnostics
+    diagnosticsBtn.addEventListener('click', openDiagnostics);
+    diagnosticsCopyBtn.addEventListener('click', copyDiagnostics);
+    diagnosticsCloseBtn.addEventListener('click', closeDiagnostics);
+    diagnosticsDialog.addEventListener('click', function(e) {
+        if (e.target === diagnosticsDialog) closeDiagnostics();
+    });
+
+    // Room settings (host only)
+    roomEditBtn.addEventListener('click', openRoomSettings);
+    roomSettingsOkBtn.addEventListener('click', submitRoomSettings);
+    roomSettingsCancelBtn.addEventListener('click', closeRoomSettings);
+    roomSettingsDialog.addEventListener('click', function(e) {
+        if (e.target === roomSettingsDialog) closeRoomSettings();
+    });
+    initSavedRooms();
+
+    // Private channel members
+    channelMembersOkBtn.addEventListener('click', submitChannelMembers);
+    channelMembersCancelBtn.addEventListener('click', closeChannelMembers);
+    channelMembersDialog.addEventListener('click', function(e) {
+        if (e.target === channelMembersDialog) closeChannelMembers();
+    });
+
+    // Safety numbers
+    safetyVerifyBtn.addEventListener('click', markSafetyVerified);
+    safetyCloseBtn.addEventListener('click', closeSafetyDialog);
+    safetyDialog.addEventListener('click', function(e) {
+        if (e.target === safetyDialog) closeSafetyDialog();
+    });
+
     // Lightbox
     lightboxClose.addEventListener('click', closeLightbox);
     lightbox.addEventListener('click', function(e) {
         if (e.target === lightbox) closeLightbox();
     });
     document.addEventListener('keydown', function(e) {
+        // Checked first: Escape over an enlarged image only closes the image
+        if (e.key === 'Escape' && archiveView.style.display !== 'none' && lightbox.style.display === 'none') {
+            closeArchive();
+        }
         if (e.key === 'Escape' && lightbox.style.display !== 'none') {
             closeLightbox();
         }
+        if (e.key === 'Escape' && memberMenu.style.display !== 'none') {
+            closeMemberMenu();
+        }
+        if (e.key === 'Escape' && safetyDialog.style.display !== 'none') {
+            closeSafetyDialog();
+        }
+        if (e.key === 'Escape' && vaultDialog.style.display !== 'none') {
+            closeVaultDialog();
+        }
+        if (e.key === 'Escape' && roomPasswordDialog.style.display !== 'none') {
+            cancelRoomPassword();
+        }
+        if (e.key === 'Escape' && roomSettingsDialog.style.display !== 'none') {
+            closeRoomSettings();
+        }
+        if (e.key === 'Escape' && diagnosticsDialog.style.display !== 'none') {
+            closeDiagnostics();
+        }
+        if (e.key === 'Escape' && channelMembersDialog.style.display !== 'none') {
+            closeChannelMembers();
+        }
+        if (e.key === 'Escape' && exportDialog.style.display !== 'none') {
+            closeExportDialog();
+        }
     });
 
     // URL hash auto-fill
     function checkUrlHash() {
         var hash = location.hash.replace('#', '').trim();
+        // Invite links look like #ABCD-EFGH&invite=<token>; the token is dropped
+        // from the address bar so it isn't left lying around after use
+        var inviteAt = hash.indexOf('&invite=');
+        if (inviteAt !== -1) {
+            var token = '';
+            // A malformed token (bad %-escape) counts as no invite
+            try { token = decodeURIComponent(hash.slice(inviteAt + 8)).slice(0, 64); } catch {}
+            hash = hash.slice(0, inviteAt);
+            pendingInvite = token ? { code: hash, token: token } : null;
+            history.replaceState(null, '', location.pathname + location.search + '#' + hash);
+        }
         if (hash.length >= 8 && hash.length <= 9) {
             roomCodeInput.value = hash.toUpperCase();
             roomCodeInput.dispatchEvent(new Event('input'));
@@ -1267,6 +6170,10 @@
     }
     checkUrlHash();
     window.addEventListener('hashchange', checkUrlHash);
+    // The call window would otherwise keep the microphone open after we're gone
+    window.addEventListener('pagehide', function() {
+        if (captureWindow) captureWindow.close();
+    });
 
     // ─── Mobile Keyboard Avoidance ───
     (function() {
@@ -0,0 +1,56 @@
+// ═══ Safepeer — Capture Window ═══
+//
+// The app page may not use the microphone, camera or screen capture; this
+// window may (see _headers). The app opens it when a call or screen share
+// starts and calls in through `window.safepeerCapture`. Being same-origin, the
+// tracks captured here go straight onto the app's peer connections, and they
+// stop when this window closes.
+
+(function() {
+    'use strict';
+
+    const statusEl = document.getElementById('capture-status');
+    const shareBtn = document.getElementById('capture-share');
+    let pendingShare = null; // { resolve, reject } while the share button waits for a click
+
+    if (!window.opener) {
+        statusEl.textContent = 'Start a call or share your screen in Safepeer to use this window.';
+        return;
+    }
+    // Nothing may keep capturing once the app is gone
+    setInterval(function() {
+        if (!window.opener || window.opener.closed) window.close();
+    }, 1000);
+
+    window.safepeerCapture = {
+        userMedia: function(constraints) {
+            return navigator.mediaDevices.getUserMedia(constraints);
+        },
+        // Browsers only show the screen picker in answer to a click in the
+        // window that asks, so the user picks through this window's button
+        displayMedia: function() {
+            if (pendingShare) pendingShare.reject(new DOMException('Replaced by a newer request', 'AbortError'));
+            shareBtn.style.display = '';
+            shareBtn.focus();
+            window.focus();
+            return new Promise(function(resolve, reject) { pendingShare = { resolve: resolve, reject: reject }; });
+        },
+        setStatus: function(text) {
+            statusEl.textContent = text;
+        },
+        onclose: null, // set by the app
+    };
+
+    shareBtn.addEventListener('click', function() {
+        var pending = pendingShare;
+        pendingShare = null;
+        shareBtn.style.display = 'none';
+        if (pending) navigator.mediaDevices.getDisplayMedia({ video: true, audio: false }).then(pending.resolve, pending.reject);
+    });
+
+    window.addEventListener('pagehide', function() {
+        if (pendingShare) pendingShare.reject(new DOMException('The call window was closed', 'AbortError'));
+        pendingShare = null;
+        if (typeof window.safepeerCapture.onclose === 'function') window.safepeerCapture.onclose();
+    });
+})();
@@ -1,9 +1,10 @@
 // ═══ Safepeer — Cloudflare Worker Entry Point ═══
 //
 // API Routes (handled by Worker):
-//   POST /api/create          → Create a new room, return room code
+//   POST /api/create          → Create (reserve) a new room, optionally password-protected, invite-only or knock-to-join
 //   GET  /api/join/:code      → WebSocket upgrade, join room signaling
 //   GET  /api/room/:code      → Check if room exists + member count
+//   GET  /api/ice             → ICE servers (STUN + short-lived TURN credentials)
 //
 // Static files (/, /style.css, /app.js) are served automatically
 // by Cloudflare's assets config from the frontend/ directory.
@@ -13,13 +14,16 @@ import { generateRoomCode, parseRoomCode, formatRoomCode } from './room.js';
 export { Room, ConnectionLimiter } from './room.js';
 
 // ─── Security Headers ───
-// Applied to all responses to prevent XSS, clickjacking, and content sniffing.
+// Applied to every response the Worker itself builds (the API), to prevent
+// XSS, clickjacking, and content sniffing. These are JSON, never a page, so
+// they deny every device. The frontend's policies live in frontend/_headers:
+// the app page denies devices too, and only the call window may use them.
 const SECURITY_HEADERS = {
     'Content-Security-Policy': "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; connect-src 'self' wss: ws:; img-src 'self' blob:; frame-ancestors 'none';",
     'X-Frame-Options': 'DENY',
     'X-Content-Type-Options': 'nosniff',
     'Referrer-Policy': 'strict-origin-when-cross-origin',
-    'Permissions-Policy': 'microphone=(), camera=(), geolocation=()',
+    'Permissions-Policy': 'microphone=(), camera=(), display-capture=(), geolocation=()',
 };
 
 // ─── Allowed Origins ───
@@ -48,7 +52,11 @@ function getCorsHeaders(request) {
 const WINDOW_MS = 60_000; // 1 minute
 const JOIN_LIMIT = 10;    // max join attempts per IP per window
 const CREATE_LIMIT = 5;   // max room creations per IP per window
+const ICE_LIMIT = 20;      // max ICE config fetches per IP per window
 const MAX_ROOMS_PER_IP = 10; // max concurrent room connections per IP
+const CREATE_ATTEMPTS = 3;   // room codes tried before giving up on a create
+const MAX_PASSWORD = 128;    // room password length cap (also enforced by the DO)
+const MAX_TOKEN = 64;        // invite / rejoin ticket length cap
 
 class RateLimiter {
     constructor(limit) {
@@ -84,6 +92,7 @@ class RateLimiter {
 
 const joinLimiter = new RateLimiter(JOIN_LIMIT);
 const createLimiter = new RateLimiter(CREATE_LIMIT);
+const iceLimiter = new RateLimiter(ICE_LIMIT);
 
 function getClientIP(request) {
     return request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
@@ -124,6 +133,16 @@ function sanitizeDisplayName(raw) {
     return cleaned.slice(0, MAX_DISPLAY_NAME);
 }
 
+// ─── Signing Key Validation ───
+// Clients announce a base64 raw ECDSA P-256 public key (65 bytes → 88 chars).
+// Anything else is dropped; the peer then appears as unverified to others.
+const MAX_SIGNING_KEY = 128;
+function sanitizeSigningKey(raw) {
+    if (!raw || typeof raw !== 'string' || raw.length > MAX_SIGNING_KEY) return '';
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(raw)) return '';
+    return raw;
+}
+
 export default {
     async fetch(request, env) {
         const url = new URL(request.url);
@@ -157,9 +176,20 @@ export default {
                 return await handleJoin(request, env, joinMatch[1], clientIP, corsHeaders);
             }
 
+            // GET /api/ice — ICE server config for RTCPeerConnection
+            if (path === '/api/ice' && request.method === 'GET') {
+                if (!iceLimiter.isAllowed(clientIP)) {
+                    return rateLimitResponse(corsHeaders);
+                }
+                return await handleIceServers(env, corsHeaders);
+            }
+
             // GET /api/room/:code — Check room status
             const roomMatch = path.match(/^\/api\/room\/([A-Za-z0-9-]+)$/);
             if (roomMatch && request.method === 'GET') {
+                if (!joinLimiter.isAllowed(clientIP)) {
+                    return rateLimitResponse(corsHeaders);
+                }
                 return await handleRoomStatus(env, roomMatch[1], corsHeaders);
             }
 
@@ -191,14 +221,47 @@ async function handleCreate(request, env, corsHeaders) {
     }
 
     const displayName = sanitizeDisplayName(body.display_name || 'Host');
-    const roomCode = generateRoomCode();
-    const canonical = parseRoomCode(roomCode);
+    const password = typeof body.password === 'string' ? body.password.slice(0, MAX_PASSWORD) : '';
+    const inviteOnly = body.invite_only === true;
+    const lobby = body.lobby === true;
+    const roomName = typeof body.room_name === 'string' ? body.room_name : '';
+    const historySync = body.history_sync !== false;
+    const topology = body.topology === 'hub' ? 'hub' : 'mesh';
+
+    // Register the room with its Durable Object so the code is reserved and its
+    // access rules exist before anyone joins. A collision with a live room just
+    // means trying another code.
+    for (let attempt = 0; attempt < CREATE_ATTEMPTS; attempt++) {
+        const roomCode = generateRoomCode();
+        const canonical = parseRoomCode(roomCode);
+
+        // The Durable Object ID is derived from the canonical room code
+        // This ensures the same code always maps to the same DO instance
+        const roomStub = env.ROOM.get(env.ROOM.idFromName(canonical));
+        const registered = await roomStub.fetch(new Request('https://room.internal/register', {
+            method: 'POST',
+            body: JSON.stringify({ password, inviteOnly, lobby, name: roomName, historySync, topology }),
+        }));
+        if (registered.status === 409) continue;
+        if (!registered.ok) break;
 
-    // The Durable Object ID is derived from the canonical room code
-    // This ensures the same code always maps to the same DO instance
-    const roomId = env.ROOM.idFromName(canonical);
+        const { ticket } = await registered.json();
+        return secureJsonResponse({ room_code: roomCode, canonical, ticket }, 200, corsHeaders);
+    }
 
-    return secureJsonResponse({ room_code: roomCode, canonical }, 200, corsHeaders);
+    return secureJsonResponse({ error: 'Failed to create room' }, 503, corsHeaders);
+}
+
+/**
+ * Refuse a join over the WebSocket itself. Browsers hide the status of a failed
+ * upgrade, so the reason travels as a `join-error` message before the close.
+ */
+function rejectJoin(code, message) {
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+    server.send(JSON.stringify({ type: 'join-error', code, message }));
+    server.close(4000, code);
+    return new Response(null, { status: 101, webSocket: client });
 }
 
 /**
@@ -244,24 +307,37 @@ async function handleJoin(request, env, codeParam, clientIP, corsHeaders) {
     const roomStub = env.ROOM.get(roomId);
 
     // Forward the request to the Durable Object
-    // Pass sanitized display name, client IP, and room code for connection tracking
+    // Pass sanitized display name, signing key, client IP, and room code for connection tracking
     const url = new URL(request.url);
     const name = sanitizeDisplayName(url.searchParams.get('name'));
-    const doUrl = new URL(`https://room.internal/?name=${encodeURIComponent(name)}&ip=${encodeURIComponent(clientIP)}&room=${encodeURIComponent(canonical)}`);
+    const signingKey = sanitizeSigningKey(url.searchParams.get('key'));
+    const history = url.searchParams.get('history') === '0' ? '0' : '1';
+    const topology = url.searchParams.get('topology') === 'hub' ? 'hub' : 'mesh';
+    const doUrl = new URL(`https://room.internal/?name=${encodeURIComponent(name)}&key=${encodeURIComponent(signingKey)}&history=${history}&topology=${topology}&ip=${encodeURIComponent(clientIP)}&room=${encodeURIComponent(canonical)}`);
+    // Credentials for protected rooms and the resume token of a dropped session;
+    // the DO checks them before accepting the socket
+    for (const [param, max] of [['password', MAX_PASSWORD], ['invite', MAX_TOKEN], ['ticket', MAX_TOKEN], ['resume', MAX_TOKEN]]) {
+        const value = url.searchParams.get(param);
+        if (value) doUrl.searchParams.set(param, value.slice(0, max));
+    }
 
     const response = await roomStub.fetch(new Request(doUrl.toString(), {
         headers: request.headers,
     }));
 
-    // If room rejected (full, etc), don't record connection
-    if (response.status === 101) {
-        // Record the connection in the limiter DO
-        await limiterStub.fetch(new Request('https://limiter.internal/connect', {
-            method: 'POST',
-            body: JSON.stringify({ ip: clientIP, roomCode: canonical }),
-        }));
+    // Rejections the client can act on (password prompt, full room) carry a code
+    if (response.status !== 101) {
+        const rejection = await response.clone().json().catch(() => ({}));
+        if (typeof rejection.code === 'string') return rejectJoin(rejection.code, rejection.error || 'Unable to join room');
+        return response;
     }
 
+    // Record the connection in the limiter DO (rejected joins returned above)
+    await limiterStub.fetch(new Request('https://limiter.internal/connect', {
+        method: 'POST',
+        body: JSON.stringify({ ip: clientIP, roomCode: canonical }),
+    }));
+
     return response;
 }
 
@@ -290,10 +366,72 @@ async function handleRoomStatus(env, codeParam, corsHeaders) {
         return secureJsonResponse({ error: 'Invalid room code' }, 400, corsHeaders);
     }
 
-    // Don't reveal whether room is active — just validate format
-    return secureJsonResponse({
+    // The Room DO decides what to reveal: protected rooms hide their name and topic
+    const roomStub = env.ROOM.get(env.ROOM.idFromName(canonical));
+    const status = await (await roomStub.fetch(new Request('https://room.internal/status'))).json();
+    const body = {
         room_code: formatRoomCode(canonical),
         canonical,
         valid: true,
-    }, 200, corsHeaders);
+        active: status.active === true,
+    };
+    if (body.active) {
+        Object.assign(body, {
+            name: status.name,
+            topic: status.topic,
+            members: status.members,
+            max_members: status.maxMembers,
+            password: status.password,
+            invite_only: status.inviteOnly,
+            lobby: status.lobby,
+            locked: status.locked,
+            expires_at: status.expiresAt,
+        });
+    }
+    return secureJsonResponse(body, 200, corsHeaders);
+}
+
+// ─── ICE Servers ───
+// STUN is always returned. TURN entries are added when TURN_URLS and TURN_SECRET
+// are configured, using the TURN REST API scheme that coturn implements with
+// `use-auth-secret`: username = "<expiry unix ts>:<id>",
+// credential = base64(HMAC-SHA1(secret, username)).
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+const DEFAULT_TURN_TTL = 3600;  // 1 hour
+const MAX_TURN_TTL = 86_400;    // 24 hours
+
+function parseUrlList(raw) {
+    if (!raw || typeof raw !== 'string') return [];
+    return raw.split(',').map((u) => u.trim()).filter((u) => /^(stun|stuns|turn|turns):/.test(u));
+}
+
+async function hmacSha1Base64(secret, message) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const sig = new Uint8Array(await crypto.subtle.sign('HMAC', key, enc.encode(message)));
+    let bin = '';
+    for (const b of sig) bin += String.fromCharCode(b);
+    return btoa(bin);
+}
+
+/**
+ * Return ICE server config, minting time-limited TURN credentials if configured.
+ */
+async function handleIceServers(env, corsHeaders) {
+    const stunUrls = parseUrlList(env.STUN_URLS);
+    const iceServers = [{ urls: stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS }];
+
+    const ttlSetting = parseInt(env.TURN_TTL || '', 10);
+    const ttl = ttlSetting > 0 ? Math.min(ttlSetting, MAX_TURN_TTL) : DEFAULT_TURN_TTL;
+
+    const turnUrls = parseUrlList(env.TURN_URLS).filter((u) => u.startsWith('turn'));
+    if (turnUrls.length > 0 && env.TURN_SECRET) {
+        const expiry = Math.floor(Date.now() / 1000) + ttl;
+        const username = `${expiry}:safepeer`;
+        const credential = await hmacSha1Base64(env.TURN_SECRET, username);
+        iceServers.push({ urls: turnUrls, username, credential });
+    }
+
+    // Credentials are per-request; never let a proxy cache them
+    return secureJsonResponse({ iceServers, ttl }, 200, { ...corsHeaders, 'Cache-Control': 'no-store' });
 }
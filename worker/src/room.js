@@ -1,8 +1,12 @@
 // ═══ Room Durable Object — WebRTC Signaling ═══
 //
 // Each room code maps to one Durable Object instance.
-// Handles: peer registration, SDP/ICE forwarding, presence.
-// No persistence — rooms evict when all peers disconnect.
+// Handles: peer registration, SDP/ICE forwarding, presence,
+// opaque relay of end-to-end encrypted payloads, access control,
+// moderation (host/moderator roles, kick, ban, lock) and the knock-to-join lobby.
+// The only things stored are a room's metadata (name, topic, settings,
+// expiry) and its access record (password verifier, lock state and hashed
+// invites/tickets/bans), both deleted shortly after the last peer leaves.
 
 // Room code charset: no 0/O, 1/I/L to avoid confusion
 const ROOM_CODE_CHARSET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
@@ -55,16 +59,145 @@ function ipShard(ip) {
     return 'shard-' + (Math.abs(hash) % 16);
 }
 
+// ─── Access Helpers ───
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Random URL-safe token; only its SHA-256 is ever stored.
+ */
+function randomToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sha256Hex(text) {
+    return bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+}
+
+async function hashPassword(password, saltHex) {
+    const salt = new Uint8Array(saltHex.match(/../g).map((h) => parseInt(h, 16)));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, key, 256);
+    return bytesToHex(new Uint8Array(bits));
+}
+
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * Access record for a room. Registered rooms get one at creation, others on first join.
+ * `creatorTicket` is the hash of the ticket /api/create handed out, kept until its
+ * holder has joined and been made host or `creatorUntil` has passed.
+ */
+function newAccessRecord() {
+    return { inviteOnly: false, password: null, invites: [], tickets: [], locked: false, bans: [], lobby: false, creatorTicket: null, creatorUntil: 0 };
+}
+
+// ─── Room Metadata ───
+
+function cleanText(value, max) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, max);
+}
+
+/**
+ * Room metadata with defaults. A `maxMembers` of 0 means the topology's cap;
+ * a `disappearAfter` of 0 means messages don't disappear unless the sender
+ * sets their own timer. Clients enforce the timer and `mentionAll` (whether
+ * @channel and @here alert anyone); the DO only stores them.
+ */
+function newRoomMeta(fields) {
+    return { name: '', topic: '', maxMembers: 0, historySync: true, relayAllowed: true, topology: 'mesh', expiresAt: null, disappearAfter: 0, mentionAll: true, ...fields };
+}
+
+function topologyCap(meta) {
+    return meta.topology === 'hub' ? MAX_PEERS_HUB_ROOM : MAX_PEERS_PER_ROOM;
+}
+
+function memberCap(meta) {
+    return meta.maxMembers ? Math.min(meta.maxMembers, topologyCap(meta)) : topologyCap(meta);
+}
+
+/**
+ * Apply a host's edit, ignoring fields that fail validation. The topology is
+ * fixed at creation since peers can't re-wire a live mesh.
+ */
+function applyMetaUpdate(meta, update) {
+    const next = { ...meta };
+    if (typeof update.name === 'string') next.name = cleanText(update.name, MAX_ROOM_NAME);
+    if (typeof update.topic === 'string') next.topic = cleanText(update.topic, MAX_ROOM_TOPIC);
+    if (Number.isInteger(update.maxMembers) && (update.maxMembers === 0 || (update.maxMembers >= MIN_MEMBERS && update.maxMembers <= topologyCap(meta)))) {
+        next.maxMembers = update.maxMembers;
+    }
+    if (typeof update.historySync === 'boolean') next.historySync = update.historySync;
+    if (typeof update.relayAllowed === 'boolean') next.relayAllowed = update.relayAllowed;
+    if (typeof update.mentionAll === 'boolean') next.mentionAll = update.mentionAll;
+    if (Number.isInteger(update.disappearAfter) && (update.disappearAfter === 0 || (update.disappearAfter >= MIN_DISAPPEAR && update.disappearAfter <= MAX_DISAPPEAR))) {
+        next.disappearAfter = update.disappearAfter;
+    }
+    const now = Date.now();
+    if (update.expiresAt === null) {
+        next.expiresAt = null;
+    } else if (Number.isInteger(update.expiresAt) && update.expiresAt > now && update.expiresAt <= now + MAX_ROOM_LIFETIME) {
+        next.expiresAt = update.expiresAt;
+    }
+    return next;
+}
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
 // ─── Security Constants ───
 const MAX_MESSAGE_SIZE = 65_536;   // 64KB max WebSocket message
 const MAX_SDP_SIZE = 16_384;       // 16KB max SDP offer/answer
 const MAX_ICE_SIZE = 2_048;        // 2KB max ICE candidate
-const MAX_CHAT_TEXT = 4_096;       // 4KB max chat message text
-const MAX_PEERS_PER_ROOM = 20;     // Max concurrent peers
+const MAX_KEY_SIZE = 256;          // Base64 P-256 public key
+const MAX_RELAY_PAYLOAD = 32_768;  // 32KB max sealed relay envelope (base64)
+const MAX_RELAY_FRAGMENTS = 8;     // Max envelopes one sealed frame may be split into
+const RELAY_MSG_LIMIT = 120;       // Max relay envelopes per peer per window
+const RELAY_BYTE_LIMIT = 2_097_152; // 2MB of relay payload per peer per window
+const MAX_PEERS_PER_ROOM = 20;     // Max concurrent peers (full mesh)
+const MAX_PEERS_HUB_ROOM = 100;    // Max concurrent peers when hubs forward traffic
+const HUB_COUNT = 4;               // Longest-connected members that act as hubs
 const PEER_MSG_LIMIT = 30;         // Max messages per peer per window
 const PEER_MSG_WINDOW = 10_000;    // 10 second window
 const MAX_ROOMS_PER_IP = 10;       // Max concurrent rooms per IP
 const CONNECTION_TTL = 2 * 60 * 60_000; // 2 hours — auto-expire stale entries
+const RESUME_GRACE = 30_000;       // A dropped member's place is held this long for a resume
+
+// ─── Access Control Constants ───
+const LOBBY_TIMEOUT = 5 * 60_000;     // Knocks nobody answers are turned away after this
+const MAX_PENDING = 20;               // Sockets waiting in the lobby at once
+const REGISTRATION_TTL = 10 * 60_000; // Created rooms nobody joins are forgotten after this
+const EMPTY_ROOM_GRACE = 60_000;      // Keep access rules briefly so a lone peer can reconnect
+const PBKDF2_ITERATIONS = 100_000;    // Upper bound of WebCrypto in Workers
+const MAX_PASSWORD = 128;
+const MAX_INVITE_TOKEN = 64;
+const MAX_INVITES = 50;               // Unused invites kept per room
+const MAX_TICKETS = 200;              // Rejoin tickets kept per room
+const AUTH_FAILURE_LIMIT = 10;        // Wrong passwords/invites per room per window
+const AUTH_FAILURE_WINDOW = 60_000;
+const MAX_BANS = 100;                 // Banned connections kept per room
+
+// ─── Room Metadata Constants ───
+const MAX_ROOM_NAME = 64;
+const MAX_ROOM_TOPIC = 200;
+const MIN_MEMBERS = 2;
+const MAX_ROOM_LIFETIME = 30 * 24 * 60 * 60_000; // Furthest expiry a host can set
+const MIN_DISAPPEAR = 30;             // Default disappearing-message timer range, in seconds
+const MAX_DISAPPEAR = 24 * 60 * 60;
+const ROLES = ['host', 'moderator', 'member'];
 
 // ─── Durable Object: Room ───
 
@@ -72,11 +205,606 @@ export class Room {
     constructor(state, env) {
         this.state = state;
         this.env = env;
-        // Map<WebSocket, { peerId: string, displayName: string }>
+        // Map<WebSocket, { peerId: string, displayName: string, signingKey: string }>
         this.sessions = new Map();
-        this.nextId = 1;
         // Per-peer rate limiting: peerId → { count, windowStart }
         this.peerRates = new Map();
+        // Relay has its own budget (messages + bytes) so images can't starve signaling
+        // peerId → { count, bytes, windowStart }
+        this.relayRates = new Map();
+        // Room metadata (see newRoomMeta), set at creation or by whoever opens an
+        // unregistered room, then edited by the host: undefined = not loaded, null = none yet
+        this.meta = undefined;
+        // Comma-joined hub list last announced, so unchanged topologies aren't re-sent
+        this.announcedHubs = '';
+        // Access record, loaded from storage: undefined = not loaded, null = none yet
+        // { inviteOnly, password: { salt, hash } | null, invites: [sha256], tickets: [sha256], locked, bans: [sha256], lobby, creatorTicket: sha256 | null, creatorUntil }
+        this.access = undefined;
+        // peerIds removed by a moderator, whose close shouldn't announce peer-left twice
+        this.removed = new Set();
+        // Failed password/invite attempts: { count, windowStart }
+        this.authFailures = null;
+        // Members whose socket dropped without leaving, held for RESUME_GRACE so
+        // they can come back as the same peer: peerId → { ...attachment, leftAt }
+        this.ghosts = {};
+        // Stored state is in memory before any event is delivered, including after hibernation
+        state.blockConcurrencyWhile(async () => {
+            await this.loadAccess();
+            await this.loadMeta();
+            this.ghosts = (await state.storage.get('ghosts')) || {};
+        });
+    }
+
+    async saveGhosts() {
+        await this.state.storage.put('ghosts', this.ghosts);
+    }
+
+    async loadMeta() {
+        if (this.meta === undefined) {
+            const stored = await this.state.storage.get('meta');
+            this.meta = stored ? newRoomMeta(stored) : null;
+        }
+        return this.meta;
+    }
+
+    async saveMeta() {
+        await this.state.storage.put('meta', this.meta);
+    }
+
+    async loadAccess() {
+        if (this.access === undefined) {
+            const stored = await this.state.storage.get('access');
+            this.access = stored ? { ...newAccessRecord(), ...stored } : null;
+        }
+        return this.access;
+    }
+
+    async saveAccess() {
+        await this.state.storage.put('access', this.access);
+    }
+
+    async clearRoom() {
+        this.access = null;
+        this.meta = null;
+        this.authFailures = null;
+        this.ghosts = {};
+        await this.state.storage.delete(['access', 'meta', 'ghosts']);
+    }
+
+    /**
+     * Close every socket of an expired room and forget it.
+     */
+    async expireRoom() {
+        const notice = JSON.stringify({ type: 'join-error', code: 'room-expired', message: 'This room has expired' });
+        for (const ws of this.state.getWebSockets()) {
+            try {
+                ws.send(notice);
+                ws.close(4000, 'room-expired');
+            } catch {
+                // Already gone
+            }
+        }
+        await this.clearRoom();
+    }
+
+    isExpired() {
+        return !!this.meta && !!this.meta.expiresAt && Date.now() >= this.meta.expiresAt;
+    }
+
+    /**
+     * Public summary for GET /api/room/:code. Password and invite-only rooms
+     * don't reveal their name or topic to people who aren't in them.
+     */
+    status() {
+        if (!this.meta || this.isExpired()) return jsonResponse({ active: false }, 200);
+        const access = this.access || newAccessRecord();
+        const guarded = this.isProtected();
+        return jsonResponse({
+            active: true,
+            name: guarded ? '' : this.meta.name,
+            topic: guarded ? '' : this.meta.topic,
+            members: this.members().length,
+            maxMembers: memberCap(this.meta),
+            password: !!access.password,
+            inviteOnly: access.inviteOnly,
+            lobby: access.lobby,
+            locked: access.locked,
+            expiresAt: this.meta.expiresAt,
+        }, 200);
+    }
+
+    /**
+     * Whether joining needs more than the room code.
+     */
+    isProtected() {
+        return !!this.access && (this.access.inviteOnly || !!this.access.password);
+    }
+
+    /**
+     * Mint a token, remember its hash in `list` (oldest dropped past `max`), return it.
+     */
+    async issueToken(list, max) {
+        const token = randomToken();
+        list.push(await sha256Hex(token));
+        if (list.length > max) list.splice(0, list.length - max);
+        return token;
+    }
+
+    /**
+     * Reserve this room for POST /api/create. Fails if the code is already in use.
+     */
+    async register(request) {
+        if (this.state.getWebSockets().length > 0 || await this.loadAccess() || await this.loadMeta()) {
+            return jsonResponse({ error: 'Room code in use' }, 409);
+        }
+        let body = {};
+        try {
+            body = await request.json();
+        } catch {
+            // Open room
+        }
+        const access = { ...newAccessRecord(), inviteOnly: body.inviteOnly === true, lobby: body.lobby === true };
+        if (typeof body.password === 'string' && body.password.length > 0) {
+            const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+            access.password = { salt, hash: await hashPassword(body.password.slice(0, MAX_PASSWORD), salt) };
+        }
+        // The creator gets a ticket so they never need the password or an invite,
+        // and whoever presents it first is made host. If nobody has by the time
+        // an unjoined room would be forgotten, the usual succession takes over.
+        const ticket = await this.issueToken(access.tickets, MAX_TICKETS);
+        access.creatorTicket = access.tickets[access.tickets.length - 1];
+        access.creatorUntil = Date.now() + REGISTRATION_TTL;
+        this.access = access;
+        this.meta = newRoomMeta({
+            name: cleanText(body.name, MAX_ROOM_NAME),
+            historySync: body.historySync !== false,
+            topology: body.topology === 'hub' ? 'hub' : 'mesh',
+        });
+        await this.saveAccess();
+        await this.saveMeta();
+        await this.scheduleAlarm(Date.now() + REGISTRATION_TTL);
+        return jsonResponse({ ticket }, 200);
+    }
+
+    /**
+     * Count a failed password/invite attempt. Returns false once the room is locked out.
+     */
+    isAuthAllowed() {
+        const now = Date.now();
+        if (!this.authFailures || now - this.authFailures.windowStart > AUTH_FAILURE_WINDOW) return true;
+        return this.authFailures.count < AUTH_FAILURE_LIMIT;
+    }
+
+    noteAuthFailure() {
+        const now = Date.now();
+        if (!this.authFailures || now - this.authFailures.windowStart > AUTH_FAILURE_WINDOW) {
+            this.authFailures = { count: 1, windowStart: now };
+        } else {
+            this.authFailures.count++;
+        }
+    }
+
+    /**
+     * Check a join against the room's access rules. Returns null when admitted,
+     * otherwise `{ status, code, error }` for the Worker to pass on.
+     * Banned connections never get in. A ticket lets members back in even when
+     * the room is locked; otherwise a valid invite admits without the password,
+     * and invites are single-use.
+     */
+    async checkAccess(url, clientIP) {
+        const access = this.access;
+        if (!access) return null;
+
+        if (clientIP !== 'unknown' && access.bans.includes(await sha256Hex(clientIP))) {
+            return { status: 403, code: 'banned', error: 'You have been banned from this room' };
+        }
+
+        if (await this.hasValidTicket(url)) return null;
+
+        if (access.locked) {
+            return { status: 403, code: 'room-locked', error: 'This room is locked' };
+        }
+        if (!this.isProtected()) return null;
+
+        if (!this.isAuthAllowed()) {
+            return { status: 429, code: 'auth-limited', error: 'Too many failed attempts. Try again later.' };
+        }
+
+        const invite = (url.searchParams.get('invite') || '').slice(0, MAX_INVITE_TOKEN);
+        if (invite) {
+            const index = access.invites.indexOf(await sha256Hex(invite));
+            if (index !== -1) {
+                access.invites.splice(index, 1);
+                await this.saveAccess();
+                return null;
+            }
+            this.noteAuthFailure();
+            return { status: 403, code: 'invite-invalid', error: 'This invite link is invalid or has already been used' };
+        }
+
+        if (access.inviteOnly) {
+            return { status: 403, code: 'invite-required', error: 'This room is invite-only' };
+        }
+
+        const password = (url.searchParams.get('password') || '').slice(0, MAX_PASSWORD);
+        if (!password) {
+            return { status: 401, code: 'password-required', error: 'This room needs a password' };
+        }
+        if (timingSafeEqual(await hashPassword(password, access.password.salt), access.password.hash)) return null;
+        this.noteAuthFailure();
+        return { status: 401, code: 'password-invalid', error: 'Wrong password' };
+    }
+
+    async hasValidTicket(url) {
+        const ticket = (url.searchParams.get('ticket') || '').slice(0, MAX_INVITE_TOKEN);
+        return !!ticket && !!this.access && this.access.tickets.includes(await sha256Hex(ticket));
+    }
+
+    /**
+     * Whether the host role is still held for the room's creator.
+     */
+    awaitingCreator() {
+        return !!this.access && !!this.access.creatorTicket && Date.now() < this.access.creatorUntil;
+    }
+
+    /**
+     * Whether the join presents the ticket /api/create gave the room's creator,
+     * and the creator hasn't joined yet.
+     */
+    async hasCreatorTicket(url) {
+        const ticket = (url.searchParams.get('ticket') || '').slice(0, MAX_INVITE_TOKEN);
+        return !!ticket && this.awaitingCreator() && timingSafeEqual(await sha256Hex(ticket), this.access.creatorTicket);
+    }
+
+    /**
+     * The creator never came: stop holding the role for them and let the
+     * longest-connected member have it.
+     */
+    async giveUpOnCreator() {
+        this.access.creatorTicket = null;
+        await this.saveAccess();
+        if (this.ensureHost()) {
+            this.broadcast({ type: 'roles', ...this.roleState() });
+            this.broadcastJoinRequests();
+        }
+    }
+
+    /**
+     * The DO has a single alarm; keep whichever deadline comes first.
+     */
+    async scheduleAlarm(at) {
+        const current = await this.state.storage.getAlarm();
+        if (!current || at < current) await this.state.storage.setAlarm(at);
+    }
+
+    /**
+     * Turn away lobby knocks that waited too long, announce members that
+     * didn't resume in time, stop holding host for a creator who never came,
+     * and forget a room that stayed empty (Alarms API).
+     */
+    async alarm() {
+        const now = Date.now();
+        if (this.meta && this.meta.expiresAt) {
+            if (now >= this.meta.expiresAt) {
+                await this.expireRoom();
+                return;
+            }
+            // The host may have pushed the expiry back since this alarm was set
+            await this.scheduleAlarm(this.meta.expiresAt);
+        }
+        let nextExpiry = 0;
+        if (this.access && this.access.creatorTicket) {
+            if (this.awaitingCreator()) nextExpiry = this.access.creatorUntil;
+            else await this.giveUpOnCreator();
+        }
+        let expired = false;
+        for (const { ws, info } of this.pendingSockets()) {
+            const expiresAt = info.knockedAt + LOBBY_TIMEOUT;
+            if (expiresAt <= now) {
+                this.turnAway(ws, 'lobby-timeout', 'Nobody let you in. Try again later.');
+                expired = true;
+            } else if (!nextExpiry || expiresAt < nextExpiry) {
+                nextExpiry = expiresAt;
+            }
+        }
+        let dropped = false;
+        for (const ghost of Object.values(this.ghosts)) {
+            const expiresAt = ghost.leftAt + RESUME_GRACE;
+            if (expiresAt <= now) {
+                await this.dropGhost(ghost);
+                dropped = true;
+            } else if (!nextExpiry || expiresAt < nextExpiry) {
+                nextExpiry = expiresAt;
+            }
+        }
+        if (nextExpiry) await this.scheduleAlarm(nextExpiry);
+        if (expired) this.broadcastJoinRequests();
+        if (this.state.getWebSockets().length === 0 && Object.keys(this.ghosts).length === 0) {
+            // The last member's grace ran out; the room still gets its full EMPTY_ROOM_GRACE
+            if (dropped) await this.scheduleAlarm(now + EMPTY_ROOM_GRACE - RESUME_GRACE);
+            else await this.clearRoom();
+        }
+    }
+
+    /**
+     * After a peer leaves an otherwise empty room, schedule its access record for deletion.
+     */
+    async scheduleCleanup(leaving) {
+        const remaining = this.state.getWebSockets().filter((ws) => ws !== leaving);
+        if (remaining.length === 0 && (this.access || this.meta)) {
+            await this.scheduleAlarm(Date.now() + EMPTY_ROOM_GRACE);
+        }
+    }
+
+    // ─── Lobby ───
+    // Knock-to-join rooms accept a newcomer's socket but keep it pending:
+    // it sees no members and nobody sees it until a host or moderator lets it
+    // in. Pending state lives in the socket attachment, so it survives
+    // hibernation and hosts reconnecting.
+
+    /**
+     * Admitted members as `{ ws, info }`, optionally leaving one socket out.
+     * Sockets replaced by a resume are no longer members.
+     */
+    members(leaving) {
+        const out = [];
+        for (const ws of this.state.getWebSockets()) {
+            const info = ws !== leaving && ws.deserializeAttachment();
+            if (info && !info.pending && !info.superseded) out.push({ ws, info });
+        }
+        return out;
+    }
+
+    pendingSockets() {
+        const out = [];
+        for (const ws of this.state.getWebSockets()) {
+            const info = ws.deserializeAttachment();
+            if (info && info.pending && !info.turnedAway) out.push({ ws, info });
+        }
+        return out;
+    }
+
+    /**
+     * How many sockets hold a place in the room: admitted members and lobby
+     * knocks. Sockets still closing after being turned away, removed or
+     * replaced by a resume don't, nor does `replacing` (about to be resumed).
+     */
+    occupancy(replacing) {
+        const members = this.members(replacing).filter(({ info }) => !this.removed.has(info.peerId));
+        return members.length + this.pendingSockets().length;
+    }
+
+    /**
+     * Send the current knocks to every host and moderator.
+     */
+    broadcastJoinRequests(leaving) {
+        const json = JSON.stringify({ type: 'join-requests', requests: this.joinRequests(leaving) });
+        for (const { ws, info } of this.members()) {
+            if (info.role === 'host' || info.role === 'moderator') {
+                try {
+                    ws.send(json);
+                } catch {
+                    // Socket likely closed, will be cleaned up
+                }
+            }
+        }
+    }
+
+    joinRequests(leaving) {
+        return this.pendingSockets()
+            .filter(({ ws }) => ws !== leaving)
+            .map(({ info }) => ({ peerId: info.peerId, displayName: info.displayName }));
+    }
+
+    async knock(ws, info) {
+        ws.serializeAttachment({ ...info, pending: true, knockedAt: Date.now() });
+        ws.send(JSON.stringify({ type: 'lobby', message: 'Waiting for the host to let you in' }));
+        const notice = JSON.stringify({ type: 'join-request', peerId: info.peerId, displayName: info.displayName });
+        for (const { ws: memberWs, info: member } of this.members()) {
+            if (member.role === 'host' || member.role === 'moderator') {
+                try {
+                    memberWs.send(notice);
+                } catch {
+                    // Socket likely closed, will be cleaned up
+                }
+            }
+        }
+        await this.scheduleAlarm(Date.now() + LOBBY_TIMEOUT);
+    }
+
+    /**
+     * Refuse a pending socket with a `join-error` the client can show.
+     */
+    turnAway(ws, code, message) {
+        ws.serializeAttachment({ ...ws.deserializeAttachment(), turnedAway: true });
+        try {
+            ws.send(JSON.stringify({ type: 'join-error', code, message }));
+            ws.close(4000, code);
+        } catch {
+            // Already gone
+        }
+    }
+
+    /**
+     * Bring a socket into the room: welcome it, then announce it to everyone else.
+     */
+    async admit(ws, info) {
+        if (!this.access) this.access = newAccessRecord();
+        if (this.access.creatorTicket && !this.awaitingCreator()) await this.giveUpOnCreator();
+        const existingMembers = this.members(ws).map(({ info: m }) => ({
+            peerId: m.peerId,
+            displayName: m.displayName,
+            signingKey: m.signingKey || '',
+            role: m.role || 'member',
+        }));
+
+        // A room made through /api/create waits for the holder of the creator's
+        // ticket, who is host even if others got in first. Otherwise the first
+        // peer into the room is host, as is anyone joining a room whose members
+        // were all left without one.
+        const hostPresent = existingMembers.some((m) => m.role === 'host') || Object.values(this.ghosts).some((g) => g.role === 'host');
+        let role = hostPresent ? 'member' : 'host';
+        if (this.awaitingCreator()) {
+            role = info.creator ? 'host' : 'member';
+            if (info.creator) this.access.creatorTicket = null;
+        }
+
+        // Every peer gets a rejoin ticket, so reconnects skip the password/invite,
+        // the lobby, and still work once the room is locked
+        const ticket = await this.issueToken(this.access.tickets, MAX_TICKETS);
+        const ticketHash = this.access.tickets[this.access.tickets.length - 1];
+        await this.saveAccess();
+
+        const { peerId, displayName, signingKey, clientIP, roomCode } = info;
+        const resume = randomToken();
+        ws.serializeAttachment({
+            peerId, displayName, signingKey, clientIP, roomCode, joinedAt: Date.now(), role, ticketHash,
+            resumeHash: await sha256Hex(resume),
+        });
+
+        // Send welcome to the new peer (after they connect)
+        const topology = this.currentTopology();
+        this.sendWelcome(ws, { peerId, members: existingMembers, topology, ticket, resume, role });
+
+        // Broadcast peer-joined to all existing peers
+        this.broadcast({
+            type: 'peer-joined',
+            peerId,
+            displayName,
+            signingKey,
+            role,
+        }, ws);
+        this.announceTopology(topology, ws);
+    }
+
+    sendWelcome(ws, { peerId, members, topology, ticket, resume, role, resumed }) {
+        ws.send(JSON.stringify({
+            type: 'welcome',
+            peerId,
+            members,
+            room: this.meta,
+            topology,
+            access: { password: !!this.access.password, inviteOnly: this.access.inviteOnly },
+            ticket,
+            resume,
+            resumed,
+            ...this.roleState(),
+            joinRequests: role === 'member' ? undefined : this.joinRequests(),
+        }));
+    }
+
+    // ─── Session Resumption ───
+    // A member whose socket drops is held as a ghost for RESUME_GRACE instead
+    // of being announced as gone. Its DataChannels to everyone else stay up,
+    // and presenting the resume token from its welcome puts it back as the
+    // same peerId with its role, ticket and place in the hub order.
+
+    /**
+     * Find the session a resume token belongs to: `{ ws, info }` for a socket
+     * the DO still thinks is open (the client noticed the drop first), or
+     * `{ ws: null, info }` for a ghost.
+     */
+    async findSession(url, signingKey) {
+        const token = (url.searchParams.get('resume') || '').slice(0, MAX_INVITE_TOKEN);
+        if (!token) return null;
+        const hash = await sha256Hex(token);
+        // The identity key must match too, so a leaked token can't be used to impersonate
+        const matches = (info) => timingSafeEqual(info.resumeHash || '', hash) && info.signingKey === signingKey;
+        const live = this.members().find(({ info }) => matches(info));
+        if (live) return live;
+        const ghost = Object.values(this.ghosts).find(matches);
+        return ghost ? { ws: null, info: ghost } : null;
+    }
+
+    /**
+     * Claim a session from findSession, closing the socket it replaces.
+     */
+    takeOverSession({ ws, info }) {
+        if (!ws) return info;
+        ws.serializeAttachment({ ...info, superseded: true });
+        try {
+            ws.close(4002, 'resumed');
+        } catch {
+            // Already gone
+        }
+        return { ...info, leftAt: Date.now() };
+    }
+
+    /**
+     * Put a member back in its old place. Peers that were here all along
+     * never saw it leave; only those who arrived meanwhile hear it join.
+     */
+    async resume(ws, session, info) {
+        delete this.ghosts[session.peerId];
+        await this.saveGhosts();
+
+        const { peerId, displayName, signingKey, joinedAt, ticketHash, leftAt } = session;
+        // Nobody is promoted while the host is away, but a handover may still have happened
+        const members = this.members(ws);
+        const role = session.role === 'host' && members.some((m) => m.info.role === 'host') ? 'moderator' : (session.role || 'member');
+        const resume = randomToken();
+        ws.serializeAttachment({
+            peerId, displayName, signingKey, clientIP: info.clientIP, roomCode: info.roomCode, joinedAt, role, ticketHash,
+            resumeHash: await sha256Hex(resume),
+        });
+
+        const topology = this.currentTopology();
+        this.sendWelcome(ws, {
+            peerId,
+            members: members.map(({ info: m }) => ({
+                peerId: m.peerId,
+                displayName: m.displayName,
+                signingKey: m.signingKey || '',
+                role: m.role || 'member',
+            })),
+            topology,
+            resume,
+            role,
+            resumed: true,
+        });
+
+        const notice = JSON.stringify({ type: 'peer-joined', peerId, displayName, signingKey, role });
+        for (const { ws: memberWs, info: member } of members) {
+            if ((member.joinedAt || 0) < leftAt) continue;
+            try {
+                memberWs.send(notice);
+            } catch {
+                // Socket likely closed, will be cleaned up
+            }
+        }
+        if (role !== session.role) this.broadcast({ type: 'roles', ...this.roleState() }, ws);
+        this.announceTopology(topology, ws);
+    }
+
+    /**
+     * A ghost's grace ran out: announce it as gone for good.
+     */
+    async dropGhost(ghost) {
+        delete this.ghosts[ghost.peerId];
+        await this.saveGhosts();
+        this.broadcast({ type: 'peer-left', peerId: ghost.peerId });
+        this.announceTopology(this.currentTopology());
+        if (this.ensureHost()) {
+            this.broadcast({ type: 'roles', ...this.roleState() });
+            this.broadcastJoinRequests();
+        }
+    }
+
+    /**
+     * Host/moderator answer to a knock.
+     */
+    async answerKnock(ws, data) {
+        const pending = this.pendingSockets().find(({ info }) => info.peerId === data.peerId);
+        if (!pending) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Invalid target' }));
+            return;
+        }
+        if (data.allow === true) {
+            await this.admit(pending.ws, pending.info);
+        } else {
+            this.turnAway(pending.ws, 'lobby-denied', 'The host did not let you in');
+        }
+        this.broadcastJoinRequests();
     }
 
     /**
@@ -99,62 +827,122 @@ export class Room {
         return true;
     }
 
+    /**
+     * Check per-peer relay budget. Returns true if this envelope is allowed.
+     */
+    isRelayAllowed(peerId, size) {
+        const now = Date.now();
+        const entry = this.relayRates.get(peerId);
+
+        if (!entry || now - entry.windowStart > PEER_MSG_WINDOW) {
+            this.relayRates.set(peerId, { count: 1, bytes: size, windowStart: now });
+            return true;
+        }
+
+        if (entry.count >= RELAY_MSG_LIMIT || entry.bytes + size > RELAY_BYTE_LIMIT) {
+            return false;
+        }
+
+        entry.count++;
+        entry.bytes += size;
+        return true;
+    }
+
     async fetch(request) {
         const url = new URL(request.url);
+        if (url.pathname === '/register' && request.method === 'POST') {
+            return this.register(request);
+        }
+        if (url.pathname === '/status') {
+            return this.status();
+        }
+
         const displayName = (url.searchParams.get('name') || 'Anonymous').slice(0, 32);
+        // Identity key is bound to this peerId for the life of the socket
+        const signingKey = (url.searchParams.get('key') || '').slice(0, 128);
         const clientIP = url.searchParams.get('ip') || 'unknown';
         const roomCode = url.searchParams.get('room') || '';
 
-        // Enforce max peers per room
-        const currentPeers = this.state.getWebSockets().length;
-        if (currentPeers >= MAX_PEERS_PER_ROOM) {
-            return new Response(JSON.stringify({ error: 'Room is full' }), {
-                status: 403,
-                headers: { 'Content-Type': 'application/json' },
+        // Enforce max peers per room (lobby sockets count too)
+        if (this.isExpired()) {
+            await this.expireRoom();
+            return jsonResponse({ error: 'This room has expired', code: 'room-expired' }, 410);
+        }
+        // A member resuming after a dropped connection keeps its peerId, and the
+        // half-open socket it replaces doesn't count against the cap
+        const found = await this.findSession(url, signingKey);
+        const currentPeers = this.occupancy(found ? found.ws : null);
+        const maxPeers = this.meta ? memberCap(this.meta) : MAX_PEERS_PER_ROOM;
+        if (currentPeers >= maxPeers) {
+            return jsonResponse({ error: 'Room is full', code: 'room-full' }, 403);
+        }
+
+        // Password / invite check happens before the upgrade is accepted
+        await this.loadAccess();
+        const denied = await this.checkAccess(url, clientIP);
+        if (denied) {
+            return jsonResponse({ error: denied.error, code: denied.code }, denied.status);
+        }
+
+        const session = found ? this.takeOverSession(found) : null;
+
+        // Knock-to-join rooms hold newcomers in the lobby; ticket holders are
+        // members reconnecting and go straight back in
+        const memberCount = this.members().length;
+        const knocking = !!this.access && this.access.lobby && memberCount > 0 && !session && !(await this.hasValidTicket(url));
+        if (knocking && this.pendingSockets().length >= MAX_PENDING) {
+            return jsonResponse({ error: 'Too many people are waiting to join', code: 'lobby-full' }, 403);
+        }
+
+        // First peer into a room that wasn't created through /api/create sets its settings
+        if (memberCount === 0 && !this.meta) {
+            this.meta = newRoomMeta({
+                historySync: url.searchParams.get('history') !== '0',
+                topology: url.searchParams.get('topology') === 'hub' ? 'hub' : 'mesh',
             });
+            await this.saveMeta();
         }
 
         // Create WebSocket pair
         const pair = new WebSocketPair();
         const [client, server] = Object.values(pair);
 
-        const peerId = 'peer-' + (this.nextId++);
-
-        // Build current member list BEFORE accepting the new socket
-        // so the newcomer doesn't appear in their own member list
-        const existingMembers = [];
-        for (const ws of this.state.getWebSockets()) {
-            const info = ws.deserializeAttachment();
-            if (info) {
-                existingMembers.push({
-                    peerId: info.peerId,
-                    displayName: info.displayName,
-                });
-            }
-        }
+        const peerId = session ? session.peerId : this.newPeerId();
 
         // Accept the server side and store session info
         // Include clientIP and roomCode for connection tracking on disconnect
         this.state.acceptWebSocket(server);
-        server.serializeAttachment({ peerId, displayName, clientIP, roomCode });
-
-        // Send welcome to the new peer (after they connect)
-        server.send(JSON.stringify({
-            type: 'welcome',
-            peerId,
-            members: existingMembers,
-        }));
-
-        // Broadcast peer-joined to all existing peers
-        this.broadcast({
-            type: 'peer-joined',
-            peerId,
-            displayName,
-        }, server);
+        const info = { peerId, displayName, signingKey, clientIP, roomCode };
+        if (session) {
+            await this.resume(server, session, info);
+        } else if (knocking) {
+            await this.knock(server, info);
+        } else {
+            await this.admit(server, { ...info, creator: await this.hasCreatorTicket(url) });
+        }
 
         return new Response(null, { status: 101, webSocket: client });
     }
 
+    /**
+     * A random `peer-<hex>`. Clients key private-channel membership and DMs by
+     * peerId, so one must never be handed to a newcomer after its owner left
+     * (a counter would restart after hibernation). IDs still held by a socket
+     * or a ghost are skipped all the same.
+     */
+    newPeerId() {
+        const taken = new Set(Object.keys(this.ghosts));
+        for (const ws of this.state.getWebSockets()) {
+            const info = ws.deserializeAttachment();
+            if (info) taken.add(info.peerId);
+        }
+        let peerId;
+        do {
+            peerId = 'peer-' + bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+        } while (taken.has(peerId));
+        return peerId;
+    }
+
     /**
      * Called when a WebSocket message is received (Hibernation API).
      */
@@ -175,10 +963,9 @@ export class Room {
 
         const senderInfo = ws.deserializeAttachment();
         if (!senderInfo) return;
-
-        // ─── Per-peer rate limiting ───
-        if (!this.isPeerAllowed(senderInfo.peerId)) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Rate limited. Slow down.' }));
+        // Sockets waiting in the lobby can't talk to anyone yet
+        if (senderInfo.pending) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Waiting to be let in' }));
             return;
         }
 
@@ -188,10 +975,23 @@ export class Room {
             return;
         }
 
+        // ─── Per-peer rate limiting (relay envelopes have their own budget) ───
+        if (data.type === 'relay') {
+            if (!this.isRelayAllowed(senderInfo.peerId, message.length)) {
+                ws.send(JSON.stringify({ type: 'error', message: 'Relay rate limited. Slow down.' }));
+                return;
+            }
+        } else if (!this.isPeerAllowed(senderInfo.peerId)) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Rate limited. Slow down.' }));
+            return;
+        }
+
         switch (data.type) {
             case 'offer':
             case 'answer':
-            case 'ice-candidate': {
+            case 'ice-candidate':
+            case 'key-exchange':
+            case 'relay': {
                 // Validate 'to' field
                 const targetId = data.to;
                 if (!targetId || typeof targetId !== 'string' || targetId.length > 32) {
@@ -227,27 +1027,80 @@ export class Room {
                         return;
                     }
                     forwarded.candidate = data.candidate;
+                } else if (data.type === 'key-exchange') {
+                    // Public key only — the server never sees the derived secret
+                    if (typeof data.publicKey !== 'string' || data.publicKey.length > MAX_KEY_SIZE) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Invalid key' }));
+                        return;
+                    }
+                    if (data.signature !== undefined && (typeof data.signature !== 'string' || data.signature.length > MAX_KEY_SIZE)) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Invalid key' }));
+                        return;
+                    }
+                    forwarded.publicKey = data.publicKey;
+                    forwarded.signature = data.signature;
+                } else if (data.type === 'relay') {
+                    if (this.meta && !this.meta.relayAllowed) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'The relay is turned off in this room' }));
+                        return;
+                    }
+                    // Relay fallback when the DataChannel isn't available.
+                    // Payload is end-to-end encrypted for the target peer; forwarded opaquely.
+                    if (typeof data.payload !== 'string' || data.payload.length === 0 || data.payload.length > MAX_RELAY_PAYLOAD) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Invalid relay payload' }));
+                        return;
+                    }
+                    // Optional fragment header: [fragId, index, total]
+                    if (data.frag !== undefined) {
+                        const frag = data.frag;
+                        const valid = Array.isArray(frag) && frag.length === 3 &&
+                            frag.every((n) => Number.isInteger(n) && n >= 0) &&
+                            frag[2] >= 1 && frag[2] <= MAX_RELAY_FRAGMENTS && frag[1] < frag[2];
+                        if (!valid) {
+                            ws.send(JSON.stringify({ type: 'error', message: 'Invalid relay payload' }));
+                            return;
+                        }
+                        forwarded.frag = frag;
+                    }
+                    forwarded.payload = data.payload;
                 }
 
                 targetWs.send(JSON.stringify(forwarded));
                 break;
             }
 
-            case 'chat': {
-                // Validate chat text: must be a non-empty string within size limit
-                if (typeof data.text !== 'string' || data.text.length === 0 || data.text.length > MAX_CHAT_TEXT) {
-                    ws.send(JSON.stringify({ type: 'error', message: 'Invalid message text' }));
+            case 'set-role':
+            case 'kick':
+            case 'ban':
+            case 'lock':
+            case 'lobby':
+            case 'admit':
+                await this.handleModeration(ws, senderInfo, data);
+                break;
+
+            case 'room-update': {
+                // Only the host edits room metadata; everyone hears about it
+                if (senderInfo.role !== 'host') {
+                    ws.send(JSON.stringify({ type: 'error', message: 'Not allowed' }));
                     return;
                 }
+                this.meta = applyMetaUpdate(this.meta || newRoomMeta(), data);
+                await this.saveMeta();
+                if (this.meta.expiresAt) await this.scheduleAlarm(this.meta.expiresAt);
+                this.broadcast({ type: 'room-updated', room: this.meta, by: senderInfo.peerId });
+                break;
+            }
 
-                // Relay fallback: broadcast chat message when DataChannel isn't available
-                this.broadcast({
-                    type: 'chat-relay',
-                    from: senderInfo.peerId,
-                    sender: senderInfo.displayName,
-                    text: data.text.slice(0, MAX_CHAT_TEXT),
-                    timestamp: Math.floor(Date.now() / 1000),
-                }, ws);
+            case 'invite-create': {
+                // Any member of a protected room may mint a single-use invite
+                await this.loadAccess();
+                if (!this.isProtected()) {
+                    ws.send(JSON.stringify({ type: 'error', message: 'Invites are only needed in protected rooms' }));
+                    return;
+                }
+                const token = await this.issueToken(this.access.invites, MAX_INVITES);
+                await this.saveAccess();
+                ws.send(JSON.stringify({ type: 'invite-created', token }));
                 break;
             }
 
@@ -257,33 +1110,169 @@ export class Room {
         }
     }
 
+    /**
+     * Host and moderator actions. Only the host assigns roles; moderators may
+     * remove ordinary members and lock the room; nobody can act on themselves.
+     */
+    async handleModeration(ws, sender, data) {
+        const role = sender.role || 'member';
+        if (role === 'member' || (data.type === 'set-role' && role !== 'host')) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Not allowed' }));
+            return;
+        }
+
+        await this.loadAccess();
+        if (!this.access) this.access = newAccessRecord();
+
+        if (data.type === 'lock') {
+            this.access.locked = data.locked === true;
+            await this.saveAccess();
+            this.broadcast({ type: 'roles', ...this.roleState(), by: sender.peerId });
+            return;
+        }
+
+        if (data.type === 'lobby') {
+            this.access.lobby = data.enabled === true;
+            await this.saveAccess();
+            this.broadcast({ type: 'roles', ...this.roleState(), by: sender.peerId });
+            // Switching the lobby off lets everyone waiting in
+            if (!this.access.lobby) {
+                for (const pending of this.pendingSockets()) await this.admit(pending.ws, pending.info);
+                this.broadcastJoinRequests();
+            }
+            return;
+        }
+
+        if (data.type === 'admit') {
+            await this.answerKnock(ws, data);
+            return;
+        }
+
+        const targetWs = typeof data.peerId === 'string' && data.peerId.length <= 32 ? this.findPeerSocket(data.peerId) : null;
+        if (!targetWs || targetWs === ws) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Invalid target' }));
+            return;
+        }
+        const target = targetWs.deserializeAttachment();
+
+        if (data.type === 'set-role') {
+            if (!ROLES.includes(data.role)) {
+                ws.send(JSON.stringify({ type: 'error', message: 'Invalid role' }));
+                return;
+            }
+            // Handing over host leaves the previous host as a moderator
+            if (data.role === 'host') ws.serializeAttachment({ ...sender, role: 'moderator' });
+            targetWs.serializeAttachment({ ...target, role: data.role });
+            this.broadcast({ type: 'roles', ...this.roleState(), by: sender.peerId });
+            this.broadcastJoinRequests();
+            return;
+        }
+
+        // Moderators can't remove the host or each other
+        if ((target.role || 'member') !== 'member' && role !== 'host') {
+            ws.send(JSON.stringify({ type: 'error', message: 'Not allowed' }));
+            return;
+        }
+
+        // Kicked peers lose their ticket; banned connections can't come back at all
+        this.access.tickets = this.access.tickets.filter((hash) => hash !== target.ticketHash);
+        if (data.type === 'ban' && target.clientIP && target.clientIP !== 'unknown') {
+            this.access.bans.push(await sha256Hex(target.clientIP));
+            if (this.access.bans.length > MAX_BANS) this.access.bans.splice(0, this.access.bans.length - MAX_BANS);
+        }
+        await this.saveAccess();
+
+        this.removed.add(target.peerId);
+        try {
+            targetWs.send(JSON.stringify({ type: 'removed', reason: data.type }));
+            targetWs.close(4001, data.type);
+        } catch {
+            // Already gone
+        }
+        this.peerRates.delete(target.peerId);
+        this.relayRates.delete(target.peerId);
+        this.broadcast({ type: 'peer-left', peerId: target.peerId, removed: data.type }, targetWs);
+        this.announceTopology(this.currentTopology(targetWs), targetWs);
+    }
+
+    /**
+     * Roles of everyone still connected, plus the lock state.
+     */
+    roleState(leaving) {
+        const roles = {};
+        for (const { info } of this.members(leaving)) roles[info.peerId] = info.role || 'member';
+        for (const ghost of Object.values(this.ghosts)) roles[ghost.peerId] = ghost.role || 'member';
+        return { roles, locked: !!(this.access && this.access.locked), lobby: !!(this.access && this.access.lobby) };
+    }
+
+    /**
+     * Host succession: if the room is left without a host, the longest-connected
+     * moderator takes over, or failing that the longest-connected member.
+     * Returns true when someone was promoted.
+     */
+    ensureHost(leaving) {
+        const members = this.members(leaving);
+        if (members.length === 0 || members.some((m) => m.info.role === 'host')) return false;
+        // The creator of a registered room may still arrive to take the role
+        if (this.awaitingCreator()) return false;
+        // A host that may still resume keeps the role until its grace runs out
+        if (Object.values(this.ghosts).some((g) => g.role === 'host')) return false;
+        members.sort((a, b) => (a.info.joinedAt || 0) - (b.info.joinedAt || 0));
+        const heir = members.find((m) => m.info.role === 'moderator') || members[0];
+        heir.ws.serializeAttachment({ ...heir.info, role: 'host' });
+        return true;
+    }
+
     /**
      * Called when a WebSocket connection closes (Hibernation API).
      */
     async webSocketClose(ws, code, reason, wasClean) {
-        const info = ws.deserializeAttachment();
-        if (info) {
-            this.peerRates.delete(info.peerId);
-            this.broadcast({
-                type: 'peer-left',
-                peerId: info.peerId,
-            }, ws);
-            // Notify ConnectionLimiter to decrement this IP's room count
-            await this.notifyDisconnect(info.clientIP, info.roomCode);
-        }
+        // 1000/1001 are a deliberate leave (closing the tab, leaving the room)
+        await this.departed(ws, code !== 1000 && code !== 1001);
     }
 
     /**
      * Called on WebSocket error (Hibernation API).
      */
     async webSocketError(ws, error) {
+        await this.departed(ws, true);
+    }
+
+    /**
+     * Clean up after a socket that went away. A member that dropped without
+     * leaving becomes a ghost that may still resume.
+     */
+    async departed(ws, resumable) {
         const info = ws.deserializeAttachment();
-        if (info) {
+        if (info && info.pending) {
+            // Gave up waiting in the lobby, or was turned away
+            this.broadcastJoinRequests(ws);
+            await this.scheduleCleanup(ws);
+            await this.notifyDisconnect(info.clientIP, info.roomCode);
+        } else if (info && info.superseded) {
+            // Replaced by a resumed socket for the same peer
+            await this.notifyDisconnect(info.clientIP, info.roomCode);
+        } else if (info) {
             this.peerRates.delete(info.peerId);
-            this.broadcast({
-                type: 'peer-left',
-                peerId: info.peerId,
-            }, ws);
+            this.relayRates.delete(info.peerId);
+            if (this.removed.delete(info.peerId)) {
+                // Peers removed by a moderator were already announced
+            } else if (resumable && info.resumeHash) {
+                this.ghosts[info.peerId] = { ...info, leftAt: Date.now() };
+                await this.saveGhosts();
+                await this.scheduleAlarm(Date.now() + RESUME_GRACE);
+            } else {
+                this.broadcast({
+                    type: 'peer-left',
+                    peerId: info.peerId,
+                }, ws);
+                this.announceTopology(this.currentTopology(ws), ws);
+            }
+            if (this.ensureHost(ws)) {
+                this.broadcast({ type: 'roles', ...this.roleState(ws) }, ws);
+                this.broadcastJoinRequests(ws);
+            }
+            await this.scheduleCleanup(ws);
             // Notify ConnectionLimiter to decrement this IP's room count
             await this.notifyDisconnect(info.clientIP, info.roomCode);
         }
@@ -308,24 +1297,41 @@ export class Room {
     }
 
     /**
-     * Find a WebSocket by peer ID.
+     * Current topology. Hub rooms name the HUB_COUNT longest-connected members
+     * as hubs, so the hub set only changes when one of them leaves.
+     */
+    currentTopology(leaving) {
+        if (!this.meta || this.meta.topology !== 'hub') return { mode: 'mesh', hubs: [] };
+        // Ghosts keep their place so a resume doesn't reshuffle the hubs
+        const members = this.members(leaving).map(({ info }) => info).concat(Object.values(this.ghosts));
+        members.sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0) || (a.peerId < b.peerId ? -1 : 1));
+        return { mode: 'hub', hubs: members.slice(0, HUB_COUNT).map((m) => m.peerId) };
+    }
+
+    /**
+     * Tell everyone except `exclude` about a changed hub set.
+     */
+    announceTopology(topology, exclude) {
+        const hubs = topology.hubs.join(',');
+        if (topology.mode !== 'hub' || hubs === this.announcedHubs) return;
+        this.announcedHubs = hubs;
+        this.broadcast({ type: 'topology', ...topology }, exclude);
+    }
+
+    /**
+     * Find a member's WebSocket by peer ID (lobby sockets aren't members yet).
      */
     findPeerSocket(peerId) {
-        for (const ws of this.state.getWebSockets()) {
-            const info = ws.deserializeAttachment();
-            if (info && info.peerId === peerId) {
-                return ws;
-            }
-        }
-        return null;
+        const member = this.members().find(({ info }) => info.peerId === peerId);
+        return member ? member.ws : null;
     }
 
     /**
-     * Send a message to all connected WebSockets except the sender.
+     * Send a message to all members' WebSockets except the sender.
      */
     broadcast(message, exclude) {
         const json = JSON.stringify(message);
-        for (const ws of this.state.getWebSockets()) {
+        for (const { ws } of this.members()) {
             if (ws !== exclude) {
                 try {
                     ws.send(json);